@@ -9,6 +9,7 @@ import 'express-async-errors';
 import config from './config/env.js';
 import logger from './utils/logger.js';
 import routes from './routes/index.js';
+import embedRoutes from './routes/embed.routes.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
 
@@ -28,8 +29,27 @@ app.use(helmet({
 app.use(cors({
   origin: config.frontendUrl,
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    // tus resumable uploads
+    'Tus-Resumable',
+    'Upload-Length',
+    'Upload-Offset',
+    'Upload-Metadata',
+    'X-HTTP-Method-Override'
+  ],
+  exposedHeaders: [
+    'Location',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Expires'
+  ]
 }));
 
 // Request parsing
@@ -66,6 +86,9 @@ app.get('/', (req, res) => {
 
 app.use('/api', routes);
 
+// Embeddable player pages, served outside the API
+app.use('/embed', embedRoutes);
+
 // Error handling
 app.use(notFound);
 app.use(errorHandler);
@@ -41,6 +41,8 @@ export default {
   nodeEnv: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT || '5000', 10),
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+  // Public base URL of this server, used in embed and oEmbed links
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || '5000'}`).replace(/\/$/, ''),
 
   // Database
   mongoUri: process.env.MONGODB_URI,
@@ -56,18 +58,28 @@ export default {
   // File Upload
   upload: {
     maxSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB || '500', 10),
+    // Default for organizations without their own allowedFormats
     allowedFormats: (process.env.ALLOWED_VIDEO_FORMATS || 'mp4,avi,mov,mkv,webm').split(','),
+    // Confirm the sniffed container with ffprobe before accepting an upload
+    probeUploads: process.env.PROBE_UPLOADS !== 'false',
     uploadDir: process.env.UPLOAD_DIR || './uploads'
   },
 
   // Storage
   storage: {
     provider: process.env.STORAGE_PROVIDER || 'local',
+    // Redirect stream requests for bucket-hosted videos to presigned URLs
+    presignedStreaming: process.env.PRESIGNED_STREAMING !== 'false',
+    presignedGetExpirySeconds: parseInt(process.env.PRESIGNED_GET_EXPIRY_SECONDS || '300', 10),
+    presignedUploadExpirySeconds: parseInt(process.env.PRESIGNED_UPLOAD_EXPIRY_SECONDS || '3600', 10),
     aws: {
       accessKeyId: process.env.AWS_ACCESS_KEY_ID,
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
       region: process.env.AWS_REGION || 'us-east-1',
-      bucket: process.env.AWS_S3_BUCKET
+      bucket: process.env.AWS_S3_BUCKET,
+      // Custom endpoint for S3-compatible servers such as MinIO
+      endpoint: process.env.AWS_S3_ENDPOINT || null,
+      forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === 'true'
     },
     cloudflare: {
       accountId: process.env.R2_ACCOUNT_ID,
@@ -90,14 +102,61 @@ export default {
   // Security
   security: {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '12', 10),
+    inviteExpiryDays: parseInt(process.env.INVITE_EXPIRY_DAYS || '7', 10),
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10),
     rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10)
   },
 
+  // Playback tokens for media URLs (<video>/<img> can't send headers)
+  playback: {
+    // Signs playback tokens; derived from JWT_SECRET when unset
+    secret: process.env.PLAYBACK_TOKEN_SECRET || null,
+    tokenTtlSeconds: parseInt(process.env.PLAYBACK_TOKEN_TTL_SECONDS || '300', 10),
+    bindIp: process.env.PLAYBACK_TOKEN_BIND_IP === 'true',
+    bindUserAgent: process.env.PLAYBACK_TOKEN_BIND_USER_AGENT === 'true'
+  },
+
+  // Cache-Control max-age for media (see services/cachePolicy.service.js)
+  cache: {
+    publicMaxAgeSeconds: parseInt(process.env.CACHE_PUBLIC_MAX_AGE_SECONDS || '3600', 10),
+    privateMaxAgeSeconds: parseInt(process.env.CACHE_PRIVATE_MAX_AGE_SECONDS || '300', 10)
+  },
+
+  // Public share links
+  shareLinks: {
+    // Signs share tokens and viewing sessions; derived from JWT_SECRET when unset
+    secret: process.env.SHARE_LINK_SECRET || null,
+    sessionMinutes: parseInt(process.env.SHARE_LINK_SESSION_MINUTES || '120', 10),
+    defaultExpiryHours: parseInt(process.env.SHARE_LINK_DEFAULT_EXPIRY_HOURS || '168', 10)
+  },
+
   // Processing
   processing: {
     timeout: parseInt(process.env.VIDEO_PROCESSING_TIMEOUT || '300000', 10),
-    maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS || '3', 10)
+    maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS || '3', 10),
+    adaptiveStreamingEnabled: process.env.ENABLE_ADAPTIVE_STREAMING !== 'false',
+    hlsEnabled: process.env.ENABLE_HLS !== 'false',
+    segmentSeconds: parseInt(process.env.STREAM_SEGMENT_SECONDS || '6', 10),
+    // Browser-safe MP4 copy of uploads whose container or codecs browsers can't play
+    webMasterEnabled: process.env.ENABLE_WEB_MASTER !== 'false',
+    webMasterCrf: parseInt(process.env.WEB_MASTER_CRF || '23', 10)
+  },
+
+  // Poster candidates and seek-bar previews (see services/thumbnail.service.js)
+  thumbnails: {
+    candidateCount: parseInt(process.env.THUMBNAIL_CANDIDATES || '6', 10),
+    sceneThreshold: parseFloat(process.env.THUMBNAIL_SCENE_THRESHOLD || '0.3'),
+    spriteIntervalSeconds: parseInt(process.env.SPRITE_INTERVAL_SECONDS || '5', 10),
+    // Hover preview clips for the library: PREVIEW_SEGMENTS x PREVIEW_SEGMENT_SECONDS
+    previewEnabled: process.env.ENABLE_PREVIEW_CLIPS !== 'false',
+    previewSegments: parseInt(process.env.PREVIEW_SEGMENTS || '4', 10),
+    previewSegmentSeconds: parseFloat(process.env.PREVIEW_SEGMENT_SECONDS || '1.5'),
+    maxPosterSizeMB: parseInt(process.env.MAX_POSTER_SIZE_MB || '5', 10)
+  },
+
+  // Caption tracks (SRT or WebVTT uploads)
+  captions: {
+    maxSizeMB: parseInt(process.env.MAX_CAPTION_SIZE_MB || '2', 10)
   },
 
   // Logging
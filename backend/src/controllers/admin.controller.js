@@ -1,9 +1,11 @@
 import User from '../models/User.js';
 import Video from '../models/Video.js';
 import Organization from '../models/Organization.js';
-import processingService from '../services/processing.service.js';
+import processingService, { QUEUE_STATES } from '../services/processing.service.js';
 import enhancedSensitivity from '../services/sensitivity.service.enhanced.js';
+import reanalysisService from '../services/reanalysis.service.js';
 import logger from '../utils/logger.js';
+import mongoose from 'mongoose';
 
 /**
  * Admin Controller - Admin-only operations
@@ -350,6 +352,290 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+// Processing queue console
+
+// Job counts per state and whether the queue is paused
+export const getQueue = async (req, res) => {
+  try {
+    const stats = processingService.queue && await processingService.getQueueStats();
+
+    if (!stats) {
+      return sendQueueUnavailable(res);
+    }
+
+    res.json({ queue: stats, states: QUEUE_STATES });
+  } catch (error) {
+    logger.error('Get queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch queue' });
+  }
+};
+
+// List jobs in one state, newest first
+export const getQueueJobs = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    const { state = 'failed' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (!QUEUE_STATES.includes(state)) {
+      return res.status(400).json({ error: `Invalid state, expected one of: ${QUEUE_STATES.join(', ')}` });
+    }
+
+    const { jobs, total } = await processingService.getJobs(state, { page, limit });
+
+    res.json({
+      jobs: await withVideos(jobs),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get queue jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch queue jobs' });
+  }
+};
+
+// Inspect one job: payload, options, failure reason, stack traces and logs
+export const getQueueJob = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    const { job, error } = await processingService.getJob(req.params.jobId);
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const [detailed] = await withVideos([job]);
+
+    res.json({ job: detailed });
+  } catch (error) {
+    logger.error('Get queue job error:', error);
+    res.status(500).json({ error: 'Failed to fetch queue job' });
+  }
+};
+
+// Retry a failed job
+export const retryQueueJob = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    const { job, error } = await processingService.retryJob(req.params.jobId);
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    await requeueVideos([job]);
+
+    logger.info(`Queue job ${job.id} retried by admin ${req.userId}`);
+
+    res.json({ message: 'Job queued for retry', job });
+  } catch (error) {
+    logger.error('Retry queue job error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+};
+
+// Retry every failed job
+export const retryFailedQueueJobs = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    const jobs = await processingService.retryFailed();
+    await requeueVideos(jobs);
+
+    logger.info(`${jobs.length} failed queue jobs retried by admin ${req.userId}`);
+
+    res.json({ message: `${jobs.length} job(s) queued for retry`, retried: jobs.length });
+  } catch (error) {
+    logger.error('Retry failed queue jobs error:', error);
+    res.status(500).json({ error: 'Failed to retry jobs' });
+  }
+};
+
+// Remove a job that isn't running
+export const removeQueueJob = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    const { job, error } = await processingService.removeJob(req.params.jobId);
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    if (!['completed', 'failed'].includes(job.state)) {
+      await failUnqueuedVideos([job]);
+    }
+
+    logger.info(`Queue job ${job.id} removed by admin ${req.userId}`);
+
+    res.json({ message: 'Job removed', job });
+  } catch (error) {
+    logger.error('Remove queue job error:', error);
+    res.status(500).json({ error: 'Failed to remove job' });
+  }
+};
+
+// Remove every waiting, paused and delayed job
+export const drainQueue = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    const jobs = await processingService.drain();
+    await failUnqueuedVideos(jobs);
+
+    logger.info(`Processing queue drained (${jobs.length} jobs) by admin ${req.userId}`);
+
+    res.json({ message: `${jobs.length} pending job(s) removed`, removed: jobs.length });
+  } catch (error) {
+    logger.error('Drain queue error:', error);
+    res.status(500).json({ error: 'Failed to drain queue' });
+  }
+};
+
+// Delete finished jobs: { state: 'completed' | 'failed' }
+export const cleanQueue = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    const { state } = req.body;
+
+    if (!['completed', 'failed'].includes(state)) {
+      return res.status(400).json({ error: 'Invalid state, expected completed or failed' });
+    }
+
+    const removed = await processingService.clean(state);
+
+    logger.info(`${removed} ${state} queue jobs cleaned by admin ${req.userId}`);
+
+    res.json({ message: `${removed} ${state} job(s) removed`, removed });
+  } catch (error) {
+    logger.error('Clean queue error:', error);
+    res.status(500).json({ error: 'Failed to clean queue' });
+  }
+};
+
+// Pause or resume the queue for every worker
+export const pauseQueue = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    await processingService.pause();
+
+    logger.info(`Processing queue paused by admin ${req.userId}`);
+
+    res.json({ message: 'Queue paused', queue: await processingService.getQueueStats() });
+  } catch (error) {
+    logger.error('Pause queue error:', error);
+    res.status(500).json({ error: 'Failed to pause queue' });
+  }
+};
+
+export const resumeQueue = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    await processingService.resume();
+
+    logger.info(`Processing queue resumed by admin ${req.userId}`);
+
+    res.json({ message: 'Queue resumed', queue: await processingService.getQueueStats() });
+  } catch (error) {
+    logger.error('Resume queue error:', error);
+    res.status(500).json({ error: 'Failed to resume queue' });
+  }
+};
+
+// Re-run sensitivity analysis on the processed videos matching the filters
+export const startReanalysis = async (req, res) => {
+  try {
+    if (!processingService.queue) {
+      return sendQueueUnavailable(res);
+    }
+
+    const { filters, error } = parseReanalysisFilters(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const batch = await reanalysisService.start(filters, req.userId);
+
+    if (!batch) {
+      return res.status(400).json({ error: 'No processed videos match these filters' });
+    }
+
+    res.status(202).json({
+      message: `Re-analysis queued for ${batch.total} video(s)`,
+      batch
+    });
+  } catch (error) {
+    logger.error('Start reanalysis error:', error);
+    res.status(500).json({ error: 'Failed to start re-analysis' });
+  }
+};
+
+// Recent re-analysis batches, newest first
+export const getReanalysisBatches = async (req, res) => {
+  try {
+    const batches = await reanalysisService.getBatches();
+
+    res.json({ batches });
+  } catch (error) {
+    logger.error('Get reanalysis batches error:', error);
+    res.status(500).json({ error: 'Failed to fetch re-analysis batches' });
+  }
+};
+
+// A batch with its diff: the videos whose status changed and the ones that failed
+export const getReanalysisBatch = async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    if (!mongoose.isValidObjectId(batchId)) {
+      return res.status(404).json({ error: 'Re-analysis batch not found' });
+    }
+
+    const batch = await reanalysisService.getBatch(batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Re-analysis batch not found' });
+    }
+
+    const { changes, failures } = await reanalysisService.getDiff(batchId);
+
+    res.json({ batch, changes, failures });
+  } catch (error) {
+    logger.error('Get reanalysis batch error:', error);
+    res.status(500).json({ error: 'Failed to fetch re-analysis batch' });
+  }
+};
+
 export default {
   getSystemStats,
   getAllUsers,
@@ -360,6 +646,106 @@ export default {
   getSensitivityConfig,
   updateSensitivityThresholds,
   getVideoAnalysisReport,
-  deleteUser
+  deleteUser,
+  getQueue,
+  getQueueJobs,
+  getQueueJob,
+  retryQueueJob,
+  retryFailedQueueJobs,
+  removeQueueJob,
+  drainQueue,
+  cleanQueue,
+  pauseQueue,
+  resumeQueue,
+  startReanalysis,
+  getReanalysisBatches,
+  getReanalysisBatch
 };
 
+function sendQueueUnavailable(res) {
+  return res.status(503).json({ error: 'Processing queue not available' });
+}
+
+function getVideoIds(jobs) {
+  return jobs
+    .map(job => job.data?.videoId)
+    .filter(id => mongoose.isValidObjectId(id));
+}
+
+// Attach each job's video so operators see titles rather than ids
+async function withVideos(jobs) {
+  const videos = await Video.find({ _id: { $in: getVideoIds(jobs) } })
+    .select('title status organizationId')
+    .populate('organizationId', 'name')
+    .lean();
+  const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+
+  return jobs.map(job => ({ ...job, video: videosById.get(job.data?.videoId) || null }));
+}
+
+// Retried videos show as processing again rather than failed
+async function requeueVideos(jobs) {
+  const ids = getVideoIds(jobs);
+  if (ids.length === 0) return;
+
+  await Video.updateMany(
+    { _id: { $in: ids }, status: 'failed' },
+    { status: 'processing', processingProgress: 0 }
+  );
+}
+
+// Without their job, queued videos would stay processing forever
+async function failUnqueuedVideos(jobs) {
+  const ids = getVideoIds(jobs);
+  if (ids.length === 0) return;
+
+  await Video.updateMany(
+    { _id: { $in: ids }, status: 'processing' },
+    { status: 'failed', processingProgress: 0 }
+  );
+}
+
+// Validate re-analysis filters; analysisVersion null selects videos analyzed
+// before versions were recorded
+function parseReanalysisFilters({ organizationId, from, to, sensitivityStatus, analysisVersion, includeReviewed }) {
+  const filters = { includeReviewed: includeReviewed === true };
+
+  if (organizationId) {
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return { error: 'Invalid organizationId' };
+    }
+    filters.organizationId = organizationId;
+  }
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (!value) continue;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${key} date` };
+    }
+    filters[key] = date;
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'from must be before to' };
+  }
+
+  if (sensitivityStatus !== undefined) {
+    const statuses = ['pending', 'safe', 'flagged'];
+
+    if (!Array.isArray(sensitivityStatus) || sensitivityStatus.some(s => !statuses.includes(s))) {
+      return { error: `Invalid sensitivityStatus, expected a list of: ${statuses.join(', ')}` };
+    }
+    filters.sensitivityStatus = sensitivityStatus;
+  }
+
+  if (analysisVersion !== undefined && analysisVersion !== '') {
+    if (analysisVersion !== null && typeof analysisVersion !== 'string') {
+      return { error: 'Invalid analysisVersion' };
+    }
+    filters.analysisVersion = analysisVersion;
+  }
+
+  return { filters };
+}
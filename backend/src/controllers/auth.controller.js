@@ -1,11 +1,15 @@
 import User from '../models/User.js';
 import Organization from '../models/Organization.js';
+import Invitation from '../models/Invitation.js';
 import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../utils/jwt.js';
+import { isOrganizationSuspended } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
 export const register = async (req, res) => {
+  let invitation = null;
+
   try {
-    const { email, password, name, organizationName, role } = req.validatedData || req.body;
+    const { email, password, name, organizationName, inviteToken } = req.validatedData || req.body;
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -15,11 +19,43 @@ export const register = async (req, res) => {
     let organizationId;
     let userRole;
 
-    if (organizationName) {
-      const slug = organizationName
+    if (inviteToken) {
+      // Join the inviting organization with the role the invitation was issued for
+      const pending = await Invitation.findByToken(inviteToken);
+
+      if (!pending || pending.status !== 'pending') {
+        return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+      }
+
+      if (pending.email !== email.toLowerCase()) {
+        return res.status(403).json({ error: 'This invitation was issued for a different email address' });
+      }
+
+      const organization = await Organization.findById(pending.organizationId);
+      if (!organization || !organization.isActive) {
+        return res.status(400).json({ error: 'The inviting organization is no longer active' });
+      }
+
+      // Claim the invitation atomically so it can't be used twice
+      invitation = await Invitation.findOneAndUpdate(
+        { _id: pending._id, acceptedAt: null, revokedAt: null },
+        { acceptedAt: new Date() },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+      }
+
+      organizationId = organization._id;
+      userRole = invitation.role;
+    } else {
+      // Without an invitation every user starts their own organization
+      const orgName = organizationName || `${name}'s Organization`;
+      const slug = orgName
         .toLowerCase()
         .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-+|-+$/g, '');
+        .replace(/^-+|-+$/g, '') || 'organization';
 
       let finalSlug = slug;
       let counter = 1;
@@ -29,22 +65,12 @@ export const register = async (req, res) => {
       }
 
       const organization = await Organization.create({
-        name: organizationName,
+        name: orgName,
         slug: finalSlug
       });
 
       organizationId = organization._id;
       userRole = 'admin';
-    } else {
-      let defaultOrg = await Organization.findOne({ slug: 'default' });
-      if (!defaultOrg) {
-        defaultOrg = await Organization.create({
-          name: 'Default Organization',
-          slug: 'default'
-        });
-      }
-      organizationId = defaultOrg._id;
-      userRole = role || 'editor';
     }
 
     const user = await User.create({
@@ -55,8 +81,10 @@ export const register = async (req, res) => {
       role: userRole
     });
 
-    // Update organization owner if new org
-    if (organizationName) {
+    if (invitation) {
+      invitation.acceptedBy = user._id;
+      await invitation.save();
+    } else {
       await Organization.findByIdAndUpdate(organizationId, { ownerId: user._id });
     }
 
@@ -91,6 +119,12 @@ export const register = async (req, res) => {
     });
   } catch (error) {
     logger.error('Registration error:', error);
+
+    // Release a claimed invitation if the account wasn't created
+    if (invitation && !invitation.acceptedBy) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } }).catch(() => {});
+    }
+
     res.status(500).json({ error: 'Registration failed' });
   }
 };
@@ -116,6 +150,13 @@ export const login = async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    if (await isOrganizationSuspended(user)) {
+      return res.status(403).json({
+        error: 'Organization is deactivated',
+        code: 'ORGANIZATION_INACTIVE'
+      });
+    }
+
     // Generate tokens
     const accessToken = generateAccessToken(user);
     const refreshToken = generateRefreshToken(user);
@@ -174,6 +215,13 @@ export const refreshToken = async (req, res) => {
       return res.status(401).json({ error: 'Refresh token mismatch' });
     }
 
+    if (await isOrganizationSuspended(user)) {
+      return res.status(403).json({
+        error: 'Organization is deactivated',
+        code: 'ORGANIZATION_INACTIVE'
+      });
+    }
+
     // Generate new access token
     const accessToken = generateAccessToken(user);
 
@@ -262,12 +310,41 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+// Preview an invitation so the sign-up form can show who is inviting
+export const getInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token)
+      .populate('organizationId', 'name isActive');
+
+    if (!invitation || !invitation.organizationId) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending' || !invitation.organizationId.isActive) {
+      return res.status(410).json({ error: 'Invitation is no longer valid', status: invitation.status });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        organizationName: invitation.organizationId.name,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitation' });
+  }
+};
+
 export default {
   register,
   login,
   refreshToken,
   logout,
   getMe,
-  updateProfile
+  updateProfile,
+  getInvitation
 };
 
@@ -0,0 +1,175 @@
+import path from 'path';
+import Video from '../models/Video.js';
+import accessService from '../services/access.service.js';
+import captionService from '../services/caption.service.js';
+import quotaService from '../services/quota.service.js';
+import { sendQuotaError } from '../middleware/quota.js';
+import { toWebVtt } from '../utils/captions.js';
+import logger from '../utils/logger.js';
+
+// List a video's caption tracks
+export const getCaptions = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canViewVideo(video, req)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ captions: video.captions });
+  } catch (error) {
+    logger.error('Get captions error:', error);
+    res.status(500).json({ error: 'Failed to get captions' });
+  }
+};
+
+// Upload an SRT or WebVTT file as a new track
+export const createCaption = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No caption file uploaded' });
+    }
+
+    const { language, label, kind = 'subtitles', isDefault } = req.validatedData;
+
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (captionService.findTrack(video, language, kind)) {
+      return res.status(409).json({ error: `A ${kind} track for ${language} already exists` });
+    }
+
+    let vtt;
+
+    try {
+      const format = path.extname(req.file.originalname).toLowerCase().substring(1);
+      vtt = toWebVtt(req.file.buffer, format);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const size = Buffer.byteLength(vtt);
+    const quotaCheck = await quotaService.checkUpload(req.organizationId, size);
+
+    if (!quotaCheck.allowed) {
+      return sendQuotaError(res, quotaCheck, size);
+    }
+
+    const track = await captionService.addTrack(video, {
+      language,
+      label,
+      kind,
+      isDefault,
+      createdBy: req.userId
+    }, vtt);
+
+    await video.save();
+
+    logger.info(`Caption track ${track._id} (${language}) added to video ${video._id} by user ${req.userId}`);
+
+    res.status(201).json({
+      message: 'Caption track added successfully',
+      caption: track,
+      captions: video.captions
+    });
+  } catch (error) {
+    logger.error('Create caption error:', error);
+    res.status(500).json({ error: 'Failed to add caption track' });
+  }
+};
+
+// Change a track's language, label, kind or default flag
+export const updateCaption = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const track = video.captions.id(req.params.trackId);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Caption track not found' });
+    }
+
+    const updates = req.validatedData;
+    const language = updates.language ?? track.language;
+    const kind = updates.kind ?? track.kind;
+    const existing = captionService.findTrack(video, language, kind);
+
+    if (existing && !existing._id.equals(track._id)) {
+      return res.status(409).json({ error: `A ${kind} track for ${language} already exists` });
+    }
+
+    captionService.updateTrack(video, track, updates);
+    await video.save();
+
+    logger.info(`Caption track ${track._id} of video ${video._id} updated by user ${req.userId}`);
+
+    res.json({
+      message: 'Caption track updated successfully',
+      caption: track,
+      captions: video.captions
+    });
+  } catch (error) {
+    logger.error('Update caption error:', error);
+    res.status(500).json({ error: 'Failed to update caption track' });
+  }
+};
+
+// Remove a track and its file
+export const deleteCaption = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const track = video.captions.id(req.params.trackId);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Caption track not found' });
+    }
+
+    await captionService.deleteTrack(video, track);
+    await video.save();
+
+    logger.info(`Caption track ${req.params.trackId} deleted from video ${video._id} by user ${req.userId}`);
+
+    res.json({
+      message: 'Caption track deleted successfully',
+      captions: video.captions
+    });
+  } catch (error) {
+    logger.error('Delete caption error:', error);
+    res.status(500).json({ error: 'Failed to delete caption track' });
+  }
+};
+
+export default {
+  getCaptions,
+  createCaption,
+  updateCaption,
+  deleteCaption
+};
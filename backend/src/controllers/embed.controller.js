@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import embedService, { escapeHtml } from '../services/embed.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Embed Controller - The iframe player page and the oEmbed endpoint
+ */
+
+// Player page for iframes: public videos, or any video through ?share=<shareToken>
+export const getEmbedPage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const shareToken = typeof req.query.share === 'string' ? req.query.share : null;
+
+    if (!/^[a-f0-9]{24}$/.test(id)) {
+      return sendPage(res, 404, { title: 'Video not found', message: 'Video not found' });
+    }
+
+    const { video, link, error } = await embedService.resolve(id, shareToken);
+
+    if (error) {
+      return sendPage(res, error.status, { title: 'Video unavailable', message: error.message });
+    }
+
+    const frameAncestors = await embedService.getFrameAncestors(video.organizationId);
+
+    if (video.status !== 'completed') {
+      return sendPage(res, 200, {
+        title: video.title,
+        message: 'This video is still being processed. Check back soon.',
+        frameAncestors
+      });
+    }
+
+    const posterUrl = embedService.getThumbnailUrl(video, link, shareToken);
+    const poster = posterUrl ? ` poster="${escapeHtml(posterUrl)}"` : '';
+
+    // Public videos play straight away
+    if (!link) {
+      return sendPage(res, 200, {
+        title: video.title,
+        body: `<video controls preload="metadata"${poster} src="/api/stream/${video._id}"></video>`,
+        frameAncestors
+      });
+    }
+
+    // Share links start a viewing session first (and ask for the password, if any)
+    const passwordField = link.hasPassword
+      ? '<input name="password" type="password" placeholder="Password" required autocomplete="off">'
+      : '';
+
+    sendPage(res, 200, {
+      title: video.title,
+      body: `<video controls hidden${poster}></video>
+<form id="unlock" class="center" data-share="${escapeHtml(shareToken)}">
+  ${passwordField}
+  <button type="submit">&#9654; Play</button>
+  <p id="error" role="alert"></p>
+</form>`,
+      script: SHARE_PLAYER_SCRIPT,
+      frameAncestors
+    });
+  } catch (error) {
+    logger.error('Embed page error:', error);
+    sendPage(res, 500, { title: 'Error', message: 'Failed to load video' });
+  }
+};
+
+// oEmbed (https://oembed.com) for watch, share-link and embed URLs
+export const getOEmbed = async (req, res) => {
+  try {
+    const { url, format = 'json', maxwidth, maxheight } = req.query;
+
+    if (format !== 'json') {
+      return res.status(501).json({ error: 'Only the json format is supported' });
+    }
+
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const target = embedService.parseUrl(url);
+
+    if (!target) {
+      return res.status(404).json({ error: 'URL is not an embeddable video' });
+    }
+
+    const { video, link, error } = await embedService.resolve(target.videoId, target.shareToken);
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json(embedService.buildOEmbed(video, link, target.shareToken, {
+      maxWidth: parseInt(maxwidth, 10) || undefined,
+      maxHeight: parseInt(maxheight, 10) || undefined
+    }));
+  } catch (error) {
+    logger.error('oEmbed error:', error);
+    res.status(500).json({ error: 'Failed to build oEmbed response' });
+  }
+};
+
+// Opens a share-link session, then starts playback
+const SHARE_PLAYER_SCRIPT = `
+const form = document.getElementById('unlock');
+const video = document.querySelector('video');
+const base = '/api/public/' + encodeURIComponent(form.dataset.share);
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const error = document.getElementById('error');
+  error.textContent = '';
+
+  const response = await fetch(base + '/session', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password: form.elements.password ? form.elements.password.value : undefined })
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    error.textContent = data.error || 'This video is not available';
+    return;
+  }
+
+  form.hidden = true;
+  video.hidden = false;
+  video.src = base + '/stream?session=' + encodeURIComponent(data.sessionToken);
+  video.play().catch(() => {});
+});
+`;
+
+// Minimal standalone page; frame-ancestors limits which sites may embed it
+function sendPage(res, status, { title, body, message, script, frameAncestors = ['*'] }) {
+  const nonce = crypto.randomBytes(16).toString('base64');
+
+  res.removeHeader('X-Frame-Options');
+  res.set('Content-Security-Policy', [
+    "default-src 'none'",
+    `script-src 'nonce-${nonce}'`,
+    `style-src 'nonce-${nonce}'`,
+    "img-src 'self' https: data:",
+    "media-src 'self' https:",
+    "connect-src 'self'",
+    `frame-ancestors ${frameAncestors.join(' ')}`
+  ].join('; '));
+  res.set('Cache-Control', 'private, no-store');
+
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style nonce="${nonce}">
+  html, body { margin: 0; height: 100%; background: #000; color: #fff; font-family: system-ui, sans-serif; }
+  video { display: block; width: 100%; height: 100%; }
+  .center { display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 8px; height: 100%; text-align: center; padding: 0 16px; box-sizing: border-box; }
+  input, button { font: inherit; padding: 8px 12px; border-radius: 6px; border: 0; }
+  button { background: #2563eb; color: #fff; cursor: pointer; }
+  #error { color: #fca5a5; min-height: 1em; margin: 0; }
+</style>
+</head>
+<body>
+${body || `<div class="center"><p>${escapeHtml(message)}</p></div>`}
+${script ? `<script nonce="${nonce}">${script}</script>` : ''}
+</body>
+</html>`);
+}
+
+export default {
+  getEmbedPage,
+  getOEmbed
+};
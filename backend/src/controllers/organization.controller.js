@@ -0,0 +1,287 @@
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import quotaService from '../services/quota.service.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Organization Controller - Operations on the caller's organization
+ */
+
+// Get the caller's organization
+export const getMyOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId)
+      .populate('ownerId', 'name email');
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const memberCount = await User.countDocuments({ organizationId: organization._id });
+
+    res.json({ organization, memberCount });
+  } catch (error) {
+    logger.error('Get organization error:', error);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+};
+
+// Update name, slug and settings (admin only)
+export const updateMyOrganization = async (req, res) => {
+  try {
+    const { name, slug, settings } = req.validatedData || req.body;
+
+    const organization = await Organization.findById(req.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (slug && slug !== organization.slug) {
+      const existing = await Organization.findOne({ slug });
+      if (existing) {
+        return res.status(409).json({ error: 'Slug is already in use' });
+      }
+      organization.slug = slug;
+    }
+
+    if (name) organization.name = name;
+
+    if (settings) {
+      for (const [key, value] of Object.entries(settings)) {
+        organization.set(`settings.${key}`, value);
+      }
+    }
+
+    await organization.save();
+    await organization.populate('ownerId', 'name email');
+
+    logger.info(`Organization updated: ${organization._id} by user ${req.userId}`);
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization
+    });
+  } catch (error) {
+    logger.error('Update organization error:', error);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+};
+
+// Deactivate or reactivate the organization (owner only)
+export const updateOrganizationStatus = async (req, res) => {
+  try {
+    const { isActive } = req.validatedData || req.body;
+
+    const organization = await Organization.findById(req.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (!isOwner(organization, req.userId)) {
+      return res.status(403).json({ error: 'Only the organization owner can change its status' });
+    }
+
+    organization.isActive = isActive;
+    await organization.save();
+
+    logger.info(
+      `Organization ${isActive ? 'activated' : 'deactivated'}: ${organization._id} by user ${req.userId}`
+    );
+
+    res.json({
+      message: `Organization ${isActive ? 'activated' : 'deactivated'} successfully`,
+      organization: {
+        id: organization._id,
+        name: organization.name,
+        isActive: organization.isActive
+      }
+    });
+  } catch (error) {
+    logger.error('Update organization status error:', error);
+    res.status(500).json({ error: 'Failed to update organization status' });
+  }
+};
+
+// Hand ownership to another member (owner only); the new owner becomes an admin
+export const transferOwnership = async (req, res) => {
+  try {
+    const { userId } = req.validatedData || req.body;
+
+    const organization = await Organization.findById(req.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (!isOwner(organization, req.userId)) {
+      return res.status(403).json({ error: 'Only the organization owner can transfer ownership' });
+    }
+
+    const newOwner = await User.findOne({ _id: userId, organizationId: organization._id });
+
+    if (!newOwner) {
+      return res.status(404).json({ error: 'User not found in this organization' });
+    }
+
+    if (!newOwner.isActive) {
+      return res.status(400).json({ error: 'Cannot transfer ownership to a deactivated user' });
+    }
+
+    if (newOwner.role !== 'admin') {
+      newOwner.role = 'admin';
+      await newOwner.save();
+    }
+
+    organization.ownerId = newOwner._id;
+    await organization.save();
+    await organization.populate('ownerId', 'name email');
+
+    logger.info(`Organization ${organization._id} ownership transferred from ${req.userId} to ${newOwner._id}`);
+
+    res.json({
+      message: 'Ownership transferred successfully',
+      organization
+    });
+  } catch (error) {
+    logger.error('Transfer ownership error:', error);
+    res.status(500).json({ error: 'Failed to transfer ownership' });
+  }
+};
+
+// List the organization's members (admin only)
+export const getMembers = async (req, res) => {
+  try {
+    const members = await User.find({ organizationId: req.organizationId })
+      .select('name email role isActive lastLogin createdAt')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({ members });
+  } catch (error) {
+    logger.error('Get organization members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+};
+
+// Invite someone by email with a preset role (admin only).
+// The token is only returned here; share the link with the invitee.
+export const createInvitation = async (req, res) => {
+  try {
+    const { email, role, expiresInDays } = req.validatedData || req.body;
+    const normalizedEmail = email.toLowerCase();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(409).json({ error: 'User with this email already exists' });
+    }
+
+    // A new invitation replaces any pending one for the same address
+    await Invitation.updateMany(
+      {
+        organizationId: req.organizationId,
+        email: normalizedEmail,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      { revokedAt: new Date() }
+    );
+
+    const token = Invitation.generateToken();
+    const days = expiresInDays || config.security.inviteExpiryDays;
+
+    const invitation = await Invitation.create({
+      organizationId: req.organizationId,
+      email: normalizedEmail,
+      role,
+      tokenHash: Invitation.hashToken(token),
+      invitedBy: req.userId,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    logger.info(`Invitation created: ${normalizedEmail} (${role}) to org ${req.organizationId} by user ${req.userId}`);
+
+    res.status(201).json({
+      message: 'Invitation created successfully',
+      invitation,
+      inviteToken: token,
+      inviteUrl: `${config.frontendUrl}/register?invite=${token}`
+    });
+  } catch (error) {
+    logger.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+};
+
+// List invitations (admin only)
+export const getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({ organizationId: req.organizationId })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ invitations });
+  } catch (error) {
+    logger.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+};
+
+// Revoke a pending invitation (admin only)
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.invitationId,
+      organizationId: req.organizationId
+    });
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ error: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    logger.info(`Invitation revoked: ${invitation._id} by user ${req.userId}`);
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    logger.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+};
+
+// Get storage usage against the organization's quota
+export const getMyUsage = async (req, res) => {
+  try {
+    const usage = await quotaService.getUsage(req.organizationId);
+
+    res.json({ usage });
+  } catch (error) {
+    logger.error('Get organization usage error:', error);
+    res.status(500).json({ error: 'Failed to fetch storage usage' });
+  }
+};
+
+function isOwner(organization, userId) {
+  return !!organization.ownerId && organization.ownerId.toString() === userId.toString();
+}
+
+export default {
+  getMyOrganization,
+  updateMyOrganization,
+  updateOrganizationStatus,
+  transferOwnership,
+  getMembers,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getMyUsage
+};
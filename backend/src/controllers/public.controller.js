@@ -0,0 +1,147 @@
+import shareLinkService from '../services/shareLink.service.js';
+import cachePolicyService from '../services/cachePolicy.service.js';
+import { sendVideo, sendThumbnail } from './stream.controller.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Public Controller - Unauthenticated access to videos through share links.
+ * Nothing here reads user credentials; the share token and its viewing
+ * session are the only proof of access.
+ */
+
+// Describe a shared video and what the link requires before playback
+export const getSharedVideo = async (req, res) => {
+  try {
+    const { link, video, error } = await shareLinkService.resolve(req.params.shareToken);
+
+    if (error) {
+      return sendLinkError(res, error);
+    }
+
+    res.json({
+      video: {
+        title: video.title,
+        description: video.description,
+        duration: video.duration,
+        resolution: video.resolution,
+        status: video.status
+      },
+      link: {
+        expiresAt: link.expiresAt,
+        requiresPassword: link.hasPassword,
+        remainingViews: link.maxViews === null ? null : link.maxViews - link.viewCount
+      }
+    });
+  } catch (error) {
+    logger.error('Get shared video error:', error);
+    res.status(500).json({ error: 'Failed to load shared video' });
+  }
+};
+
+// Check the password, count a view and start a viewing session
+export const openSharedVideo = async (req, res) => {
+  try {
+    const { password } = req.validatedData || req.body;
+
+    const { link, video, error } = await shareLinkService.resolve(req.params.shareToken, { withPassword: true });
+
+    if (error) {
+      return sendLinkError(res, error);
+    }
+
+    if (!(await link.comparePassword(password))) {
+      return res.status(401).json({
+        error: link.hasPassword && !password ? 'Password required' : 'Incorrect password',
+        code: 'SHARE_LINK_PASSWORD_INVALID'
+      });
+    }
+
+    if (video.status !== 'completed') {
+      return res.status(400).json({
+        error: 'Video not ready for streaming',
+        status: video.status
+      });
+    }
+
+    const claimed = await shareLinkService.claimView(link);
+
+    if (!claimed) {
+      return res.status(410).json({
+        error: 'Share link has reached its view limit',
+        code: 'SHARE_LINK_EXHAUSTED'
+      });
+    }
+
+    res.json(shareLinkService.createSession(claimed));
+  } catch (error) {
+    logger.error('Open shared video error:', error);
+    res.status(500).json({ error: 'Failed to open shared video' });
+  }
+};
+
+// Stream a shared video; requires a session from openSharedVideo (?session=)
+export const streamSharedVideo = async (req, res) => {
+  try {
+    const { link, video, error } = await shareLinkService.resolve(req.params.shareToken, { forSession: true });
+
+    if (error) {
+      return sendLinkError(res, error);
+    }
+
+    if (!shareLinkService.verifySession(req.query.session, link)) {
+      return res.status(401).json({
+        error: 'Share session required',
+        code: 'SHARE_SESSION_REQUIRED'
+      });
+    }
+
+    if (video.status !== 'completed') {
+      return res.status(400).json({
+        error: 'Video not ready for streaming',
+        status: video.status
+      });
+    }
+
+    await sendVideo(req, res, video, { cacheControl: cachePolicyService.forShareLink(link) });
+  } catch (error) {
+    logger.error('Shared stream error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Streaming failed' });
+    }
+  }
+};
+
+// Thumbnail of a shared video; password-protected links need a session
+export const getSharedThumbnail = async (req, res) => {
+  try {
+    const { link, video, error } = await shareLinkService.resolve(req.params.shareToken, { forSession: true });
+
+    if (error) {
+      return sendLinkError(res, error);
+    }
+
+    if (link.hasPassword && !shareLinkService.verifySession(req.query.session, link)) {
+      return res.status(401).json({
+        error: 'Share session required',
+        code: 'SHARE_SESSION_REQUIRED'
+      });
+    }
+
+    await sendThumbnail(req, res, video, { cacheControl: cachePolicyService.forShareLink(link) });
+  } catch (error) {
+    logger.error('Shared thumbnail error:', error);
+    res.status(500).json({ error: 'Failed to load thumbnail' });
+  }
+};
+
+function sendLinkError(res, error) {
+  return res.status(error.status).json({ error: error.message, code: error.code });
+}
+
+export default {
+  getSharedVideo,
+  openSharedVideo,
+  streamSharedVideo,
+  getSharedThumbnail
+};
@@ -1,13 +1,18 @@
 import Video from '../models/Video.js';
 import storageService from '../services/storage.service.js';
+import accessService, { ACCESS_FIELDS } from '../services/access.service.js';
+import playbackTokenService from '../services/playbackToken.service.js';
+import cachePolicyService, { NO_STORE } from '../services/cachePolicy.service.js';
+import { sendFileRange } from '../utils/range.js';
+import { addQueryToHlsPlaylist, addQueryToDashManifest } from '../utils/playlist.js';
 import logger from '../utils/logger.js';
+import config from '../config/env.js';
 import fs from 'fs';
 import path from 'path';
 
 export const streamVideo = async (req, res) => {
   try {
     const { id } = req.params;
-    const range = req.headers.range;
 
     // Get video
     const video = await Video.findById(id);
@@ -16,9 +21,8 @@ export const streamVideo = async (req, res) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    // Check organization access (if auth middleware ran)
-    if (req.organizationId && video.organizationId.toString() !== req.organizationId.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!canPlay(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
     }
 
     // Check if video is ready
@@ -29,110 +33,554 @@ export const streamVideo = async (req, res) => {
       });
     }
 
-    // Get file path
-    const videoPath = storageService.getLocalPath(video.storageKey);
+    await sendVideo(req, res, video);
+  } catch (error) {
+    logger.error('Stream error:', error);
 
-    if (!fs.existsSync(videoPath)) {
-      logger.error(`Video file not found: ${videoPath}`);
-      return res.status(404).json({ error: 'Video file not found' });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Streaming failed' });
     }
+  }
+};
 
-    const videoSize = video.fileSize;
-    const mimeType = getMimeType(video.format);
+// Short-lived presigned URL for playing or downloading a bucket-hosted video
+export const getSignedStreamUrl = async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    // Handle range requests for video seeking
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : videoSize - 1;
-      const chunkSize = (end - start) + 1;
+    const video = await Video.findById(id);
 
-      const fileStream = fs.createReadStream(videoPath, { start, end });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
 
-      res.writeHead(206, {
-        'Content-Range': `bytes ${start}-${end}/${videoSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunkSize,
-        'Content-Type': mimeType,
-        'Cache-Control': 'public, max-age=31536000'
-      });
+    if (!accessService.canViewVideo(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
+    }
 
-      fileStream.pipe(res);
-    } else {
-      // No range requested, send entire file
-      res.writeHead(200, {
-        'Content-Length': videoSize,
-        'Content-Type': mimeType,
-        'Cache-Control': 'public, max-age=31536000'
+    if (video.status !== 'completed') {
+      return res.status(400).json({
+        error: 'Video not ready for streaming',
+        status: video.status
       });
+    }
 
-      const fileStream = fs.createReadStream(videoPath);
-      fileStream.pipe(res);
+    if (!storageService.supportsPresignedUrls(video.storageProvider)) {
+      return res.status(400).json({ error: 'Presigned URLs are only available for S3 or R2 storage' });
     }
 
-    // Update view count asynchronously
-    setImmediate(() => {
-      Video.findByIdAndUpdate(id, {
-        $inc: { viewCount: 1 },
-        lastViewedAt: new Date()
-      }).catch(err => logger.error('Failed to update view count:', err));
-    });
+    const download = req.query.download === 'true';
+    const file = getPlaybackFile(video, download);
+
+    const { url, expiresAt } = await storageService.getPresignedDownloadUrl(
+      file.key,
+      video.storageProvider,
+      {
+        contentType: file.contentType,
+        contentDisposition: download
+          ? `attachment; filename="${video.originalFilename.replace(/"/g, '')}"`
+          : undefined
+      }
+    );
 
+    res.json({ url, expiresAt });
   } catch (error) {
-    logger.error('Stream error:', error);
+    logger.error('Signed stream URL error:', error);
+    res.status(500).json({ error: 'Failed to create stream URL' });
+  }
+};
 
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Streaming failed' });
+// Mint a playback token for media URLs of one video
+export const createPlaybackToken = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id).select(ACCESS_FIELDS);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canViewVideo(video, req)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
+
+    res.json(playbackTokenService.mint(video._id, req));
+  } catch (error) {
+    logger.error('Playback token error:', error);
+    res.status(500).json({ error: 'Failed to create playback token' });
   }
 };
 
-export const getThumbnail = async (req, res) => {
+// Mint playback tokens for several videos at once (library thumbnails).
+// Videos the caller can't view are left out.
+export const createPlaybackTokens = async (req, res) => {
+  try {
+    const { videoIds } = req.validatedData || req.body;
+
+    const videos = await Video.find({ _id: { $in: videoIds } }).select(ACCESS_FIELDS);
+
+    const tokens = {};
+    let expiresAt = null;
+
+    for (const video of videos) {
+      if (accessService.canViewVideo(video, req)) {
+        const minted = playbackTokenService.mint(video._id, req);
+        tokens[video._id] = minted.token;
+        expiresAt = minted.expiresAt;
+      }
+    }
+
+    res.json({ tokens, expiresAt });
+  } catch (error) {
+    logger.error('Playback tokens error:', error);
+    res.status(500).json({ error: 'Failed to create playback tokens' });
+  }
+};
+
+export const streamHls = (req, res) => serveStreamingAsset(req, res, 'hls');
+
+export const streamDash = (req, res) => serveStreamingAsset(req, res, 'dash');
+
+// Pick HLS or DASH from ?protocol= or the Accept header and redirect to its manifest
+export const getManifest = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const video = await Video.findById(id).select('thumbnailUrl thumbnail organizationId');
+    const video = await Video.findById(id).select(`status streaming ${ACCESS_FIELDS}`);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    const thumbUrl = video.thumbnailUrl || video.thumbnail;
+    if (!canPlay(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
+    }
 
-    if (!thumbUrl) {
-      return res.status(404).json({ error: 'Thumbnail not available' });
+    if (video.status !== 'completed' || !video.streaming?.prefix) {
+      return res.status(404).json({ error: 'Adaptive stream not available' });
     }
 
-    // Check access (if auth middleware ran)
-    if (req.organizationId && video.organizationId.toString() !== req.organizationId.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    let protocol = req.query.protocol?.toLowerCase();
+
+    if (protocol && !STREAMING_PROTOCOLS[protocol]) {
+      return res.status(400).json({
+        error: 'Unsupported protocol',
+        supported: Object.keys(STREAMING_PROTOCOLS)
+      });
     }
 
-    // If thumbnail is a URL, redirect
-    if (thumbUrl.startsWith('http')) {
-      return res.redirect(thumbUrl);
+    if (!protocol) {
+      const accepted = req.accepts(['application/vnd.apple.mpegurl', 'application/dash+xml']);
+      protocol = accepted === 'application/dash+xml' ? 'dash' : 'hls';
     }
 
-    // If thumbnail is local path
-    let thumbnailPath = thumbUrl;
-    
-    // Handle relative paths
-    if (!path.isAbsolute(thumbnailPath)) {
-      thumbnailPath = path.resolve(thumbnailPath);
+    const entryFile = STREAMING_PROTOCOLS[protocol].entryFile(video);
+
+    if (!entryFile) {
+      return res.status(404).json({ error: `${protocol.toUpperCase()} stream not available` });
+    }
+
+    // Keep the query string: it may carry the ?playback= token
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+
+    res.vary('Accept');
+    res.redirect(302, `${req.baseUrl}/${id}/${protocol}/${entryFile}${query}`);
+  } catch (error) {
+    logger.error('Manifest negotiation error:', error);
+    res.status(500).json({ error: 'Failed to resolve stream manifest' });
+  }
+};
+
+export const getThumbnail = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findById(id).select(`thumbnailUrl thumbnail storageProvider ${ACCESS_FIELDS}`);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (!fs.existsSync(thumbnailPath)) {
-      logger.warn(`Thumbnail file not found: ${thumbnailPath}`);
-      return res.status(404).json({ error: 'Thumbnail file not found' });
+    if (!canPlay(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
     }
 
-    res.sendFile(thumbnailPath);
+    await sendThumbnail(req, res, video);
   } catch (error) {
     logger.error('Thumbnail error:', error);
     res.status(500).json({ error: 'Failed to load thumbnail' });
   }
 };
 
+// A poster option: a generated candidate by index (see video.thumbnails.candidates),
+// or `custom` for the uploaded poster
+export const getThumbnailCandidate = async (req, res) => {
+  try {
+    const { id, index } = req.params;
+
+    const video = await Video.findById(id).select(`thumbnails storageProvider ${ACCESS_FIELDS}`);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!canPlay(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
+    }
+
+    const candidate = index === 'custom'
+      ? video.thumbnails?.custom
+      : video.thumbnails?.candidates?.[parseInt(index, 10)];
+
+    if (!candidate?.key || !await sendStoredFile(req, res, candidate.key, video.storageProvider, cachePolicyService.forVideo(video))) {
+      return res.status(404).json({ error: 'Thumbnail candidate not found' });
+    }
+  } catch (error) {
+    logger.error('Thumbnail candidate error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to load thumbnail' });
+    }
+  }
+};
+
+// Muted hover preview clip for the library
+export const getPreviewClip = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findById(id).select(`previewClip storageProvider ${ACCESS_FIELDS}`);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!canPlay(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
+    }
+
+    const key = video.previewClip?.key;
+
+    if (!key || !await sendStoredFile(req, res, key, video.storageProvider, cachePolicyService.forVideo(video))) {
+      return res.status(404).json({ error: 'Preview not available' });
+    }
+  } catch (error) {
+    logger.error('Preview clip error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to load preview' });
+    }
+  }
+};
+
+// Caption track, loaded by the player's <track> elements
+export const getCaption = async (req, res) => {
+  try {
+    const { id, trackId } = req.params;
+
+    const video = await Video.findById(id).select(`captions storageProvider ${ACCESS_FIELDS}`);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!canPlay(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
+    }
+
+    const track = video.captions.id(trackId);
+
+    if (!track?.key || !await sendStoredFile(req, res, track.key, video.storageProvider, cachePolicyService.forVideo(video))) {
+      return res.status(404).json({ error: 'Caption track not found' });
+    }
+  } catch (error) {
+    logger.error('Caption track error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to load caption track' });
+    }
+  }
+};
+
+// Seek preview WebVTT thumbnails track; its cues point at sprite.jpg next to it
+export const getSeekPreviewTrack = (req, res) => serveSeekPreview(req, res, 'vtt');
+
+// Seek preview sprite sheet
+export const getSeekPreviewSprite = (req, res) => serveSeekPreview(req, res, 'sprite');
+
+/**
+ * Send a video's file: a presigned redirect for bucket-hosted videos, otherwise
+ * the bytes (see utils/range.js). Playback gets the web master when there is one;
+ * `?download=true` always gets the original as an attachment.
+ * Access must already have been checked.
+ */
+export async function sendVideo(req, res, video, options = {}) {
+  const cacheControl = options.cacheControl || cachePolicyService.forVideo(video);
+  const download = req.query.download === 'true';
+  const file = getPlaybackFile(video, download);
+
+  // Bucket-hosted videos are served straight from S3/R2
+  if (config.storage.presignedStreaming && storageService.supportsPresignedUrls(video.storageProvider)) {
+    const { url } = await storageService.getPresignedDownloadUrl(
+      file.key,
+      video.storageProvider,
+      {
+        contentType: file.contentType,
+        contentDisposition: download
+          ? `attachment; filename="${video.originalFilename.replace(/"/g, '')}"`
+          : undefined
+      }
+    );
+
+    recordView(video._id);
+    res.set('Cache-Control', NO_STORE);
+    return res.redirect(302, url);
+  }
+
+  const fileStat = await storageService.stat(file.key, video.storageProvider);
+
+  if (!fileStat) {
+    logger.error(`Video file not found: ${file.key} (${video.storageProvider})`);
+    return res.status(404).json({ error: 'Video file not found' });
+  }
+
+  if (download) {
+    res.attachment(video.originalFilename);
+  }
+
+  const { status, ranges } = await sendFileRange(req, res, {
+    ...fileStat,
+    contentType: file.contentType,
+    cacheControl,
+    openStream: (range) => storageService.getFileStream(file.key, range, video.storageProvider)
+  });
+
+  // Count a view when playback starts, not for every seek or HEAD
+  if (req.method === 'GET' && [200, 206].includes(status) && (!ranges || ranges[0].start === 0)) {
+    recordView(video._id);
+  }
+}
+
+/**
+ * Send a video's thumbnail. Access must already have been checked.
+ */
+export async function sendThumbnail(req, res, video, options = {}) {
+  const thumbUrl = video.thumbnailUrl || video.thumbnail;
+  const cacheControl = options.cacheControl || cachePolicyService.forVideo(video);
+
+  if (!thumbUrl) {
+    return res.status(404).json({ error: 'Thumbnail not available' });
+  }
+
+  // If thumbnail is a URL, redirect
+  if (thumbUrl.startsWith('http')) {
+    return res.redirect(thumbUrl);
+  }
+
+  // Thumbnail stored under a storage key
+  if (await sendStoredFile(req, res, thumbUrl, video.storageProvider, cacheControl)) {
+    return;
+  }
+
+  // Older records store a local file path
+  let thumbnailPath = thumbUrl;
+
+  // Handle relative paths
+  if (!path.isAbsolute(thumbnailPath)) {
+    thumbnailPath = path.resolve(thumbnailPath);
+  }
+
+  if (!fs.existsSync(thumbnailPath)) {
+    logger.warn(`Thumbnail file not found: ${thumbnailPath}`);
+    return res.status(404).json({ error: 'Thumbnail file not found' });
+  }
+
+  // send handles ETag and conditional requests for local files
+  res.sendFile(thumbnailPath, {
+    cacheControl: false,
+    headers: { 'Cache-Control': cacheControl }
+  });
+}
+
+// Both protocols read from the same segment store; only the manifests differ
+const STREAMING_PROTOCOLS = {
+  hls: {
+    mimeTypes: {
+      '.m3u8': 'application/vnd.apple.mpegurl',
+      '.m4s': 'video/iso.segment'
+    },
+    entryFile: (video) => video.streaming?.hls?.masterPlaylist
+  },
+  dash: {
+    mimeTypes: {
+      '.mpd': 'application/dash+xml',
+      '.m4s': 'video/iso.segment'
+    },
+    entryFile: (video) => video.streaming?.dash?.manifest
+  }
+};
+
+// Playlist rewriters by extension, for passing a playback token on
+const PLAYLIST_REWRITERS = {
+  '.m3u8': addQueryToHlsPlaylist,
+  '.mpd': addQueryToDashManifest
+};
+
+// Serve a manifest, playlist or segment from the video's segment store
+async function serveStreamingAsset(req, res, protocol) {
+  try {
+    const { id } = req.params;
+    const assetPath = req.params[0] || '';
+    const { mimeTypes, entryFile } = STREAMING_PROTOCOLS[protocol];
+
+    const video = await Video.findById(id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!canPlay(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
+    }
+
+    if (video.status !== 'completed' || !entryFile(video)) {
+      return res.status(404).json({ error: `${protocol.toUpperCase()} stream not available` });
+    }
+
+    const extension = path.extname(assetPath).toLowerCase();
+    const mimeType = mimeTypes[extension];
+    if (!mimeType) {
+      return res.status(400).json({ error: `Unsupported ${protocol.toUpperCase()} asset` });
+    }
+
+    // Resolve inside the video's segment store only
+    const assetKey = path.posix.join(video.streaming.prefix, assetPath);
+
+    if (!assetKey.startsWith(`${video.streaming.prefix}/`)) {
+      return res.status(400).json({ error: 'Invalid stream asset path' });
+    }
+
+    const assetStat = await storageService.stat(assetKey, video.storageProvider);
+
+    if (!assetStat) {
+      return res.status(404).json({ error: 'Stream asset not found' });
+    }
+
+    // Count a view once per playback session, when the entry manifest is fetched
+    if (req.method === 'GET' && assetPath === entryFile(video)) {
+      recordView(id);
+    }
+
+    // Playlists pass a playback token on to the renditions and segments they reference
+    const playbackToken = playbackTokenService.grants(req, video) ? req.query.playback : null;
+
+    if (playbackToken && PLAYLIST_REWRITERS[extension]) {
+      return sendPlaylist(res, assetKey, video.storageProvider, {
+        contentType: mimeType,
+        rewrite: (text) => PLAYLIST_REWRITERS[extension](text, `playback=${encodeURIComponent(playbackToken)}`)
+      });
+    }
+
+    await sendFileRange(req, res, {
+      ...assetStat,
+      contentType: mimeType,
+      cacheControl: cachePolicyService.forVideo(video),
+      openStream: (range) => storageService.getFileStream(assetKey, range, video.storageProvider)
+    });
+  } catch (error) {
+    logger.error(`${protocol.toUpperCase()} stream error:`, error);
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Streaming failed' });
+    }
+  }
+}
+
+// Send a playlist rewritten for this request; token-bearing, so never cached
+async function sendPlaylist(res, key, providerName, { contentType, rewrite }) {
+  const chunks = [];
+
+  for await (const chunk of await storageService.getFileStream(key, undefined, providerName)) {
+    chunks.push(chunk);
+  }
+
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': NO_STORE
+  });
+  res.send(rewrite(Buffer.concat(chunks).toString('utf8')));
+}
+
+async function serveSeekPreview(req, res, asset) {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findById(id).select(`seekPreview storageProvider ${ACCESS_FIELDS}`);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!canPlay(video, req)) {
+      return res.status(req.userId ? 403 : 401).json({ error: 'Access denied' });
+    }
+
+    const key = video.seekPreview?.[asset];
+
+    if (!key || !await sendStoredFile(req, res, key, video.storageProvider, cachePolicyService.forVideo(video))) {
+      return res.status(404).json({ error: 'Seek preview not available' });
+    }
+  } catch (error) {
+    logger.error('Seek preview error:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to load seek preview' });
+    }
+  }
+}
+
+// Send a derived file (thumbnail, sprite, ...) from storage; false if it doesn't exist
+async function sendStoredFile(req, res, key, providerName, cacheControl) {
+  const fileStat = await storageService.stat(key, providerName);
+
+  if (!fileStat) {
+    return false;
+  }
+
+  await sendFileRange(req, res, {
+    ...fileStat,
+    contentType: storageService.getContentType(key),
+    cacheControl,
+    openStream: (range) => storageService.getFileStream(key, range, providerName)
+  });
+
+  return true;
+}
+
+// Signed-in viewers with access, or a playback token minted for this video
+function canPlay(video, req) {
+  return accessService.canViewVideo(video, req) || playbackTokenService.grants(req, video);
+}
+
+// Update view count asynchronously
+function recordView(videoId) {
+  setImmediate(() => {
+    Video.findByIdAndUpdate(videoId, {
+      $inc: { viewCount: 1 },
+      lastViewedAt: new Date()
+    }).catch(err => logger.error('Failed to update view count:', err));
+  });
+}
+
+// The browser-safe web master for playback when the original needs one; the original otherwise
+function getPlaybackFile(video, download) {
+  if (!download && video.webMaster?.key) {
+    return { key: video.webMaster.key, contentType: 'video/mp4' };
+  }
+
+  return { key: video.storageKey, contentType: getMimeType(video.format) };
+}
+
 // Helper function to get MIME type
 function getMimeType(format) {
   const mimeTypes = {
@@ -149,6 +597,17 @@ function getMimeType(format) {
 
 export default {
   streamVideo,
-  getThumbnail
+  getSignedStreamUrl,
+  createPlaybackToken,
+  createPlaybackTokens,
+  streamHls,
+  streamDash,
+  getManifest,
+  getThumbnail,
+  getThumbnailCandidate,
+  getPreviewClip,
+  getCaption,
+  getSeekPreviewTrack,
+  getSeekPreviewSprite
 };
 
@@ -0,0 +1,346 @@
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import processingService from '../services/processing.service.js';
+import storageService from '../services/storage.service.js';
+import quotaService from '../services/quota.service.js';
+import uploadCleanupService from '../services/uploadCleanup.service.js';
+import formatService, { SNIFF_BYTES } from '../services/format.service.js';
+import { sendQuotaError } from '../middleware/quota.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Resumable uploads (tus 1.0.0 core + creation, termination and expiration).
+ * The upload URL is the video id; chunks are appended to the video's file in the
+ * upload directory and the file's size on disk is the authoritative offset.
+ */
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Uploads with a PATCH in progress, so two requests never append at once
+const activeUploads = new Set();
+
+export const getOptions = (req, res) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': config.upload.maxSizeMB * 1024 * 1024
+  });
+  res.status(204).end();
+};
+
+export const createUpload = async (req, res) => {
+  try {
+    if (!checkTusVersion(req, res)) return;
+
+    const uploadLength = parseInt(req.get('Upload-Length'), 10);
+
+    if (!Number.isSafeInteger(uploadLength) || uploadLength <= 0) {
+      return res.status(400).json({ error: 'Upload-Length header is required' });
+    }
+
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+
+    if (!metadata.filename) {
+      return res.status(400).json({ error: 'filename is required in Upload-Metadata' });
+    }
+
+    const format = path.extname(metadata.filename).substring(1).toLowerCase();
+
+    const formatCheck = await formatService.checkExtension(req.organizationId, format);
+
+    if (!formatCheck.valid) {
+      return res.status(400).json({ error: formatCheck.error });
+    }
+
+    // Per-video limit and storage quota, counting uploads already in flight
+    const quotaCheck = await quotaService.checkUpload(req.organizationId, uploadLength);
+
+    if (!quotaCheck.allowed) {
+      return sendQuotaError(res, quotaCheck, uploadLength);
+    }
+
+    const storageKey = `${uuidv4()}.${format}`;
+    await fs.promises.writeFile(storageService.getLocalPath(storageKey), '');
+
+    const expiresAt = new Date(Date.now() + UPLOAD_TTL_MS);
+    const visibility = ['private', 'organization', 'public'].includes(metadata.visibility)
+      ? metadata.visibility
+      : 'organization';
+
+    const video = await Video.create({
+      title: (metadata.title || metadata.filename).substring(0, 200),
+      description: (metadata.description || '').substring(0, 1000),
+      filename: storageKey,
+      originalFilename: metadata.filename,
+      fileSize: uploadLength,
+      format,
+      storageProvider: storageService.provider,
+      storageKey,
+      resumableUpload: {
+        length: uploadLength,
+        expiresAt
+      },
+      organizationId: req.organizationId,
+      uploadedBy: req.userId,
+      visibility,
+      status: 'uploading'
+    });
+
+    logger.info(`Resumable upload created: ${video._id} (${uploadLength} bytes) by user ${req.userId}`);
+
+    res.set({
+      'Tus-Resumable': TUS_VERSION,
+      'Location': `${req.baseUrl}/tus/${video._id}`,
+      'Upload-Expires': expiresAt.toUTCString()
+    });
+    res.status(201).end();
+  } catch (error) {
+    logger.error('Create resumable upload error:', error);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+};
+
+export const getUploadOffset = async (req, res) => {
+  try {
+    const video = await findUpload(req, res);
+    if (!video) return;
+
+    const offset = await getOffset(video);
+
+    res.set({
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Offset': offset,
+      'Upload-Length': video.resumableUpload.length,
+      'Upload-Expires': video.resumableUpload.expiresAt.toUTCString(),
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).end();
+  } catch (error) {
+    logger.error('Resumable upload status error:', error);
+    res.status(500).end();
+  }
+};
+
+export const patchUpload = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!checkTusVersion(req, res)) return;
+
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    const video = await findUpload(req, res);
+    if (!video) return;
+
+    if (activeUploads.has(id)) {
+      return res.status(423).json({ error: 'Upload is already in progress' });
+    }
+
+    const offset = await getOffset(video);
+    const requestOffset = parseInt(req.get('Upload-Offset'), 10);
+
+    if (requestOffset !== offset) {
+      return res.status(409).json({ error: 'Upload-Offset mismatch', offset });
+    }
+
+    activeUploads.add(id);
+
+    try {
+      await pipeline(
+        req,
+        limitBytes(video.resumableUpload.length - offset),
+        fs.createWriteStream(storageService.getLocalPath(video.storageKey), { flags: 'a' })
+      );
+    } catch (streamError) {
+      // Whatever reached the disk is kept; the client resumes from the new offset
+      if (streamError.code === 'UPLOAD_TOO_LARGE') {
+        return res.status(413).json({ error: 'Chunk exceeds Upload-Length' });
+      }
+      logger.warn(`Resumable upload interrupted: ${id} (${streamError.message})`);
+      if (!res.headersSent && !req.destroyed) {
+        res.status(400).json({ error: 'Upload interrupted' });
+      }
+      return;
+    } finally {
+      activeUploads.delete(id);
+    }
+
+    const newOffset = await getOffset(video);
+    const localPath = storageService.getLocalPath(video.storageKey);
+
+    // Sniff the container as soon as its leading bytes are in, so a mislabeled
+    // file is dropped before the rest of it is sent
+    const headerLength = Math.min(SNIFF_BYTES, video.resumableUpload.length);
+    if (offset < headerLength && newOffset >= headerLength) {
+      const headerCheck = formatService.checkHeader(await formatService.readHeader(localPath), video.format);
+
+      if (!headerCheck.valid) {
+        await uploadCleanupService.discardResumable(video);
+        logger.warn(`Resumable upload rejected: ${id} (${headerCheck.error})`);
+        return res.status(400).json({ error: headerCheck.error });
+      }
+    }
+
+    if (newOffset === video.resumableUpload.length) {
+      const contentCheck = await formatService.verifyFile(localPath, video.format);
+
+      if (!contentCheck.valid) {
+        await uploadCleanupService.discardResumable(video);
+        logger.warn(`Resumable upload rejected: ${id} (${contentCheck.error})`);
+        return res.status(400).json({ error: contentCheck.error });
+      }
+
+      await finalizeUpload(video);
+    }
+
+    res.set({
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Offset': newOffset
+    });
+    if (video.resumableUpload?.expiresAt) {
+      res.set('Upload-Expires', video.resumableUpload.expiresAt.toUTCString());
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Resumable upload patch error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Upload failed' });
+    }
+  }
+};
+
+export const terminateUpload = async (req, res) => {
+  try {
+    if (!checkTusVersion(req, res)) return;
+
+    const video = await findUpload(req, res);
+    if (!video) return;
+
+    if (activeUploads.has(video._id.toString())) {
+      return res.status(423).json({ error: 'Upload is in progress' });
+    }
+
+    await uploadCleanupService.discardResumable(video);
+
+    logger.info(`Resumable upload terminated: ${video._id}`);
+
+    res.set('Tus-Resumable', TUS_VERSION);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Terminate resumable upload error:', error);
+    res.status(500).json({ error: 'Failed to terminate upload' });
+  }
+};
+
+// Hand a fully received upload over to storage and the processing queue
+async function finalizeUpload(video) {
+  const filePath = storageService.getLocalPath(video.storageKey);
+
+  await storageService.uploadFile(filePath, video.storageKey);
+
+  video.fileSize = video.resumableUpload.length;
+  video.resumableUpload = undefined;
+  video.status = 'processing';
+  await video.save();
+
+  await processingService.processVideo(video._id);
+
+  logger.info(`Resumable upload completed: ${video._id}, processing started`);
+}
+
+// Load an in-progress upload owned by the caller, answering 404/410 otherwise
+async function findUpload(req, res) {
+  // A malformed id can't name an upload
+  const video = mongoose.isValidObjectId(req.params.id)
+    ? await Video.findById(req.params.id)
+    : null;
+
+  if (!video || !video.resumableUpload?.length || video.status !== 'uploading') {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+
+  if (video.uploadedBy.toString() !== req.userId.toString()) {
+    res.status(403).json({ error: 'Permission denied' });
+    return null;
+  }
+
+  if (video.resumableUpload.expiresAt < new Date()) {
+    await uploadCleanupService.discardResumable(video);
+    res.status(410).json({ error: 'Upload expired' });
+    return null;
+  }
+
+  return video;
+}
+
+async function getOffset(video) {
+  try {
+    const stats = await fs.promises.stat(storageService.getLocalPath(video.storageKey));
+    return stats.size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+function checkTusVersion(req, res) {
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    res.status(412).json({ error: `Tus-Resumable ${TUS_VERSION} required` });
+    return false;
+  }
+  return true;
+}
+
+// Upload-Metadata is a comma separated list of "key base64value" pairs
+function parseMetadata(header) {
+  const metadata = {};
+
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+
+  return metadata;
+}
+
+// Fails the pipeline if more than `maxBytes` arrive
+function limitBytes(maxBytes) {
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        const error = new Error('Chunk exceeds Upload-Length');
+        error.code = 'UPLOAD_TOO_LARGE';
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+export default {
+  getOptions,
+  createUpload,
+  getUploadOffset,
+  patchUpload,
+  terminateUpload
+};
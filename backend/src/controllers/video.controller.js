@@ -1,9 +1,26 @@
 import Video from '../models/Video.js';
+import User from '../models/User.js';
+import ShareLink from '../models/ShareLink.js';
+import ProcessingJob from '../models/ProcessingJob.js';
 import processingService from '../services/processing.service.js';
 import storageService from '../services/storage.service.js';
+import quotaService from '../services/quota.service.js';
+import formatService from '../services/format.service.js';
+import accessService, { ACCESS_FIELDS } from '../services/access.service.js';
+import shareLinkService from '../services/shareLink.service.js';
+import thumbnailService from '../services/thumbnail.service.js';
+import captionService from '../services/caption.service.js';
+import processingJobService from '../services/processingJob.service.js';
+import { sendQuotaError } from '../middleware/quota.js';
+import config from '../config/env.js';
 import logger from '../utils/logger.js';
+import mongoose from 'mongoose';
 import path from 'path';
 import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+
+// Bulky ffprobe details, only returned by getTechnicalMetadata
+const TECHNICAL_DETAIL_FIELDS = '-metadata.streams -metadata.chapters -metadata.tags';
 
 export const uploadVideo = async (req, res) => {
   try {
@@ -13,6 +30,10 @@ export const uploadVideo = async (req, res) => {
 
     const { title, description, visibility } = req.body;
 
+    // Push the original to the configured provider (no-op for local storage).
+    // The local copy stays in place for the worker and is released after processing.
+    await storageService.uploadFile(req.file.path, req.file.filename);
+
     // Create video record
     const video = await Video.create({
       title: title || req.file.originalname,
@@ -21,7 +42,7 @@ export const uploadVideo = async (req, res) => {
       originalFilename: req.file.originalname,
       fileSize: req.file.size,
       format: path.extname(req.file.originalname).substring(1).toLowerCase(),
-      storageProvider: process.env.STORAGE_PROVIDER || 'local',
+      storageProvider: storageService.provider,
       storageKey: req.file.filename,
       organizationId: req.organizationId,
       uploadedBy: req.userId,
@@ -57,6 +78,198 @@ export const uploadVideo = async (req, res) => {
   }
 };
 
+// Start a direct-to-bucket upload: the client PUTs to presigned URLs, then calls complete
+export const createDirectUpload = async (req, res) => {
+  try {
+    if (!storageService.supportsPresignedUrls()) {
+      return res.status(400).json({ error: 'Direct uploads require S3 or R2 storage' });
+    }
+
+    const { filename, fileSize, contentType, title, description, visibility } = req.validatedData || req.body;
+
+    const format = path.extname(filename).substring(1).toLowerCase();
+
+    const formatCheck = await formatService.checkExtension(req.organizationId, format);
+
+    if (!formatCheck.valid) {
+      return res.status(400).json({ error: formatCheck.error });
+    }
+
+    // Per-video limit and storage quota, counting uploads already in flight
+    const quotaCheck = await quotaService.checkUpload(req.organizationId, fileSize);
+
+    if (!quotaCheck.allowed) {
+      return sendQuotaError(res, quotaCheck, fileSize);
+    }
+
+    const storageKey = `${uuidv4()}.${format}`;
+    const upload = await storageService.createDirectUpload(storageKey, fileSize, contentType);
+
+    const video = await Video.create({
+      title: title || filename,
+      description: description || '',
+      filename: storageKey,
+      originalFilename: filename,
+      fileSize,
+      format,
+      storageProvider: storageService.provider,
+      storageKey,
+      directUpload: {
+        uploadId: upload.uploadId,
+        expiresAt: upload.expiresAt
+      },
+      organizationId: req.organizationId,
+      uploadedBy: req.userId,
+      visibility: visibility || 'organization',
+      status: 'uploading'
+    });
+
+    logger.info(`Direct upload started: ${video._id} by user ${req.userId} (${upload.method})`);
+
+    res.status(201).json({
+      message: 'Upload URL created',
+      video: {
+        id: video._id,
+        title: video.title,
+        status: video.status
+      },
+      upload
+    });
+  } catch (error) {
+    logger.error('Create direct upload error:', error);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+};
+
+// Finalize a direct upload and queue it for processing
+export const completeDirectUpload = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { parts } = req.validatedData || req.body;
+
+    const video = await Video.findById(id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (video.status !== 'uploading' || !video.directUpload?.expiresAt) {
+      return res.status(409).json({ error: 'Upload already completed', status: video.status });
+    }
+
+    if (video.directUpload.uploadId) {
+      if (!parts?.length) {
+        return res.status(400).json({ error: 'Uploaded parts are required for multipart uploads' });
+      }
+
+      await storageService.completeDirectUpload(
+        video.storageKey,
+        video.directUpload.uploadId,
+        parts,
+        video.storageProvider
+      );
+    }
+
+    const stored = await storageService.stat(video.storageKey, video.storageProvider);
+
+    if (!stored) {
+      return res.status(400).json({ error: 'Uploaded file not found in storage' });
+    }
+
+    // The declared size is what was checked against the quota when the upload started
+    if (stored.size > video.fileSize) {
+      await storageService.deleteFile(video.storageKey, video.storageProvider);
+      await video.deleteOne();
+      return res.status(413).json({
+        error: 'Uploaded file is larger than declared',
+        code: 'FILE_SIZE_MISMATCH',
+        declaredBytes: video.fileSize,
+        uploadedBytes: stored.size
+      });
+    }
+
+    // The bucket accepts any bytes; make sure they are the claimed container
+    const contentCheck = await formatService.verifyStoredFile(video.storageKey, video.storageProvider, video.format);
+
+    if (!contentCheck.valid) {
+      await storageService.deleteFile(video.storageKey, video.storageProvider);
+      await video.deleteOne();
+      return res.status(400).json({ error: contentCheck.error });
+    }
+
+    video.fileSize = stored.size;
+    video.directUpload = undefined;
+    video.status = 'processing';
+    await video.save();
+
+    // Trigger background processing
+    await processingService.processVideo(video._id);
+
+    logger.info(`Direct upload completed: ${video._id} (${stored.size} bytes)`);
+
+    res.json({
+      message: 'Upload completed and processing started',
+      video: {
+        id: video._id,
+        title: video.title,
+        status: video.status,
+        fileSize: video.fileSize,
+        format: video.format
+      }
+    });
+  } catch (error) {
+    logger.error('Complete direct upload error:', error);
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+};
+
+// Abandon a direct upload and discard anything already sent
+export const abortDirectUpload = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findById(id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (video.status !== 'uploading' || !video.directUpload?.expiresAt) {
+      return res.status(409).json({ error: 'Upload already completed', status: video.status });
+    }
+
+    try {
+      if (video.directUpload.uploadId) {
+        await storageService.abortDirectUpload(
+          video.storageKey,
+          video.directUpload.uploadId,
+          video.storageProvider
+        );
+      }
+      await storageService.deleteFile(video.storageKey, video.storageProvider);
+    } catch (storageError) {
+      logger.warn(`Failed to discard direct upload: ${storageError.message}`);
+    }
+
+    await video.deleteOne();
+
+    logger.info(`Direct upload aborted: ${id}`);
+
+    res.json({ message: 'Upload aborted' });
+  } catch (error) {
+    logger.error('Abort direct upload error:', error);
+    res.status(500).json({ error: 'Failed to abort upload' });
+  }
+};
+
 export const getVideos = async (req, res) => {
   try {
     const {
@@ -69,28 +282,20 @@ export const getVideos = async (req, res) => {
       search
     } = req.query;
 
-    // Build query with organization filter
-    const query = { organizationId: req.organizationId };
+    // Organization filter plus the videos the access policy lets this user see
+    const query = accessService.buildVideoFilter(req);
 
     // Apply filters
     if (status) query.status = status;
     if (sensitivityStatus) query.sensitivityStatus = sensitivityStatus;
     
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    // Role-based access control
-    if (req.userRole !== 'admin') {
-      query.$or = [
-        { uploadedBy: req.userId },
-        { visibility: 'organization' },
-        { visibility: 'public' },
-        { allowedUsers: req.userId }
-      ];
+      query.$and = [{
+        $or: [
+          { title: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ]
+      }];
     }
 
     // Execute query with pagination
@@ -101,7 +306,7 @@ export const getVideos = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate('uploadedBy', 'name email')
-      .select('-__v')
+      .select(`-__v ${TECHNICAL_DETAIL_FIELDS}`)
       .lean();
 
     const total = await Video.countDocuments(query);
@@ -126,6 +331,7 @@ export const getVideo = async (req, res) => {
     const { id } = req.params;
 
     const video = await Video.findById(id)
+      .select(TECHNICAL_DETAIL_FIELDS)
       .populate('uploadedBy', 'name email role')
       .populate('sensitivityDetails.reviewedBy', 'name email');
 
@@ -133,18 +339,10 @@ export const getVideo = async (req, res) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    // Check organization access
-    if (video.organizationId.toString() !== req.organizationId.toString()) {
+    if (!accessService.canViewVideo(video, req)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check visibility permissions
-    if (video.visibility === 'private' &&
-        video.uploadedBy._id.toString() !== req.userId.toString() &&
-        req.userRole !== 'admin') {
-      return res.status(403).json({ error: 'Access denied to private video' });
-    }
-
     res.json({ video });
   } catch (error) {
     logger.error('Get video error:', error);
@@ -164,7 +362,7 @@ export const updateVideo = async (req, res) => {
     }
 
     // Check permissions
-    if (video.uploadedBy.toString() !== req.userId.toString() && req.userRole !== 'admin') {
+    if (!accessService.canManageVideo(video, req)) {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
@@ -198,17 +396,38 @@ export const deleteVideo = async (req, res) => {
     }
 
     // Check permissions
-    if (video.uploadedBy.toString() !== req.userId.toString() && req.userRole !== 'admin') {
+    if (!accessService.canManageVideo(video, req)) {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
+    // Stop the worker first so it doesn't keep writing files for a deleted video
+    if (video.status === 'processing') {
+      await cancelVideoProcessing(video);
+    }
+
     // Delete file from storage
     try {
-      await storageService.deleteFile(video.storageKey);
+      await storageService.deleteFile(video.storageKey, video.storageProvider);
       
       // Delete thumbnail if exists
       if (video.thumbnailUrl) {
-        await storageService.deleteFile(video.thumbnailUrl);
+        await storageService.deleteFile(video.thumbnailUrl, video.storageProvider);
+      }
+
+      // Delete poster candidates, custom poster and seek previews
+      await storageService.deleteDirectory(thumbnailService.getPrefix(video._id), video.storageProvider);
+
+      // Delete caption tracks
+      await storageService.deleteDirectory(captionService.getPrefix(video._id), video.storageProvider);
+
+      // Delete the browser-safe web master
+      if (video.webMaster?.key) {
+        await storageService.deleteFile(video.webMaster.key, video.storageProvider);
+      }
+
+      // Delete DASH/HLS renditions if packaged
+      if (video.streaming?.prefix) {
+        await storageService.deleteDirectory(video.streaming.prefix, video.storageProvider);
       }
     } catch (storageError) {
       logger.warn(`Failed to delete video file: ${storageError.message}`);
@@ -216,6 +435,8 @@ export const deleteVideo = async (req, res) => {
 
     // Delete from database
     await video.deleteOne();
+    await ShareLink.deleteMany({ videoId: video._id });
+    await ProcessingJob.deleteMany({ videoId: video._id });
 
     logger.info(`Video deleted: ${id}`);
 
@@ -231,12 +452,16 @@ export const getVideoStatus = async (req, res) => {
     const { id } = req.params;
 
     const video = await Video.findById(id)
-      .select('status processingProgress sensitivityStatus');
+      .select(`status processingProgress sensitivityStatus ${ACCESS_FIELDS}`);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
+    if (!accessService.canViewVideo(video, req)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     res.json({
       status: video.status,
       progress: video.processingProgress,
@@ -248,12 +473,450 @@ export const getVideoStatus = async (req, res) => {
   }
 };
 
+// Full ffprobe metadata: container, every stream, color/HDR, rotation, chapters and tags
+export const getTechnicalMetadata = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id)
+      .select(`status fileSize originalFilename format metadata audioTracks ${ACCESS_FIELDS}`);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canViewVideo(video, req)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!video.metadata?.probedAt) {
+      return res.status(404).json({
+        error: 'Technical metadata not available',
+        status: video.status
+      });
+    }
+
+    res.json({
+      technical: {
+        originalFilename: video.originalFilename,
+        fileSize: video.fileSize,
+        ...video.toObject().metadata,
+        audioTracks: video.audioTracks
+      }
+    });
+  } catch (error) {
+    logger.error('Get technical metadata error:', error);
+    res.status(500).json({ error: 'Failed to fetch technical metadata' });
+  }
+};
+
+// Stop processing (uploader or organization admin): the worker kills its ffmpeg
+// processes, discards partial output and leaves the video cancelled
+export const cancelProcessing = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (video.status !== 'processing') {
+      return res.status(409).json({ error: 'Video is not being processed', status: video.status });
+    }
+
+    await cancelVideoProcessing(video);
+
+    logger.info(`Processing of video ${video._id} cancelled by user ${req.userId}`);
+
+    res.json({
+      message: 'Processing cancelled',
+      status: video.status
+    });
+  } catch (error) {
+    logger.error('Cancel processing error:', error);
+    res.status(500).json({ error: 'Failed to cancel processing' });
+  }
+};
+
+// Processing runs with their stage timeline, newest first (uploader or organization admin)
+export const getProcessingJobs = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id).select(`status ${ACCESS_FIELDS}`);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const jobs = await processingJobService.getHistory(video._id);
+
+    res.json({ status: video.status, jobs });
+  } catch (error) {
+    logger.error('Get processing jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch processing history' });
+  }
+};
+
+// Choose the poster: one of the generated candidates, or the uploaded custom poster
+export const selectPoster = async (req, res) => {
+  try {
+    const { candidate, custom } = req.validatedData || req.body;
+
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (custom) {
+      if (!video.thumbnails?.custom?.key) {
+        return res.status(400).json({ error: 'No custom poster uploaded' });
+      }
+      await thumbnailService.selectCustom(video);
+    } else {
+      if (!video.thumbnails?.candidates?.[candidate]) {
+        return res.status(404).json({ error: 'Thumbnail candidate not found' });
+      }
+      await thumbnailService.selectCandidate(video, candidate);
+    }
+
+    await video.save();
+
+    logger.info(`Poster changed for video ${video._id} by user ${req.userId}`);
+
+    res.json({
+      message: 'Poster updated successfully',
+      video
+    });
+  } catch (error) {
+    logger.error('Select poster error:', error);
+    res.status(500).json({ error: 'Failed to update poster' });
+  }
+};
+
+// Upload a custom poster image and use it
+export const uploadPoster = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const quotaCheck = await quotaService.checkUpload(req.organizationId, req.file.size);
+
+    if (!quotaCheck.allowed) {
+      return sendQuotaError(res, quotaCheck, req.file.size);
+    }
+
+    try {
+      await thumbnailService.setCustomPoster(video, req.file.path);
+    } catch (conversionError) {
+      logger.warn(`Poster rejected for video ${video._id}: ${conversionError.message}`);
+      return res.status(400).json({ error: 'Poster image could not be read' });
+    }
+
+    await video.save();
+
+    logger.info(`Custom poster uploaded for video ${video._id} by user ${req.userId}`);
+
+    res.json({
+      message: 'Poster uploaded successfully',
+      video
+    });
+  } catch (error) {
+    logger.error('Upload poster error:', error);
+    res.status(500).json({ error: 'Failed to upload poster' });
+  } finally {
+    if (req.file) {
+      await fs.promises.rm(req.file.path, { force: true });
+    }
+  }
+};
+
+// Users and roles a video is shared with, on top of its visibility
+export const getShares = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id)
+      .select(ACCESS_FIELDS)
+      .populate('allowedUsers', 'name email role');
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    res.json({ shares: formatShares(video) });
+  } catch (error) {
+    logger.error('Get shares error:', error);
+    res.status(500).json({ error: 'Failed to fetch shares' });
+  }
+};
+
+// Grant access to members of the organization and/or roles
+export const addShares = async (req, res) => {
+  try {
+    const { userIds = [], roles = [] } = req.validatedData || req.body;
+
+    const video = await Video.findById(req.params.id).select(ACCESS_FIELDS);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (userIds.length > 0) {
+      const users = await User.find({
+        _id: { $in: userIds },
+        organizationId: video.organizationId,
+        isActive: true
+      }).select('_id');
+
+      if (users.length !== new Set(userIds).size) {
+        return res.status(400).json({ error: 'Videos can only be shared with active members of the organization' });
+      }
+    }
+
+    const updated = await Video.findByIdAndUpdate(
+      video._id,
+      {
+        $addToSet: {
+          allowedUsers: { $each: userIds },
+          allowedRoles: { $each: roles }
+        }
+      },
+      { new: true }
+    )
+      .select(ACCESS_FIELDS)
+      .populate('allowedUsers', 'name email role');
+
+    logger.info(`Video ${video._id} shared with users [${userIds.join(', ')}] roles [${roles.join(', ')}] by ${req.userId}`);
+
+    res.json({
+      message: 'Video shared successfully',
+      shares: formatShares(updated)
+    });
+  } catch (error) {
+    logger.error('Add shares error:', error);
+    res.status(500).json({ error: 'Failed to share video' });
+  }
+};
+
+// Revoke a user's share
+export const removeUserShare = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    return res.status(400).json({ error: 'Invalid user id' });
+  }
+  await removeShare(req, res, { allowedUsers: req.params.userId });
+};
+
+// Revoke a role's share
+export const removeRoleShare = async (req, res) => {
+  await removeShare(req, res, { allowedRoles: req.params.role });
+};
+
+async function removeShare(req, res, pull) {
+  try {
+    const video = await Video.findById(req.params.id).select(ACCESS_FIELDS);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const updated = await Video.findByIdAndUpdate(video._id, { $pull: pull }, { new: true })
+      .select(ACCESS_FIELDS)
+      .populate('allowedUsers', 'name email role');
+
+    logger.info(`Video ${video._id} share revoked (${JSON.stringify(pull)}) by ${req.userId}`);
+
+    res.json({
+      message: 'Share revoked successfully',
+      shares: formatShares(updated)
+    });
+  } catch (error) {
+    logger.error('Remove share error:', error);
+    res.status(500).json({ error: 'Failed to revoke share' });
+  }
+}
+
+// Create a public share link (uploader or organization admin).
+// The token is only returned here; share the URL with the viewer.
+export const createShareLink = async (req, res) => {
+  try {
+    const { label, expiresInHours, password, maxViews } = req.validatedData || req.body;
+
+    const video = await Video.findById(req.params.id).select(ACCESS_FIELDS);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const hours = expiresInHours || config.shareLinks.defaultExpiryHours;
+
+    const link = new ShareLink({
+      videoId: video._id,
+      organizationId: video.organizationId,
+      createdBy: req.userId,
+      label: label || undefined,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      maxViews: maxViews || null
+    });
+    await link.setPassword(password);
+    await link.save();
+
+    const token = shareLinkService.createToken(link);
+
+    logger.info(`Share link created: ${link._id} for video ${video._id} by user ${req.userId}`);
+
+    res.status(201).json({
+      message: 'Share link created successfully',
+      link,
+      shareToken: token,
+      shareUrl: shareLinkService.getShareUrl(token)
+    });
+  } catch (error) {
+    logger.error('Create share link error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+};
+
+// List a video's share links (uploader or organization admin)
+export const getShareLinks = async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id).select(ACCESS_FIELDS);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const links = await ShareLink.find({ videoId: video._id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      links: links.map(link => ({
+        ...link.toJSON(),
+        shareUrl: shareLinkService.getShareUrl(shareLinkService.createToken(link))
+      }))
+    });
+  } catch (error) {
+    logger.error('Get share links error:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+};
+
+// Revoke a share link (uploader or organization admin)
+export const revokeShareLink = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.linkId)) {
+      return res.status(400).json({ error: 'Invalid link id' });
+    }
+
+    const video = await Video.findById(req.params.id).select(ACCESS_FIELDS);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!accessService.canManageVideo(video, req)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const link = await ShareLink.findOne({ _id: req.params.linkId, videoId: video._id });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (link.revokedAt) {
+      return res.status(400).json({ error: 'Share link is already revoked' });
+    }
+
+    link.revokedAt = new Date();
+    await link.save();
+
+    logger.info(`Share link revoked: ${link._id} by user ${req.userId}`);
+
+    res.json({ message: 'Share link revoked successfully', link });
+  } catch (error) {
+    logger.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+};
+
+// The worker re-checks the cancelled status between stages, so it's saved before signalling
+async function cancelVideoProcessing(video) {
+  video.status = 'cancelled';
+  video.processingProgress = 0;
+  await video.save();
+
+  await processingService.cancelProcessing(video._id);
+}
+
+function formatShares(video) {
+  return {
+    visibility: video.visibility,
+    users: video.allowedUsers,
+    roles: video.allowedRoles
+  };
+}
+
 export default {
   uploadVideo,
+  createDirectUpload,
+  completeDirectUpload,
+  abortDirectUpload,
   getVideos,
   getVideo,
   updateVideo,
   deleteVideo,
-  getVideoStatus
+  getVideoStatus,
+  getTechnicalMetadata,
+  cancelProcessing,
+  getProcessingJobs,
+  selectPoster,
+  uploadPoster,
+  getShares,
+  addShares,
+  removeUserShare,
+  removeRoleShare,
+  createShareLink,
+  getShareLinks,
+  revokeShareLink
 };
 
@@ -1,7 +1,23 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Organization from '../models/Organization.js';
 import logger from '../utils/logger.js';
 import config from '../config/env.js';
+import playbackTokenService from '../services/playbackToken.service.js';
+
+/**
+ * Members of a deactivated organization are locked out;
+ * the owner keeps access so the organization can be reactivated
+ */
+export const isOrganizationSuspended = async (user) => {
+  const organization = await Organization.findById(user.organizationId)
+    .select('isActive ownerId')
+    .lean();
+
+  return !!organization &&
+    !organization.isActive &&
+    organization.ownerId?.toString() !== user._id.toString();
+};
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -25,6 +41,13 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid token or inactive user' });
     }
 
+    if (await isOrganizationSuspended(user)) {
+      return res.status(403).json({
+        error: 'Organization is deactivated',
+        code: 'ORGANIZATION_INACTIVE'
+      });
+    }
+
     // Attach user info to request
     req.user = user;
     req.userId = user._id;
@@ -53,12 +76,18 @@ export const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
+    // <video> and <img> can't send headers, so media routes take a
+    // video-scoped playback token (?playback=) instead of an access token
+    if (typeof req.query.playback === 'string') {
+      req.playback = playbackTokenService.verify(req.query.playback, req);
+    }
+
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
       const decoded = jwt.verify(token, config.jwt.secret);
       const user = await User.findById(decoded.userId).select('-password -refreshToken');
 
-      if (user && user.isActive) {
+      if (user && user.isActive && !(await isOrganizationSuspended(user))) {
         req.user = user;
         req.userId = user._id;
         req.organizationId = user.organizationId;
@@ -73,5 +102,5 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-export default { authenticate, optionalAuth };
+export default { authenticate, optionalAuth, isOrganizationSuspended };
 
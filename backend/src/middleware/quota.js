@@ -0,0 +1,53 @@
+import quotaService from '../services/quota.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Send the structured 413 for an upload rejected by quotaService.checkUpload
+ */
+export const sendQuotaError = (res, check, requestedBytes) => {
+  const { usage } = check;
+
+  return res.status(413).json({
+    error: check.code === 'FILE_TOO_LARGE' ? 'File too large' : 'Storage quota exceeded',
+    code: check.code,
+    requestedBytes,
+    maxVideoSizeBytes: usage.maxVideoSizeBytes,
+    limitBytes: usage.limitBytes,
+    usedBytes: usage.usedBytes,
+    inFlightBytes: usage.inFlightBytes,
+    availableBytes: usage.availableBytes
+  });
+};
+
+/**
+ * Reject multipart uploads that would exceed the organization's limits,
+ * and hold the declared size against the quota while the upload streams in.
+ * Must run before multer.
+ */
+export const enforceStorageQuota = async (req, res, next) => {
+  try {
+    const requestedBytes = parseInt(req.headers['content-length'], 10);
+
+    if (!Number.isSafeInteger(requestedBytes)) {
+      return res.status(411).json({ error: 'Content-Length header is required' });
+    }
+
+    const check = await quotaService.checkUpload(req.organizationId, requestedBytes);
+
+    if (!check.allowed) {
+      logger.warn(`Upload rejected for org ${req.organizationId}: ${check.code} (${requestedBytes} bytes)`);
+      return sendQuotaError(res, check, requestedBytes);
+    }
+
+    const release = quotaService.reserve(req.organizationId, requestedBytes);
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  } catch (error) {
+    logger.error('Storage quota check error:', error);
+    res.status(500).json({ error: 'Failed to check storage quota' });
+  }
+};
+
+export default { enforceStorageQuota, sendQuotaError };
@@ -9,9 +9,20 @@ export const apiLimiter = rateLimit({
     error: 'Too many requests from this IP, please try again later'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  skip: (req) => isUploadChunk(req) || isStreamingSegment(req)
 });
 
+// Resumable upload chunks and offset checks are bounded by the upload itself
+function isUploadChunk(req) {
+  return req.path.startsWith('/videos/tus/') && ['HEAD', 'PATCH'].includes(req.method);
+}
+
+// A player fetches HLS/DASH playlists and segments every few seconds for as long as it plays
+function isStreamingSegment(req) {
+  return ['GET', 'HEAD'].includes(req.method) && /^\/stream\/[^/]+\/(hls|dash)\//.test(req.path);
+}
+
 // Strict rate limiter for authentication routes
 export const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -22,6 +33,16 @@ export const authLimiter = rateLimit({
   }
 });
 
+// Share link password attempts; successful unlocks don't count
+export const shareLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 failed attempts per window
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many attempts for this link, please try again after 15 minutes'
+  }
+});
+
 // Upload rate limiter
 export const uploadLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -31,5 +52,5 @@ export const uploadLimiter = rateLimit({
   }
 });
 
-export default { apiLimiter, authLimiter, uploadLimiter };
+export default { apiLimiter, authLimiter, shareLinkLimiter, uploadLimiter };
 
@@ -3,6 +3,8 @@ import path from 'path';
 import fs from 'fs';
 import { v4 as uuidv4 } from 'uuid';
 import config from '../config/env.js';
+import formatService from '../services/format.service.js';
+import { CAPTION_FORMATS } from '../utils/captions.js';
 import logger from '../utils/logger.js';
 
 // Ensure upload directory exists
@@ -25,15 +27,13 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter
+// File filter: extension must be one of the organization's allowed formats
 const fileFilter = (req, file, cb) => {
   const ext = path.extname(file.originalname).toLowerCase().substring(1);
 
-  if (config.upload.allowedFormats.includes(ext)) {
-    cb(null, true);
-  } else {
-    cb(new Error(`Invalid file format. Allowed: ${config.upload.allowedFormats.join(', ')}`), false);
-  }
+  formatService.checkExtension(req.organizationId, ext)
+    .then(check => (check.valid ? cb(null, true) : cb(new Error(check.error), false)))
+    .catch(error => cb(error, false));
 };
 
 // Multer configuration
@@ -45,13 +45,54 @@ export const upload = multer({
   }
 });
 
+// Custom poster images; they are re-encoded by ffmpeg, which rejects anything that isn't an image
+const POSTER_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export const posterUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (POSTER_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Poster must be a JPEG, PNG or WebP image'), false);
+    }
+  },
+  limits: {
+    fileSize: config.thumbnails.maxPosterSizeMB * 1024 * 1024
+  }
+});
+
+// Caption files are small and converted to WebVTT before storing, so they stay in memory
+const CAPTION_EXTENSIONS = CAPTION_FORMATS.map(format => `.${format}`);
+
+export const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (CAPTION_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Caption must be an SRT or WebVTT file'), false);
+    }
+  },
+  limits: {
+    fileSize: config.captions.maxSizeMB * 1024 * 1024
+  }
+});
+
+// Size limit per form field, for the 413 response
+const MAX_SIZE_BY_FIELD = {
+  poster: () => config.thumbnails.maxPosterSizeMB,
+  caption: () => config.captions.maxSizeMB
+};
+
 // Error handling middleware
 export const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
+      return res.status(413).json({
         error: 'File too large',
-        maxSize: `${config.upload.maxSizeMB}MB`
+        code: 'FILE_TOO_LARGE',
+        maxSize: `${MAX_SIZE_BY_FIELD[err.field]?.() ?? config.upload.maxSizeMB}MB`
       });
     }
     return res.status(400).json({ error: err.message });
@@ -64,5 +105,27 @@ export const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-export default { upload, handleMulterError };
+// Reject uploads whose content isn't the container their extension claims
+export const verifyUploadedFile = async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    const format = path.extname(req.file.originalname).toLowerCase().substring(1);
+    const check = await formatService.verifyFile(req.file.path, format);
+
+    if (!check.valid) {
+      logger.warn(`Upload rejected: ${req.file.originalname} (${check.error})`);
+      await fs.promises.rm(req.file.path, { force: true });
+      return res.status(400).json({ error: check.error });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Upload verification error:', error);
+    await fs.promises.rm(req.file.path, { force: true });
+    res.status(500).json({ error: 'Failed to verify upload' });
+  }
+};
+
+export default { upload, posterUpload, captionUpload, handleMulterError, verifyUploadedFile };
 
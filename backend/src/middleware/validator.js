@@ -1,4 +1,8 @@
 import Joi from 'joi';
+import { SUPPORTED_FORMATS } from '../services/format.service.js';
+import { SHAREABLE_ROLES } from '../services/access.service.js';
+import { EMBED_DOMAIN_PATTERN } from '../services/embed.service.js';
+import { LANGUAGE_TAG_PATTERN, CAPTION_KINDS } from '../services/caption.service.js';
 
 export const validate = (schema) => {
   return (req, res, next) => {
@@ -46,7 +50,8 @@ export const schemas = {
       'any.required': 'Name is required'
     }),
     organizationName: Joi.string().min(2).max(100).optional().allow(''),
-    role: Joi.string().valid('viewer', 'editor').optional().allow('')
+    // Joins the inviting organization with the invitation's role
+    inviteToken: Joi.string().max(200).optional().allow('')
   }),
 
   login: Joi.object({
@@ -65,10 +70,108 @@ export const schemas = {
     visibility: Joi.string().valid('private', 'organization', 'public').optional()
   }),
 
+  createDirectUpload: Joi.object({
+    filename: Joi.string().min(1).max(255).required(),
+    fileSize: Joi.number().integer().positive().required(),
+    contentType: Joi.string().max(100).default('application/octet-stream'),
+    title: Joi.string().min(1).max(200).optional(),
+    description: Joi.string().max(1000).optional().allow(''),
+    visibility: Joi.string().valid('private', 'organization', 'public').optional()
+  }),
+
+  completeDirectUpload: Joi.object({
+    parts: Joi.array().items(Joi.object({
+      partNumber: Joi.number().integer().min(1).required(),
+      etag: Joi.string().required()
+    })).optional()
+  }),
+
   updateVideo: Joi.object({
     title: Joi.string().min(1).max(200).optional(),
     description: Joi.string().max(1000).optional().allow(''),
     visibility: Joi.string().valid('private', 'organization', 'public').optional()
+  }),
+
+  selectPoster: Joi.object({
+    candidate: Joi.number().integer().min(0).optional(),
+    custom: Joi.boolean().valid(true).optional()
+  }).xor('candidate', 'custom'),
+
+  // isDefault arrives as a string from multipart caption uploads; Joi converts it
+  createCaption: Joi.object({
+    language: Joi.string().pattern(LANGUAGE_TAG_PATTERN).max(35).required()
+      .messages({ 'string.pattern.base': 'Language must be a language tag such as en or pt-BR' }),
+    label: Joi.string().trim().max(100).allow('').optional(),
+    kind: Joi.string().valid(...CAPTION_KINDS).optional(),
+    isDefault: Joi.boolean().optional()
+  }),
+
+  updateCaption: Joi.object({
+    language: Joi.string().pattern(LANGUAGE_TAG_PATTERN).max(35).optional()
+      .messages({ 'string.pattern.base': 'Language must be a language tag such as en or pt-BR' }),
+    label: Joi.string().trim().max(100).allow('').optional(),
+    kind: Joi.string().valid(...CAPTION_KINDS).optional(),
+    isDefault: Joi.boolean().optional()
+  }).min(1),
+
+  shareVideo: Joi.object({
+    userIds: Joi.array().items(Joi.string().hex().length(24)).max(100).optional(),
+    roles: Joi.array().items(Joi.string().valid(...SHAREABLE_ROLES)).optional()
+  }).or('userIds', 'roles'),
+
+  createPlaybackTokens: Joi.object({
+    videoIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).unique().required()
+  }),
+
+  createShareLink: Joi.object({
+    label: Joi.string().trim().max(100).optional().allow(''),
+    expiresInHours: Joi.number().integer().min(1).max(24 * 365).optional(),
+    password: Joi.string().min(4).max(128).optional().allow(''),
+    maxViews: Joi.number().integer().min(1).max(1000000).optional().allow(null)
+  }),
+
+  openShareLink: Joi.object({
+    password: Joi.string().max(128).optional().allow('')
+  }),
+
+  updateOrganization: Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional(),
+    slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).min(2).max(100).optional().messages({
+      'string.pattern.base': 'Slug can only contain lowercase letters, numbers, and hyphens'
+    }),
+    settings: Joi.object({
+      maxStorageGB: Joi.number().positive().max(100000).optional(),
+      maxVideoSizeMB: Joi.number().integer().min(1).optional(),
+      allowedFormats: Joi.array()
+        .items(Joi.string().lowercase().valid(...SUPPORTED_FORMATS))
+        .min(1)
+        .unique()
+        .optional(),
+      embedDomains: Joi.array()
+        .items(Joi.string().trim().lowercase().pattern(EMBED_DOMAIN_PATTERN).messages({
+          'string.pattern.base': 'Embed domains must be host names such as wiki.example.com or *.example.com'
+        }))
+        .max(50)
+        .unique()
+        .optional()
+    }).optional()
+  }).min(1),
+
+  updateOrganizationStatus: Joi.object({
+    isActive: Joi.boolean().required()
+  }),
+
+  createInvitation: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+    role: Joi.string().valid('viewer', 'editor', 'admin').default('viewer'),
+    expiresInDays: Joi.number().integer().min(1).max(30).optional()
+  }),
+
+  transferOwnership: Joi.object({
+    userId: Joi.string().hex().length(24).required()
   })
 };
 
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const invitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor', 'admin'],
+    default: 'viewer'
+  },
+  // Only the SHA-256 of the token is stored; the token itself is shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ organizationId: 1, email: 1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+invitationSchema.statics.generateToken = function() {
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+// Load an invitation by its raw token
+invitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+export default mongoose.model('Invitation', invitationSchema);
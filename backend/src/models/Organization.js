@@ -32,6 +32,11 @@ const organizationSchema = new mongoose.Schema({
     allowedFormats: {
       type: [String],
       default: ['mp4', 'avi', 'mov', 'mkv', 'webm']
+    },
+    // Sites allowed to embed the player, e.g. `wiki.example.com` or `*.example.com`
+    embedDomains: {
+      type: [String],
+      default: []
     }
   },
   isActive: {
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Pipeline stages recorded in a job's timeline, in run order
+const STAGES = ['metadata', 'thumbnail', 'sensitivity', 'transcode'];
+
 const processingJobSchema = new mongoose.Schema({
   videoId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -7,6 +10,18 @@ const processingJobSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  // Bull job this run belongs to; a retried job gets one record per attempt
+  queueJobId: String,
+  // Bulk sensitivity re-analysis this run is part of
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReanalysisBatch'
+  },
   jobType: {
     type: String,
     enum: ['sensitivity_analysis', 'thumbnail', 'transcoding', 'full_processing'],
@@ -14,7 +29,7 @@ const processingJobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'pending',
     index: true
   },
@@ -30,6 +45,7 @@ const processingJobSchema = new mongoose.Schema({
   error: {
     type: String
   },
+  // Attempt number of this run (1 for the first)
   attempts: {
     type: Number,
     default: 0
@@ -38,14 +54,36 @@ const processingJobSchema = new mongoose.Schema({
     type: Number,
     default: 3
   },
+  // Stage timeline. A failed stage that didn't stop processing (say, thumbnails)
+  // keeps its error while the job itself completes.
+  stages: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: STAGES,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed', 'failed', 'cancelled'],
+      default: 'processing'
+    },
+    startedAt: Date,
+    completedAt: Date,
+    durationMs: Number,
+    error: String
+  }],
   startedAt: Date,
-  completedAt: Date
+  completedAt: Date,
+  durationMs: Number
 }, {
   timestamps: true
 });
 
 // Indexes
 processingJobSchema.index({ status: 1, createdAt: 1 });
+processingJobSchema.index({ videoId: 1, createdAt: -1 });
+processingJobSchema.index({ batchId: 1 }, { sparse: true });
 
 export default mongoose.model('ProcessingJob', processingJobSchema);
 
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// A bulk sensitivity re-analysis started by an admin. Each video's run is a
+// ProcessingJob (jobType sensitivity_analysis) pointing back through batchId.
+const reanalysisBatchSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Filters the videos were selected with
+  filters: {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+    from: Date,
+    to: Date,
+    sensitivityStatus: [String],
+    analysisVersion: String,
+    includeReviewed: Boolean
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed'],
+    default: 'running',
+    index: true
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  completed: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Videos whose sensitivity status differs after the re-run
+  changed: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+reanalysisBatchSchema.index({ createdAt: -1 });
+
+export default mongoose.model('ReanalysisBatch', reanalysisBatchSchema);
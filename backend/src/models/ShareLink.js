@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import config from '../config/env.js';
+
+const shareLinkSchema = new mongoose.Schema({
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+  // null means unlimited
+  maxViews: {
+    type: Number,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+shareLinkSchema.index({ videoId: 1, createdAt: -1 });
+
+shareLinkSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  if (this.maxViews !== null && this.viewCount >= this.maxViews) return 'exhausted';
+  return 'active';
+});
+
+shareLinkSchema.methods.setPassword = async function(password) {
+  if (password) {
+    this.passwordHash = await bcrypt.hash(password, config.security.bcryptRounds);
+    this.hasPassword = true;
+  } else {
+    this.passwordHash = undefined;
+    this.hasPassword = false;
+  }
+};
+
+// Requires the document to be loaded with +passwordHash
+shareLinkSchema.methods.comparePassword = async function(password) {
+  if (!this.hasPassword) return true;
+  if (!password || !this.passwordHash) return false;
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+export default mongoose.model('ShareLink', shareLinkSchema);
@@ -34,6 +34,8 @@ const videoSchema = new mongoose.Schema({
     width: Number,
     height: Number
   },
+  // Technical metadata from ffprobe (GET /api/videos/:id/technical).
+  // The summary fields describe the main video and first audio stream.
   metadata: {
     codec: String,
     bitrate: Number,
@@ -44,7 +46,39 @@ const videoSchema = new mongoose.Schema({
       width: Number,
       height: Number
     },
-    format: String
+    format: String,
+    pixelFormat: String,
+    bitDepth: Number,
+    // Clockwise degrees applied on display (0, 90, 180, 270)
+    rotation: Number,
+    color: {
+      space: String,
+      transfer: String,
+      primaries: String,
+      range: String,
+      hdr: String // 'HDR10', 'HLG' or 'Dolby Vision'
+    },
+    container: {
+      name: String,
+      longName: String,
+      duration: Number,
+      size: Number,
+      bitrate: Number,
+      startTime: Number,
+      probeScore: Number
+    },
+    // Every stream as described by ffmpegService.extractMetadata; fields depend on the stream type
+    streams: [mongoose.Schema.Types.Mixed],
+    chapters: [{
+      _id: false,
+      id: Number,
+      start: Number,
+      end: Number,
+      title: String
+    }],
+    // Container tags (title, encoder, creation_time, ...)
+    tags: mongoose.Schema.Types.Mixed,
+    probedAt: Date
   },
 
   // Storage
@@ -57,6 +91,24 @@ const videoSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Pending direct-to-bucket upload (cleared once the upload is completed)
+  directUpload: {
+    uploadId: String,
+    expiresAt: Date
+  },
+  // Pending tus resumable upload (cleared once all bytes have arrived)
+  resumableUpload: {
+    length: Number,
+    expiresAt: Date
+  },
+  // Bytes stored for derived files, counted against the organization's quota
+  // alongside fileSize
+  storageUsage: {
+    thumbnails: { type: Number, default: 0 },
+    renditions: { type: Number, default: 0 },
+    captions: { type: Number, default: 0 },
+    webMaster: { type: Number, default: 0 }
+  },
   thumbnailUrl: {
     type: String
   },
@@ -64,10 +116,141 @@ const videoSchema = new mongoose.Schema({
     type: String
   },
 
+  // Poster choices: frames picked at scene changes plus an optional uploaded
+  // image. thumbnailUrl holds the storage key of the one in use.
+  thumbnails: {
+    candidates: [{
+      _id: false,
+      key: String,
+      timestamp: Number,
+      size: Number
+    }],
+    custom: {
+      key: String,
+      size: Number
+    },
+    generatedAt: Date
+  },
+
+  // Seek-bar hover previews: a sprite sheet of tiles and a WebVTT
+  // thumbnails track mapping time ranges to tiles (`sprite.jpg#xywh=...`)
+  seekPreview: {
+    sprite: String,
+    vtt: String,
+    intervalSeconds: Number,
+    columns: Number,
+    rows: Number,
+    tileWidth: Number,
+    tileHeight: Number,
+    size: Number,
+    generatedAt: Date
+  },
+
+  // Short muted clip stitched from several points, played on hover in the library
+  previewClip: {
+    key: String,
+    duration: Number,
+    size: Number,
+    generatedAt: Date
+  },
+
+  // Audio streams of the source in stream order; each is packaged as an
+  // alternate audio rendition the player can switch to
+  audioTracks: [{
+    _id: false,
+    index: Number, // absolute stream index from ffprobe
+    codec: String,
+    language: String, // as tagged in the container, usually ISO 639-2 (`eng`)
+    label: String,
+    channels: Number,
+    channelLayout: String,
+    sampleRate: Number,
+    bitrate: Number,
+    isDefault: Boolean
+  }],
+
+  // Caption tracks, stored as WebVTT under captions/<videoId>/.
+  // Uploaded tracks are kept on reprocessing; embedded ones are re-extracted.
+  captions: [{
+    language: {
+      type: String,
+      required: true
+    },
+    label: String,
+    kind: {
+      type: String,
+      enum: ['subtitles', 'captions'],
+      default: 'subtitles'
+    },
+    source: {
+      type: String,
+      enum: ['upload', 'embedded'],
+      default: 'upload'
+    },
+    // Source stream of embedded tracks
+    streamIndex: Number,
+    key: String,
+    size: Number,
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Browser-safe progressive copy (H.264/AAC MP4 with +faststart), made when the
+  // original's container or codecs don't play in browsers. Streamed instead of the
+  // original, which stays available for download.
+  webMaster: {
+    key: String,
+    size: Number,
+    // Streams copied from the original rather than re-encoded
+    remuxed: Boolean,
+    generatedAt: Date
+  },
+
+  // Adaptive streaming outputs: one fMP4 segment store under `prefix`,
+  // referenced by both the DASH manifest and the HLS playlists
+  streaming: {
+    prefix: String,
+    hls: {
+      masterPlaylist: String
+    },
+    dash: {
+      manifest: String
+    },
+    renditions: [{
+      _id: false,
+      name: String,
+      representationId: String,
+      width: Number,
+      height: Number,
+      bandwidth: Number,
+      hlsPlaylist: String
+    }],
+    audioRenditions: [{
+      _id: false,
+      representationId: String,
+      language: String,
+      label: String,
+      channels: Number,
+      isDefault: Boolean,
+      hlsPlaylist: String
+    }],
+    generatedAt: Date
+  },
+
   // Processing
   status: {
     type: String,
-    enum: ['uploading', 'processing', 'completed', 'failed'],
+    enum: ['uploading', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'uploading'
   },
   processingProgress: {
@@ -91,6 +274,8 @@ const videoSchema = new mongoose.Schema({
   sensitivityDetails: {
     categories: [String],
     detectedAt: Date,
+    // Analyzer version that produced the result, used to target re-analysis
+    analysisVersion: String,
     reviewedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -138,14 +323,6 @@ const videoSchema = new mongoose.Schema({
     ref: 'User'
   }],
 
-  // Metadata
-  metadata: {
-    codec: String,
-    bitrate: Number,
-    frameRate: Number,
-    audioCodec: String
-  },
-
   // Tracking
   viewCount: {
     type: Number,
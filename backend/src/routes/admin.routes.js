@@ -26,6 +26,21 @@ router.get('/videos/:id/analysis', adminController.getVideoAnalysisReport);
 // Sensitivity configuration
 router.get('/sensitivity/config', adminController.getSensitivityConfig);
 router.put('/sensitivity/config', adminController.updateSensitivityThresholds);
+router.post('/sensitivity/reanalysis', adminController.startReanalysis);
+router.get('/sensitivity/reanalysis', adminController.getReanalysisBatches);
+router.get('/sensitivity/reanalysis/:batchId', adminController.getReanalysisBatch);
+
+// Processing queue console
+router.get('/queue', adminController.getQueue);
+router.get('/queue/jobs', adminController.getQueueJobs);
+router.get('/queue/jobs/:jobId', adminController.getQueueJob);
+router.post('/queue/jobs/:jobId/retry', adminController.retryQueueJob);
+router.delete('/queue/jobs/:jobId', adminController.removeQueueJob);
+router.post('/queue/retry-failed', adminController.retryFailedQueueJobs);
+router.post('/queue/drain', adminController.drainQueue);
+router.post('/queue/clean', adminController.cleanQueue);
+router.post('/queue/pause', adminController.pauseQueue);
+router.post('/queue/resume', adminController.resumeQueue);
 
 export default router;
 
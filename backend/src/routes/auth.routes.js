@@ -23,6 +23,10 @@ router.post('/refresh',
   authController.refreshToken
 );
 
+router.get('/invitations/:token',
+  authController.getInvitation
+);
+
 // Protected routes
 router.post('/logout', 
   authenticate,
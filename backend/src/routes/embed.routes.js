@@ -0,0 +1,11 @@
+import express from 'express';
+import embedController from '../controllers/embed.controller.js';
+
+const router = express.Router();
+
+// Iframe player page (public videos, or ?share=<shareToken>)
+router.get('/:id',
+  embedController.getEmbedPage
+);
+
+export default router;
@@ -3,6 +3,9 @@ import authRoutes from './auth.routes.js';
 import videoRoutes from './video.routes.js';
 import streamRoutes from './stream.routes.js';
 import adminRoutes from './admin.routes.js';
+import organizationRoutes from './organization.routes.js';
+import publicRoutes from './public.routes.js';
+import embedController from '../controllers/embed.controller.js';
 
 const router = express.Router();
 
@@ -22,5 +25,10 @@ router.use('/auth', authRoutes);
 router.use('/videos', videoRoutes);
 router.use('/stream', streamRoutes);
 router.use('/admin', adminRoutes);
+router.use('/organizations', organizationRoutes);
+router.use('/public', publicRoutes);
+
+// oEmbed for watch, share-link and embed URLs
+router.get('/oembed', embedController.getOEmbed);
 
 export default router;
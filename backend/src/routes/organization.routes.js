@@ -0,0 +1,62 @@
+import express from 'express';
+import organizationController from '../controllers/organization.controller.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validate, schemas } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// The caller's organization
+router.get('/me', organizationController.getMyOrganization);
+
+// Update name, slug and settings (admin only)
+router.put('/me',
+  authorize('admin'),
+  validate(schemas.updateOrganization),
+  organizationController.updateMyOrganization
+);
+
+// Deactivate/reactivate (owner only, checked in the controller)
+router.put('/me/status',
+  authorize('admin'),
+  validate(schemas.updateOrganizationStatus),
+  organizationController.updateOrganizationStatus
+);
+
+// Transfer ownership (owner only, checked in the controller)
+router.put('/me/owner',
+  authorize('admin'),
+  validate(schemas.transferOwnership),
+  organizationController.transferOwnership
+);
+
+// Members (admin only)
+router.get('/me/members',
+  authorize('admin'),
+  organizationController.getMembers
+);
+
+// Invitations (admin only)
+router.post('/me/invitations',
+  authorize('admin'),
+  validate(schemas.createInvitation),
+  organizationController.createInvitation
+);
+
+router.get('/me/invitations',
+  authorize('admin'),
+  organizationController.getInvitations
+);
+
+router.delete('/me/invitations/:invitationId',
+  authorize('admin'),
+  organizationController.revokeInvitation
+);
+
+// Storage usage and quota for the caller's organization
+router.get('/me/usage', organizationController.getMyUsage);
+
+export default router;
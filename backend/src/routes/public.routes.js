@@ -0,0 +1,32 @@
+import express from 'express';
+import publicController from '../controllers/public.controller.js';
+import { shareLinkLimiter } from '../middleware/rateLimiter.js';
+import { validate, schemas } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// No authentication: access comes from the share token alone
+
+// Shared video details and link requirements
+router.get('/:shareToken',
+  publicController.getSharedVideo
+);
+
+// Unlock the link (password if set) and start a viewing session
+router.post('/:shareToken/session',
+  shareLinkLimiter,
+  validate(schemas.openShareLink),
+  publicController.openSharedVideo
+);
+
+// Stream the shared video (?session=)
+router.get('/:shareToken/stream',
+  publicController.streamSharedVideo
+);
+
+// Shared video thumbnail (?session= for password-protected links)
+router.get('/:shareToken/thumbnail',
+  publicController.getSharedThumbnail
+);
+
+export default router;
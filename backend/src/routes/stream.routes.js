@@ -1,20 +1,86 @@
 import express from 'express';
 import streamController from '../controllers/stream.controller.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validator.js';
 
 const router = express.Router();
 
-// Stream video - use optional auth to support query param token
+// Playback tokens for media URLs (?playback=)
+router.post('/playback-tokens',
+  authenticate,
+  validate(schemas.createPlaybackTokens),
+  streamController.createPlaybackTokens
+);
+
+router.post('/:id/playback-token',
+  authenticate,
+  streamController.createPlaybackToken
+);
+
+// Stream video - use optional auth to support a ?playback= token
 router.get('/:id',
   optionalAuth,
   streamController.streamVideo
 );
 
-// Get video thumbnail - use optional auth
+// Presigned URL for bucket-hosted videos
+router.get('/:id/url',
+  authenticate,
+  streamController.getSignedStreamUrl
+);
+
+// Adaptive stream entry point - picks HLS or DASH via ?protocol= or Accept
+router.get('/:id/manifest',
+  optionalAuth,
+  streamController.getManifest
+);
+
+// HLS master/rendition playlists and segments
+router.get('/:id/hls/*',
+  optionalAuth,
+  streamController.streamHls
+);
+
+// DASH manifest and segments (shared with HLS)
+router.get('/:id/dash/*',
+  optionalAuth,
+  streamController.streamDash
+);
+
+// Get video thumbnail - use optional auth to support a ?playback= token
 router.get('/:id/thumbnail',
   optionalAuth,
   streamController.getThumbnail
 );
 
+// Poster candidates and the uploaded poster (see PUT /api/videos/:id/poster)
+router.get('/:id/thumbnails/:index(\\d+|custom)',
+  optionalAuth,
+  streamController.getThumbnailCandidate
+);
+
+// Muted preview clip played on hover in the library
+router.get('/:id/preview',
+  optionalAuth,
+  streamController.getPreviewClip
+);
+
+// WebVTT caption track
+router.get('/:id/captions/:trackId',
+  optionalAuth,
+  streamController.getCaption
+);
+
+// Seek-bar hover previews: WebVTT thumbnails track and its sprite sheet
+router.get('/:id/sprite.vtt',
+  optionalAuth,
+  streamController.getSeekPreviewTrack
+);
+
+router.get('/:id/sprite.jpg',
+  optionalAuth,
+  streamController.getSeekPreviewSprite
+);
+
 export default router;
 
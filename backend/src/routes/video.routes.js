@@ -1,9 +1,12 @@
 import express from 'express';
 import videoController from '../controllers/video.controller.js';
+import captionController from '../controllers/caption.controller.js';
+import tusController from '../controllers/tus.controller.js';
 import { authenticate } from '../middleware/auth.js';
 import { authorize } from '../middleware/rbac.js';
-import { upload, handleMulterError } from '../middleware/upload.js';
+import { upload, posterUpload, captionUpload, handleMulterError, verifyUploadedFile } from '../middleware/upload.js';
 import { uploadLimiter } from '../middleware/rateLimiter.js';
+import { enforceStorageQuota } from '../middleware/quota.js';
 import { validate, schemas } from '../middleware/validator.js';
 
 const router = express.Router();
@@ -15,11 +18,58 @@ router.use(authenticate);
 router.post('/',
   authorize('editor', 'admin'),
   uploadLimiter,
+  enforceStorageQuota,
   upload.single('video'),
   handleMulterError,
+  verifyUploadedFile,
   videoController.uploadVideo
 );
 
+// Direct-to-bucket upload via presigned URLs (editor and admin only)
+router.post('/uploads',
+  authorize('editor', 'admin'),
+  uploadLimiter,
+  validate(schemas.createDirectUpload),
+  videoController.createDirectUpload
+);
+
+router.post('/:id/upload/complete',
+  authorize('editor', 'admin'),
+  validate(schemas.completeDirectUpload),
+  videoController.completeDirectUpload
+);
+
+router.delete('/:id/upload',
+  authorize('editor', 'admin'),
+  videoController.abortDirectUpload
+);
+
+// Resumable (tus) uploads (editor and admin only)
+router.options('/tus',
+  tusController.getOptions
+);
+
+router.post('/tus',
+  authorize('editor', 'admin'),
+  uploadLimiter,
+  tusController.createUpload
+);
+
+router.head('/tus/:id',
+  authorize('editor', 'admin'),
+  tusController.getUploadOffset
+);
+
+router.patch('/tus/:id',
+  authorize('editor', 'admin'),
+  tusController.patchUpload
+);
+
+router.delete('/tus/:id',
+  authorize('editor', 'admin'),
+  tusController.terminateUpload
+);
+
 // Get all videos
 router.get('/',
   videoController.getVideos
@@ -46,5 +96,87 @@ router.get('/:id/status',
   videoController.getVideoStatus
 );
 
+// Full technical metadata from ffprobe
+router.get('/:id/technical',
+  videoController.getTechnicalMetadata
+);
+
+// Cancel in-flight processing (uploader or organization admin)
+router.post('/:id/processing/cancel',
+  videoController.cancelProcessing
+);
+
+// Processing history with per-stage timeline (uploader or organization admin)
+router.get('/:id/jobs',
+  videoController.getProcessingJobs
+);
+
+// Poster: pick a generated candidate or upload an image (uploader or organization admin)
+router.put('/:id/poster',
+  validate(schemas.selectPoster),
+  videoController.selectPoster
+);
+
+router.post('/:id/poster',
+  authorize('editor', 'admin'),
+  posterUpload.single('poster'),
+  handleMulterError,
+  videoController.uploadPoster
+);
+
+// Caption tracks: anyone who can view lists them; uploader or organization admin manages them
+router.get('/:id/captions',
+  captionController.getCaptions
+);
+
+router.post('/:id/captions',
+  authorize('editor', 'admin'),
+  captionUpload.single('caption'),
+  handleMulterError,
+  validate(schemas.createCaption),
+  captionController.createCaption
+);
+
+router.put('/:id/captions/:trackId',
+  validate(schemas.updateCaption),
+  captionController.updateCaption
+);
+
+router.delete('/:id/captions/:trackId',
+  captionController.deleteCaption
+);
+
+// Sharing (uploader or organization admin)
+router.get('/:id/shares',
+  videoController.getShares
+);
+
+router.post('/:id/shares',
+  validate(schemas.shareVideo),
+  videoController.addShares
+);
+
+router.delete('/:id/shares/users/:userId',
+  videoController.removeUserShare
+);
+
+router.delete('/:id/shares/roles/:role',
+  videoController.removeRoleShare
+);
+
+// Public share links (uploader or organization admin)
+router.post('/:id/links',
+  validate(schemas.createShareLink),
+  videoController.createShareLink
+);
+
+router.get('/:id/links',
+  videoController.getShareLinks
+);
+
+router.delete('/:id/links/:linkId',
+  videoController.revokeShareLink
+);
+
 export default router;
 
@@ -5,6 +5,7 @@ import logger from './utils/logger.js';
 import { connectDB } from './config/database.js';
 import { connectRedis } from './config/redis.js';
 import socketService from './socket/socket.js';
+import uploadCleanupService from './services/uploadCleanup.service.js';
 
 // Import worker to start processing
 import './workers/videoProcessor.worker.js';
@@ -26,6 +27,9 @@ const startServer = async () => {
     // Connect to Redis (optional, for job queue)
     await connectRedis();
 
+    // Remove resumable uploads that expired without being resumed
+    uploadCleanupService.start();
+
     // Start server
     server.listen(PORT, () => {
       logger.info('================================================');
@@ -0,0 +1,85 @@
+/**
+ * Video access policy, shared by the REST controllers and socket subscriptions.
+ *
+ * A viewer is anything carrying `userId`, `organizationId` and `userRole`
+ * (an authenticated request or socket), or nothing for anonymous access.
+ *
+ * - public videos are visible to everyone
+ * - organization admins see every video in their organization
+ * - uploaders see their own videos
+ * - organization videos are visible to all members of the organization
+ * - shares (allowedUsers / allowedRoles) grant access on top of visibility,
+ *   which is what opens up private videos to selected members
+ */
+
+// Fields the policy reads; include them when selecting a video for an access check
+export const ACCESS_FIELDS = 'organizationId uploadedBy visibility allowedUsers allowedRoles';
+
+// Roles a video can be shared with
+export const SHAREABLE_ROLES = ['viewer', 'editor', 'admin'];
+
+// Works for both raw ObjectIds and populated documents
+const idOf = (ref) => (ref?._id ?? ref)?.toString();
+
+class AccessService {
+  /**
+   * Whether a viewer may see a video (metadata, stream, thumbnail and live updates)
+   */
+  canViewVideo(video, viewer) {
+    if (!video) return false;
+
+    if (video.visibility === 'public') return true;
+
+    if (!viewer?.userId) return false;
+
+    if (idOf(video.organizationId) !== idOf(viewer.organizationId)) return false;
+
+    if (viewer.userRole === 'admin') return true;
+
+    if (idOf(video.uploadedBy) === idOf(viewer.userId)) return true;
+
+    if (video.visibility === 'organization') return true;
+
+    return this.isSharedWith(video, viewer);
+  }
+
+  /**
+   * Whether a viewer may edit a video, including its shares: the uploader or an organization admin
+   */
+  canManageVideo(video, viewer) {
+    if (!video || !viewer?.userId) return false;
+
+    if (idOf(video.organizationId) !== idOf(viewer.organizationId)) return false;
+
+    return viewer.userRole === 'admin' || idOf(video.uploadedBy) === idOf(viewer.userId);
+  }
+
+  isSharedWith(video, viewer) {
+    const userId = idOf(viewer.userId);
+
+    return (video.allowedUsers || []).some(user => idOf(user) === userId) ||
+      (video.allowedRoles || []).includes(viewer.userRole);
+  }
+
+  /**
+   * MongoDB filter matching the videos of the viewer's organization that canViewVideo allows
+   */
+  buildVideoFilter(viewer) {
+    const filter = { organizationId: viewer.organizationId };
+
+    if (viewer.userRole === 'admin') {
+      return filter;
+    }
+
+    filter.$or = [
+      { uploadedBy: viewer.userId },
+      { visibility: { $in: ['organization', 'public'] } },
+      { allowedUsers: viewer.userId },
+      { allowedRoles: viewer.userRole }
+    ];
+
+    return filter;
+  }
+}
+
+export default new AccessService();
@@ -0,0 +1,44 @@
+import config from '../config/env.js';
+
+/**
+ * Cache-Control for media (streams, segments and thumbnails).
+ *
+ * - public videos may be cached by shared caches, for a bounded time since
+ *   visibility can change
+ * - everything else is private to the viewer's browser
+ * - share links are private and never cached past the link's expiry; links with
+ *   a password or a view limit are revalidated on every use
+ *
+ * Validators (ETag/Last-Modified) come from the storage object, see utils/range.js.
+ */
+
+export const NO_STORE = 'private, no-store';
+
+class CachePolicyService {
+  /**
+   * Media of a video reached through the regular, access-checked routes
+   */
+  forVideo(video) {
+    if (video.visibility === 'public') {
+      return `public, max-age=${config.cache.publicMaxAgeSeconds}`;
+    }
+
+    return `private, max-age=${config.cache.privateMaxAgeSeconds}`;
+  }
+
+  /**
+   * Media of a video reached through a share link
+   */
+  forShareLink(link) {
+    if (link.hasPassword || link.maxViews !== null) {
+      return 'private, no-cache';
+    }
+
+    const untilExpiry = Math.floor((link.expiresAt.getTime() - Date.now()) / 1000);
+    const maxAge = Math.max(0, Math.min(config.cache.privateMaxAgeSeconds, untilExpiry));
+
+    return `private, max-age=${maxAge}`;
+  }
+}
+
+export default new CachePolicyService();
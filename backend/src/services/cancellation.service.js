@@ -0,0 +1,136 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import Video from '../models/Video.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Cancelling in-flight processing.
+ *
+ * The worker runs each job inside `run(videoId, fn)`. Every ffmpeg command
+ * started from that call tree is tracked (utils/ffmpeg.js calls `track`), so a
+ * cancellation kills the job's ffmpeg children without a signal having to be
+ * threaded through the thumbnail, sensitivity and packaging services.
+ *
+ * The API and the worker may run in different processes: the API sets the
+ * video's `cancelled` status and publishes its id on a Redis channel that every
+ * worker listens to. The status is the durable signal; `checkpoint` re-reads it
+ * between stages, which also covers a missed message.
+ */
+
+export const CANCEL_CHANNEL = 'video-processing:cancel';
+
+export class ProcessingCancelledError extends Error {
+  constructor(videoId) {
+    super(`Processing of video ${videoId} was cancelled`);
+    this.name = 'ProcessingCancelledError';
+  }
+}
+
+const storage = new AsyncLocalStorage();
+
+class CancellationService {
+  constructor() {
+    // videoId -> { videoId, cancelled, commands } for jobs running in this process
+    this.runs = new Map();
+    this.subscriber = null;
+  }
+
+  /**
+   * Kill local jobs when any process publishes a cancellation
+   * @param {Object} redis - ioredis client of the processing queue (Bull's `queue.client`)
+   */
+  listen(redis) {
+    if (this.subscriber) return;
+
+    this.subscriber = redis.duplicate();
+    this.subscriber.on('message', (channel, videoId) => {
+      if (channel === CANCEL_CHANNEL) {
+        this.cancel(videoId);
+      }
+    });
+    this.subscriber.on('error', (error) => {
+      logger.warn(`Cancellation listener error: ${error.message}`);
+    });
+    this.subscriber.subscribe(CANCEL_CHANNEL).catch((error) => {
+      logger.error('Failed to subscribe to processing cancellations:', error);
+    });
+  }
+
+  /**
+   * Run a job's pipeline so its ffmpeg commands can be killed
+   * @returns {*} Whatever `fn` returns
+   */
+  async run(videoId, fn) {
+    const run = { videoId: videoId.toString(), cancelled: false, commands: new Set() };
+    this.runs.set(run.videoId, run);
+
+    try {
+      return await storage.run(run, fn);
+    } finally {
+      this.runs.delete(run.videoId);
+    }
+  }
+
+  /**
+   * Attach an ffmpeg command to the running job, if any
+   */
+  track(command) {
+    const run = storage.getStore();
+    if (!run) return command;
+
+    if (run.cancelled) {
+      command.on('start', () => command.kill('SIGKILL'));
+      return command;
+    }
+
+    run.commands.add(command);
+    const untrack = () => run.commands.delete(command);
+    command.on('end', untrack);
+    command.on('error', untrack);
+
+    return command;
+  }
+
+  /**
+   * Cancel a job running in this process and kill its ffmpeg children
+   * @returns {boolean} Whether a job was running here
+   */
+  cancel(videoId) {
+    const run = this.runs.get(videoId.toString());
+    if (!run) return false;
+
+    run.cancelled = true;
+
+    for (const command of run.commands) {
+      command.kill('SIGKILL');
+    }
+
+    logger.info(`Cancelled processing of video ${run.videoId} (${run.commands.size} ffmpeg process(es) killed)`);
+    run.commands.clear();
+
+    return true;
+  }
+
+  isCancelled() {
+    return !!storage.getStore()?.cancelled;
+  }
+
+  /**
+   * Throw ProcessingCancelledError if the running job was cancelled, or its
+   * video was cancelled or deleted through another process
+   */
+  async checkpoint() {
+    const run = storage.getStore();
+    if (!run) return;
+
+    if (!run.cancelled) {
+      const video = await Video.findById(run.videoId).select('status').lean();
+      run.cancelled = !video || video.status === 'cancelled';
+    }
+
+    if (run.cancelled) {
+      throw new ProcessingCancelledError(run.videoId);
+    }
+  }
+}
+
+export default new CancellationService();
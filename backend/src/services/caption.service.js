@@ -0,0 +1,187 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ffmpegService from '../utils/ffmpeg.js';
+import storageService from './storage.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Caption tracks of a video (video.captions), stored as WebVTT under
+ * captions/<videoId>/<trackId>.vtt.
+ *
+ * Tracks are either uploaded by an editor or extracted from text subtitle
+ * streams in the source file. There is at most one track per language and kind,
+ * and at most one default track.
+ */
+
+// BCP 47 language tag, e.g. `en`, `pt-BR`, `zh-Hant`; ffprobe's ISO 639-2 codes (`eng`) also fit
+export const LANGUAGE_TAG_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+export const CAPTION_KINDS = ['subtitles', 'captions'];
+
+class CaptionService {
+  /**
+   * Storage prefix for a video's caption tracks
+   */
+  getPrefix(videoId) {
+    return `captions/${videoId}`;
+  }
+
+  /**
+   * The track with the same language and kind, if any
+   */
+  findTrack(video, language, kind = 'subtitles') {
+    return video.captions.find(track => (
+      track.language.toLowerCase() === language.toLowerCase() && track.kind === kind
+    ));
+  }
+
+  /**
+   * Store WebVTT text as a new track
+   * @param {Object} video - Video document (saved by the caller)
+   * @param {Object} fields - language, label, kind, isDefault, source, streamIndex, createdBy
+   * @param {string} vtt - WebVTT text
+   */
+  async addTrack(video, fields, vtt) {
+    const track = video.captions.create({
+      language: fields.language,
+      label: fields.label || fields.language,
+      kind: fields.kind || 'subtitles',
+      source: fields.source || 'upload',
+      streamIndex: fields.streamIndex,
+      createdBy: fields.createdBy
+    });
+    const key = `${this.getPrefix(video._id)}/${track._id}.vtt`;
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'caption-'));
+
+    try {
+      const vttPath = path.join(workDir, 'track.vtt');
+      await fs.promises.writeFile(vttPath, vtt);
+
+      track.key = await storageService.uploadFile(vttPath, key);
+      track.size = Buffer.byteLength(vtt);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+
+    video.captions.push(track);
+    const added = video.captions[video.captions.length - 1];
+
+    if (fields.isDefault) {
+      this.setDefault(video, added);
+    }
+    this.updateStorageUsage(video);
+
+    return added;
+  }
+
+  /**
+   * Change a track's language, label, kind or default flag
+   */
+  updateTrack(video, track, { language, label, kind, isDefault }) {
+    if (language !== undefined) track.language = language;
+    if (label !== undefined) track.label = label || track.language;
+    if (kind !== undefined) track.kind = kind;
+
+    if (isDefault === true) {
+      this.setDefault(video, track);
+    } else if (isDefault === false) {
+      track.isDefault = false;
+    }
+
+    return track;
+  }
+
+  /**
+   * Remove a track and its file
+   */
+  async deleteTrack(video, track) {
+    await storageService.deleteFile(track.key, video.storageProvider).catch((error) => {
+      logger.warn(`Failed to delete caption file ${track.key}: ${error.message}`);
+    });
+
+    video.captions.pull(track._id);
+    this.updateStorageUsage(video);
+  }
+
+  /**
+   * Replace the embedded tracks with the text subtitle streams ffprobe found.
+   * Streams whose language and kind are already covered by an uploaded track are skipped.
+   * @param {Object} video - Video document (saved by the caller)
+   * @param {string} videoPath - Local path of the source file
+   * @param {Array} subtitleStreams - From ffmpegService.extractMetadata
+   */
+  async extractEmbedded(video, videoPath, subtitleStreams = []) {
+    for (const track of video.captions.filter(t => t.source === 'embedded')) {
+      await this.deleteTrack(video, track);
+    }
+
+    const textStreams = subtitleStreams.filter(stream => stream.isText);
+    const skipped = subtitleStreams.length - textStreams.length;
+
+    if (skipped > 0) {
+      logger.info(`Skipping ${skipped} bitmap subtitle stream(s) in video ${video._id}`);
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'subtitles-'));
+    const extracted = [];
+
+    try {
+      for (const stream of textStreams) {
+        const language = LANGUAGE_TAG_PATTERN.test(stream.language || '') ? stream.language : 'und';
+        const kind = 'subtitles';
+
+        if (this.findTrack(video, language, kind)) {
+          continue;
+        }
+
+        try {
+          const vttPath = await ffmpegService.extractSubtitle(
+            videoPath,
+            stream.index,
+            path.join(workDir, `stream-${stream.index}.vtt`)
+          );
+          const vtt = await fs.promises.readFile(vttPath, 'utf8');
+
+          extracted.push(await this.addTrack(video, {
+            language,
+            label: stream.title || (language === 'und' ? `Track ${stream.index}` : language),
+            kind,
+            source: 'embedded',
+            streamIndex: stream.index,
+            isDefault: stream.isDefault && !video.captions.some(t => t.isDefault)
+          }, vtt));
+        } catch (error) {
+          logger.warn(`Failed to extract subtitle stream ${stream.index} of video ${video._id}: ${error.message}`);
+        }
+      }
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+
+    if (extracted.length > 0) {
+      logger.info(`Extracted ${extracted.length} subtitle track(s) from video ${video._id}`);
+    }
+
+    return extracted;
+  }
+
+  setDefault(video, track) {
+    video.captions.forEach((t) => {
+      t.isDefault = t._id.equals(track._id);
+    });
+  }
+
+  /**
+   * Recount caption bytes against the organization's quota
+   */
+  updateStorageUsage(video) {
+    video.set(
+      'storageUsage.captions',
+      video.captions.reduce((total, track) => total + (track.size || 0), 0)
+    );
+  }
+}
+
+export default new CaptionService();
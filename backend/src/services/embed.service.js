@@ -0,0 +1,186 @@
+import Video from '../models/Video.js';
+import Organization from '../models/Organization.js';
+import shareLinkService, { SHARED_VIDEO_FIELDS } from './shareLink.service.js';
+import config from '../config/env.js';
+
+/**
+ * Embedding videos in other sites: the /embed/:id player page and oEmbed.
+ *
+ * Only public videos and videos opened through a share link can be embedded.
+ * Which sites may frame the player is an allowlist on the organization
+ * (settings.embedDomains), enforced with CSP frame-ancestors.
+ */
+
+// `wiki.example.com`, `*.example.com`, or a full origin such as `http://wiki.local:8080`
+export const EMBED_DOMAIN_PATTERN = /^(https?:\/\/)?(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/;
+
+// Size of the thumbnails the worker generates
+const THUMBNAIL_SIZE = { width: 640, height: 360 };
+const DEFAULT_SIZE = { width: 640, height: 360 };
+
+class EmbedService {
+  /**
+   * Load a video for embedding, either public or through a share link (for that video, when videoId is given).
+   * Returns `{ video, link }` (link is null for public videos), or `{ error: { status, message } }`.
+   */
+  async resolve(videoId, shareToken) {
+    if (shareToken) {
+      const { link, video, error } = await shareLinkService.resolve(shareToken);
+
+      if (error) {
+        return { error: { status: error.status, message: error.message } };
+      }
+      if (videoId && video._id.toString() !== videoId.toString()) {
+        return { error: { status: 404, message: 'Video not found' } };
+      }
+
+      return { video, link };
+    }
+
+    const video = await Video.findById(videoId).select(`${SHARED_VIDEO_FIELDS} visibility`);
+
+    if (!video || video.visibility !== 'public') {
+      return { error: { status: 401, message: 'This video is not available for embedding' } };
+    }
+
+    const organization = await Organization.findById(video.organizationId).select('isActive').lean();
+
+    if (!organization?.isActive) {
+      return { error: { status: 404, message: 'Video not found' } };
+    }
+
+    return { video, link: null };
+  }
+
+  /**
+   * CSP frame-ancestors sources for an organization: the app itself plus its allowlist
+   */
+  async getFrameAncestors(organizationId) {
+    const organization = await Organization.findById(organizationId).select('settings.embedDomains').lean();
+    const domains = organization?.settings?.embedDomains || [];
+
+    const sources = domains
+      .filter(domain => EMBED_DOMAIN_PATTERN.test(domain))
+      .map(domain => (domain.includes('://') ? domain : `https://${domain}`));
+
+    return ["'self'", new URL(config.frontendUrl).origin, ...sources];
+  }
+
+  /**
+   * Video id and share token from a watch, share or embed URL of this platform, or null
+   */
+  parseUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    const appOrigin = new URL(config.frontendUrl).origin;
+    const apiOrigin = new URL(config.publicUrl).origin;
+
+    if (parsed.origin === appOrigin) {
+      const watch = parsed.pathname.match(/^\/videos\/([a-f0-9]{24})\/?$/);
+      if (watch) return { videoId: watch[1], shareToken: null };
+
+      const share = parsed.pathname.match(/^\/s\/([^/]+)\/?$/);
+      if (share) {
+        try {
+          return { videoId: null, shareToken: decodeURIComponent(share[1]) };
+        } catch {
+          // Malformed percent-encoding can't be one of our share tokens
+          return null;
+        }
+      }
+    }
+
+    if (parsed.origin === apiOrigin) {
+      const embed = parsed.pathname.match(/^\/embed\/([a-f0-9]{24})\/?$/);
+      if (embed) return { videoId: embed[1], shareToken: parsed.searchParams.get('share') };
+    }
+
+    return null;
+  }
+
+  getEmbedUrl(videoId, shareToken) {
+    const query = shareToken ? `?share=${encodeURIComponent(shareToken)}` : '';
+    return `${config.publicUrl}/embed/${videoId}${query}`;
+  }
+
+  /**
+   * Thumbnail URL an embedding site can load without credentials, or null
+   */
+  getThumbnailUrl(video, link, shareToken) {
+    if (!video.thumbnailUrl && !video.thumbnail) return null;
+    if (!link) return `${config.publicUrl}/api/stream/${video._id}/thumbnail`;
+    if (link.hasPassword) return null;
+    return `${config.publicUrl}/api/public/${encodeURIComponent(shareToken)}/thumbnail`;
+  }
+
+  /**
+   * Player size from the video's resolution, scaled down to fit maxwidth/maxheight
+   */
+  getPlayerSize(video, { maxWidth, maxHeight } = {}) {
+    const { width, height } = video.resolution?.width && video.resolution?.height
+      ? video.resolution
+      : DEFAULT_SIZE;
+
+    const scale = Math.min(
+      1,
+      maxWidth ? maxWidth / width : 1,
+      maxHeight ? maxHeight / height : 1
+    );
+
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale))
+    };
+  }
+
+  /**
+   * oEmbed 1.0 "video" response
+   */
+  buildOEmbed(video, link, shareToken, options = {}) {
+    const { width, height } = this.getPlayerSize(video, options);
+    const embedUrl = this.getEmbedUrl(video._id, shareToken);
+    const thumbnailUrl = this.getThumbnailUrl(video, link, shareToken);
+
+    const response = {
+      version: '1.0',
+      type: 'video',
+      provider_name: 'Video Streaming Platform',
+      provider_url: config.frontendUrl,
+      title: video.title,
+      width,
+      height,
+      html: `<iframe src="${escapeHtml(embedUrl)}" width="${width}" height="${height}" ` +
+        'frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen ' +
+        `title="${escapeHtml(video.title)}"></iframe>`
+    };
+
+    if (thumbnailUrl) {
+      response.thumbnail_url = thumbnailUrl;
+      response.thumbnail_width = THUMBNAIL_SIZE.width;
+      response.thumbnail_height = THUMBNAIL_SIZE.height;
+    }
+
+    // Share links expire; tell consumers not to cache past that
+    if (link) {
+      response.cache_age = Math.max(0, Math.floor((link.expiresAt.getTime() - Date.now()) / 1000));
+    }
+
+    return response;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default new EmbedService();
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import Organization from '../models/Organization.js';
+import ffmpegService from '../utils/ffmpeg.js';
+import storageService from './storage.service.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+
+// Container family each accepted extension must actually contain
+const FORMAT_CONTAINERS = {
+  mp4: 'isobmff',
+  m4v: 'isobmff',
+  mov: 'isobmff',
+  '3gp': 'isobmff',
+  mkv: 'matroska',
+  webm: 'matroska',
+  avi: 'avi',
+  flv: 'flv',
+  mpg: 'mpeg-ps',
+  mpeg: 'mpeg-ps',
+  ts: 'mpeg-ts'
+};
+
+// Name ffprobe lists in format_name for each container family
+const PROBE_FORMAT_NAMES = {
+  isobmff: 'mov',
+  matroska: 'matroska',
+  avi: 'avi',
+  flv: 'flv',
+  'mpeg-ps': 'mpeg',
+  'mpeg-ts': 'mpegts'
+};
+
+// Top-level atoms a QuickTime/MP4 file may start with
+const ISOBMFF_ATOMS = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+// Two transport stream packets, enough to see the second sync byte
+export const SNIFF_BYTES = 376;
+
+export const SUPPORTED_FORMATS = Object.keys(FORMAT_CONTAINERS);
+
+/**
+ * Identify a container from its leading bytes, or null if unrecognized
+ */
+export const sniffContainer = (buffer) => {
+  if (buffer.length >= 12 && ISOBMFF_ATOMS.includes(buffer.toString('latin1', 4, 8))) {
+    return 'isobmff';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1A45DFA3) {
+    return 'matroska';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'AVI ') {
+    return 'avi';
+  }
+  if (buffer.length >= 3 && buffer.toString('latin1', 0, 3) === 'FLV') {
+    return 'flv';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x000001BA) {
+    return 'mpeg-ps';
+  }
+  if (buffer.length > 188 && buffer[0] === 0x47 && buffer[188] === 0x47) {
+    return 'mpeg-ts';
+  }
+  return null;
+};
+
+class FormatService {
+  /**
+   * Formats an organization accepts: its own list, limited to containers we can verify,
+   * falling back to ALLOWED_VIDEO_FORMATS when the organization has none
+   */
+  async getAllowedFormats(organizationId) {
+    const organization = await Organization.findById(organizationId).select('settings.allowedFormats');
+    const orgFormats = (organization?.settings?.allowedFormats || [])
+      .map(format => format.toLowerCase())
+      .filter(format => SUPPORTED_FORMATS.includes(format));
+
+    return orgFormats.length > 0 ? orgFormats : config.upload.allowedFormats;
+  }
+
+  /**
+   * Check an extension against the organization's allowed formats
+   * @returns {{ valid: boolean, error?: string }}
+   */
+  async checkExtension(organizationId, format) {
+    const allowedFormats = await this.getAllowedFormats(organizationId);
+
+    if (!allowedFormats.includes(format)) {
+      return { valid: false, error: `Invalid file format. Allowed: ${allowedFormats.join(', ')}` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check that leading bytes belong to the container the extension claims
+   */
+  checkHeader(buffer, format) {
+    const expected = FORMAT_CONTAINERS[format];
+    const detected = sniffContainer(buffer);
+
+    if (!expected || detected !== expected) {
+      return {
+        valid: false,
+        error: `File content is not a valid ${format} video`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Verify a local file: magic bytes first, then ffprobe must find the same container
+   * and a video stream
+   */
+  async verifyFile(filePath, format, options = {}) {
+    const headerCheck = this.checkHeader(await this.readHeader(filePath), format);
+
+    if (!headerCheck.valid || options.probe === false || !config.upload.probeUploads) {
+      return headerCheck;
+    }
+
+    try {
+      const probe = await ffmpegService.probeContainer(filePath);
+      const expectedName = PROBE_FORMAT_NAMES[FORMAT_CONTAINERS[format]];
+
+      if (!probe.formatNames.includes(expectedName) || !probe.hasVideo) {
+        return { valid: false, error: `File content is not a valid ${format} video` };
+      }
+    } catch (error) {
+      logger.warn(`FFprobe rejected upload ${filePath}: ${error.message}`);
+      return { valid: false, error: 'File could not be read as a video' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Verify the leading bytes of an object already in storage (direct uploads)
+   */
+  async verifyStoredFile(storageKey, providerName, format) {
+    const stream = await storageService.getFileStream(
+      storageKey,
+      { start: 0, end: SNIFF_BYTES - 1 },
+      providerName
+    );
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    return this.checkHeader(Buffer.concat(chunks), format);
+  }
+
+  async readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+export default new FormatService();
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ffmpegService from '../utils/ffmpeg.js';
+import storageService from './storage.service.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+
+// Containers browsers play progressively, with the codecs they decode in each
+const BROWSER_PLAYABLE = {
+  mp4: { video: ['h264'], audio: ['aac', 'mp3'] },
+  m4v: { video: ['h264'], audio: ['aac', 'mp3'] },
+  webm: { video: ['vp8', 'vp9'], audio: ['opus', 'vorbis'] }
+};
+
+// H.264 that every browser decodes: 8-bit 4:2:0
+const BROWSER_PIXEL_FORMATS = ['yuv420p', 'yuvj420p'];
+
+class PackagingService {
+  /**
+   * Storage prefix for a video's adaptive streaming outputs
+   */
+  getStreamingPrefix(videoId) {
+    return `streams/${videoId}`;
+  }
+
+  /**
+   * Storage key of a video's web master
+   */
+  getWebMasterKey(videoId) {
+    return `web/${videoId}.mp4`;
+  }
+
+  /**
+   * Make a browser-safe MP4 (the "web master") when the original won't play in
+   * browsers, and drop a stale one when it will
+   * @param {Object} video - Video document with metadata extracted (saved by the caller)
+   * @param {string} videoPath - Local path of the source file
+   * @param {Function} onProgress - Called with a 0..1 fraction
+   */
+  async packageWebMaster(video, videoPath, onProgress) {
+    if (!config.processing.webMasterEnabled) {
+      logger.info(`Web master disabled, skipping video ${video._id}`);
+      return null;
+    }
+
+    if (isBrowserPlayable(video)) {
+      if (video.webMaster?.key) {
+        await storageService.deleteFile(video.webMaster.key, video.storageProvider).catch(() => {});
+        video.set('webMaster', undefined);
+        video.set('storageUsage.webMaster', 0);
+      }
+      return null;
+    }
+
+    const videoStream = video.metadata?.streams?.find(s => s.type === 'video' && !s.isAttachedPicture);
+    const audioTrack = video.audioTracks?.find(t => t.isDefault) || video.audioTracks?.[0];
+    const hasAudio = !!audioTrack || (!!video.metadata?.audioCodec && video.metadata.audioCodec !== 'none');
+    const copyVideo = video.metadata?.codec === 'h264' &&
+      BROWSER_PIXEL_FORMATS.includes(video.metadata?.pixelFormat);
+    const copyAudio = (audioTrack?.codec || video.metadata?.audioCodec) === 'aac';
+
+    let lastPercent = -1;
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'webmaster-'));
+
+    try {
+      const outputPath = path.join(workDir, 'web.mp4');
+
+      await ffmpegService.generateWebMaster(videoPath, outputPath, {
+        videoStreamIndex: videoStream?.index,
+        audioStreamIndex: audioTrack?.index,
+        hasAudio,
+        copyVideo,
+        copyAudio,
+        crf: config.processing.webMasterCrf,
+        onProgress: (percent) => {
+          const wholePercent = Math.floor(percent);
+          if (onProgress && wholePercent !== lastPercent) {
+            lastPercent = wholePercent;
+            onProgress(wholePercent / 100);
+          }
+        }
+      });
+
+      const { size } = await fs.promises.stat(outputPath);
+      const key = await storageService.uploadFile(outputPath, this.getWebMasterKey(video._id));
+
+      video.set('webMaster', {
+        key,
+        size,
+        remuxed: copyVideo,
+        generatedAt: new Date()
+      });
+      video.set('storageUsage.webMaster', size);
+
+      logger.info(`Web master ${copyVideo ? 'remuxed' : 'transcoded'} for video ${video._id} (${video.format})`);
+
+      return video.webMaster;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Package a video as DASH + HLS over a shared set of fMP4 segments
+   * and record the renditions on the video
+   * @param {Object} video - Video document (saved by the caller)
+   * @param {string} videoPath - Local path of the source file
+   * @param {Function} onProgress - Called with a 0..1 fraction
+   */
+  async packageStreaming(video, videoPath, onProgress) {
+    if (!config.processing.adaptiveStreamingEnabled) {
+      logger.info(`Adaptive streaming disabled, skipping video ${video._id}`);
+      return null;
+    }
+
+    const prefix = this.getStreamingPrefix(video._id);
+    const outputDir = storageService.getLocalPath(prefix);
+
+    // Start from a clean directory so retries don't mix old segments in
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    await storageService.deleteDirectory(prefix);
+    video.set('storageUsage.renditions', 0);
+
+    // ffmpeg reports progress many times per second; only forward whole-percent changes
+    let lastPercent = -1;
+    const reportProgress = (percent) => {
+      const wholePercent = Math.floor(percent);
+      if (onProgress && wholePercent !== lastPercent) {
+        lastPercent = wholePercent;
+        onProgress(wholePercent / 100);
+      }
+    };
+
+    try {
+      const result = await ffmpegService.generateStreamingLadder(videoPath, outputDir, {
+        sourceWidth: video.resolution?.width,
+        sourceHeight: video.resolution?.height,
+        hasAudio: !!video.metadata?.audioCodec && video.metadata.audioCodec !== 'none',
+        audioStreams: video.audioTracks,
+        segmentSeconds: config.processing.segmentSeconds,
+        hls: config.processing.hlsEnabled,
+        onProgress: reportProgress
+      });
+
+      if (result.hlsMasterPlaylist) {
+        await fs.promises.writeFile(
+          path.join(outputDir, result.hlsMasterPlaylist),
+          buildHlsMasterPlaylist(result.renditions, result.audioRenditions)
+        );
+      }
+
+      // Measured before upload, since remote providers remove the local copy
+      const renditionBytes = await storageService.getDirectorySize(outputDir);
+
+      // Remote providers receive the whole segment store; local output is already in place
+      await storageService.uploadDirectory(outputDir, prefix);
+
+      video.set('streaming', {
+        prefix,
+        hls: { masterPlaylist: result.hlsMasterPlaylist },
+        dash: { manifest: result.dashManifest },
+        renditions: result.renditions,
+        audioRenditions: result.audioRenditions,
+        generatedAt: new Date()
+      });
+      video.set('storageUsage.renditions', renditionBytes);
+
+      logger.info(
+        `Streaming ladder packaged for video ${video._id}: ` +
+        result.renditions.map(r => r.name).join(', ')
+      );
+
+      return video.streaming;
+    } catch (error) {
+      await fs.promises.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+      await storageService.deleteDirectory(prefix).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the renditions and web master of a video whose processing was cancelled.
+   * Only the files: the caller resets the video's fields.
+   */
+  async discardOutputs(video) {
+    const prefix = this.getStreamingPrefix(video._id);
+
+    await fs.promises.rm(storageService.getLocalPath(prefix), { recursive: true, force: true }).catch(() => {});
+    await storageService.deleteDirectory(prefix).catch((error) => {
+      logger.warn(`Failed to delete renditions of video ${video._id}: ${error.message}`);
+    });
+    await storageService.deleteFile(this.getWebMasterKey(video._id), video.storageProvider).catch(() => {});
+  }
+}
+
+/**
+ * Whether browsers can play a video's original file as-is: a container they
+ * support progressively, with codecs they decode
+ */
+export function isBrowserPlayable(video) {
+  const supported = BROWSER_PLAYABLE[video.format?.toLowerCase()];
+  if (!supported) return false;
+
+  const { codec, pixelFormat, audioCodec } = video.metadata || {};
+
+  if (!supported.video.includes(codec)) return false;
+  if (codec === 'h264' && !BROWSER_PIXEL_FORMATS.includes(pixelFormat)) return false;
+
+  return !audioCodec || audioCodec === 'none' || supported.audio.includes(audioCodec);
+}
+
+/**
+ * HLS master playlist for the packaged renditions. Audio tracks form one
+ * rendition group that every video variant references, so players can switch
+ * language without changing quality.
+ */
+export function buildHlsMasterPlaylist(renditions, audioRenditions = []) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  const usedNames = new Set();
+  const defaultIndex = Math.max(0, audioRenditions.findIndex(a => a.isDefault));
+
+  audioRenditions.forEach((audio, i) => {
+    // NAME must be unique within the group
+    const baseName = quoteSafe(audio.label || audio.language || `Track ${i + 1}`);
+    let name = baseName;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${baseName} (${n})`;
+    }
+    usedNames.add(name);
+
+    const attributes = [
+      'TYPE=AUDIO',
+      'GROUP-ID="audio"',
+      `NAME="${name}"`,
+      audio.language && audio.language !== 'und' ? `LANGUAGE="${quoteSafe(audio.language)}"` : null,
+      `DEFAULT=${i === defaultIndex ? 'YES' : 'NO'}`,
+      'AUTOSELECT=YES',
+      audio.channels ? `CHANNELS="${audio.channels}"` : null,
+      `URI="${audio.hlsPlaylist}"`
+    ];
+    lines.push(`#EXT-X-MEDIA:${attributes.filter(Boolean).join(',')}`);
+  });
+
+  for (const rendition of renditions) {
+    const attributes = [
+      `BANDWIDTH=${rendition.bandwidth}`,
+      `RESOLUTION=${rendition.width}x${rendition.height}`,
+      audioRenditions.length > 0 ? 'AUDIO="audio"' : null
+    ];
+    lines.push(`#EXT-X-STREAM-INF:${attributes.filter(Boolean).join(',')}`, rendition.hlsPlaylist);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Quoted-string attribute values can't contain quotes or line breaks
+function quoteSafe(value) {
+  return String(value).replace(/["\r\n]/g, '');
+}
+
+export default new PackagingService();
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/env.js';
+
+/**
+ * Playback tokens.
+ *
+ * <video> and <img> can't send an Authorization header, so media URLs carry a
+ * playback token (?playback=) instead of the user's access token. A playback
+ * token is read-only, names a single video, lives a few minutes and can be
+ * bound to the requesting IP and/or User-Agent. It is signed with its own key,
+ * so it is never accepted as an access token and vice versa.
+ */
+
+const SCOPE = 'playback';
+
+class PlaybackTokenService {
+  constructor() {
+    this.secret = config.playback.secret ||
+      crypto.createHmac('sha256', config.jwt.secret).update('playback-tokens').digest('hex');
+  }
+
+  /**
+   * Mint a token for one video on behalf of an authenticated request
+   */
+  mint(videoId, req) {
+    const payload = {
+      scope: SCOPE,
+      videoId: videoId.toString(),
+      userId: req.userId.toString()
+    };
+
+    if (config.playback.bindIp) {
+      payload.ip = req.ip;
+    }
+    if (config.playback.bindUserAgent) {
+      payload.ua = hashUserAgent(req.get('user-agent'));
+    }
+
+    const expiresIn = config.playback.tokenTtlSeconds;
+    const token = jwt.sign(payload, this.secret, { expiresIn });
+
+    return { token, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  }
+
+  /**
+   * Decoded grant `{ videoId, userId }` if the token is valid for this request, otherwise null
+   */
+  verify(token, req) {
+    try {
+      const decoded = jwt.verify(token, this.secret);
+
+      if (decoded.scope !== SCOPE) return null;
+      if (decoded.ip && decoded.ip !== req.ip) return null;
+      if (decoded.ua && decoded.ua !== hashUserAgent(req.get('user-agent'))) return null;
+
+      return { videoId: decoded.videoId, userId: decoded.userId };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether the request's playback grant covers this video
+   */
+  grants(req, video) {
+    return !!req.playback && !!video && req.playback.videoId === video._id.toString();
+  }
+}
+
+function hashUserAgent(userAgent) {
+  return crypto.createHash('sha256').update(userAgent || '').digest('base64url').slice(0, 16);
+}
+
+export default new PlaybackTokenService();
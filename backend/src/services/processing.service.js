@@ -1,9 +1,21 @@
 import Queue from 'bull';
 import config from '../config/env.js';
 import logger from '../utils/logger.js';
+import cancellationService, { CANCEL_CHANNEL } from './cancellation.service.js';
 
 let videoQueue = null;
 
+// Named job for analysis-only runs (bulk re-analysis); full processing jobs are unnamed
+export const SENSITIVITY_ANALYSIS_JOB = 'sensitivity_analysis';
+
+// Bull job states the admin queue console can list
+export const QUEUE_STATES = ['waiting', 'active', 'delayed', 'completed', 'failed', 'paused'];
+
+// States whose jobs haven't started yet and can be drained
+const PENDING_STATES = ['waiting', 'paused', 'delayed'];
+
+const JOB_NOT_FOUND = { status: 404, message: 'Job not found' };
+
 // Initialize queue
 const initQueue = () => {
   try {
@@ -69,6 +81,36 @@ class ProcessingService {
     }
   }
 
+  /**
+   * Queue analysis-only jobs for a bulk re-analysis. They run once, without retries,
+   * so every video settles the batch exactly once.
+   * @param {Array} videoIds - Videos to re-analyze
+   * @param {string} batchId - ReanalysisBatch id
+   */
+  async queueSensitivityAnalysis(videoIds, batchId) {
+    if (!this.queue) {
+      throw new Error('Processing queue not available');
+    }
+
+    const jobs = await this.queue.addBulk(videoIds.map(videoId => ({
+      name: SENSITIVITY_ANALYSIS_JOB,
+      data: {
+        videoId: videoId.toString(),
+        batchId: batchId.toString(),
+        timestamp: new Date()
+      },
+      opts: {
+        attempts: 1,
+        timeout: config.processing.timeout,
+        removeOnComplete: 100,
+        removeOnFail: 50
+      }
+    })));
+
+    logger.info(`Queued ${jobs.length} sensitivity analysis jobs for batch ${batchId}`);
+    return jobs;
+  }
+
   async getJobStatus(jobId) {
     try {
       if (!this.queue) return null;
@@ -95,23 +137,194 @@ class ProcessingService {
     }
   }
 
+  /**
+   * Tell the worker processing a video to stop and kill its ffmpeg children.
+   * The caller sets the video's `cancelled` status first (see cancellation.service.js).
+   */
+  async cancelProcessing(videoId) {
+    const id = videoId.toString();
+
+    try {
+      if (this.queue) {
+        await this.queue.client.publish(CANCEL_CHANNEL, id);
+        return;
+      }
+    } catch (error) {
+      logger.warn(`Failed to publish cancellation of video ${id}: ${error.message}`);
+    }
+
+    // Without Redis only a worker in this process can be reached
+    cancellationService.cancel(id);
+  }
+
   async getQueueStats() {
     try {
       if (!this.queue) return null;
 
-      const [waiting, active, completed, failed] = await Promise.all([
-        this.queue.getWaitingCount(),
-        this.queue.getActiveCount(),
-        this.queue.getCompletedCount(),
-        this.queue.getFailedCount()
+      const [counts, isPaused] = await Promise.all([
+        this.queue.getJobCounts(),
+        this.queue.isPaused()
       ]);
 
-      return { waiting, active, completed, failed };
+      return { ...counts, isPaused };
     } catch (error) {
       logger.error('Get queue stats error:', error);
       return null;
     }
   }
+
+  /*
+   * Queue console operations (admin). Unlike the methods above these throw on
+   * Redis errors, and return `{ error: { status, message } }` when the job
+   * can't be acted on.
+   */
+
+  /**
+   * Jobs in one state, newest first
+   * @returns {Object} { jobs, total }
+   */
+  async getJobs(state, { page = 1, limit = 20 } = {}) {
+    const start = (page - 1) * limit;
+
+    const [jobs, total] = await Promise.all([
+      this.queue.getJobs([state], start, start + limit - 1, false),
+      this.queue.getJobCountByTypes(state)
+    ]);
+
+    return {
+      jobs: jobs.filter(Boolean).map(job => describeJob(job, state)),
+      total
+    };
+  }
+
+  /**
+   * One job with its payload, failure stack traces and log lines
+   */
+  async getJob(jobId) {
+    const job = await this.queue.getJob(jobId);
+
+    if (!job) return { error: JOB_NOT_FOUND };
+
+    const [state, logs] = await Promise.all([
+      job.getState(),
+      this.queue.getJobLogs(jobId)
+    ]);
+
+    return {
+      job: {
+        ...describeJob(job, state),
+        options: job.opts,
+        stacktrace: job.stacktrace || [],
+        logs: logs.logs
+      }
+    };
+  }
+
+  /**
+   * Put a failed job back in the queue
+   */
+  async retryJob(jobId) {
+    const job = await this.queue.getJob(jobId);
+
+    if (!job) return { error: JOB_NOT_FOUND };
+
+    const state = await job.getState();
+
+    if (state !== 'failed') {
+      return { error: { status: 409, message: `Only failed jobs can be retried (job is ${state})` } };
+    }
+
+    await job.retry();
+    logger.info(`Queue job ${job.id} retried`);
+
+    return { job: describeJob(job, 'waiting') };
+  }
+
+  /**
+   * Retry every failed job. Returns the retried jobs.
+   */
+  async retryFailed() {
+    const jobs = (await this.queue.getFailed()).filter(Boolean);
+    const results = await Promise.allSettled(jobs.map(job => job.retry()));
+    const retried = jobs.filter((job, index) => results[index].status === 'fulfilled');
+
+    logger.info(`Retried ${retried.length} of ${jobs.length} failed queue jobs`);
+
+    return retried.map(job => describeJob(job, 'waiting'));
+  }
+
+  /**
+   * Delete a job that isn't running
+   */
+  async removeJob(jobId) {
+    const job = await this.queue.getJob(jobId);
+
+    if (!job) return { error: JOB_NOT_FOUND };
+
+    const state = await job.getState();
+
+    if (state === 'active') {
+      return { error: { status: 409, message: 'Active jobs can\'t be removed while they run' } };
+    }
+
+    await job.remove();
+    logger.info(`Queue job ${job.id} removed (${state})`);
+
+    return { job: describeJob(job, state) };
+  }
+
+  /**
+   * Remove every job that hasn't started. Returns the removed jobs.
+   */
+  async drain() {
+    const jobs = (await this.queue.getJobs(PENDING_STATES)).filter(Boolean);
+    // A worker may pick a job up meanwhile; locked jobs fail to remove and are skipped
+    const results = await Promise.allSettled(jobs.map(job => job.remove()));
+    const removed = jobs.filter((job, index) => results[index].status === 'fulfilled');
+
+    logger.info(`Drained ${removed.length} pending queue jobs`);
+
+    return removed.map(job => describeJob(job));
+  }
+
+  /**
+   * Delete finished jobs (completed or failed). Returns the number removed.
+   */
+  async clean(state) {
+    const removed = await this.queue.clean(0, state);
+
+    logger.info(`Cleaned ${removed.length} ${state} queue jobs`);
+
+    return removed.length;
+  }
+
+  // Global pause: every worker stops taking new jobs, running jobs finish
+  async pause() {
+    await this.queue.pause();
+    logger.info('Processing queue paused');
+  }
+
+  async resume() {
+    await this.queue.resume();
+    logger.info('Processing queue resumed');
+  }
+}
+
+function describeJob(job, state) {
+  return {
+    id: job.id,
+    name: job.name,
+    state,
+    data: job.data,
+    progress: job.progress(),
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts?.attempts || 1,
+    failedReason: job.failedReason,
+    result: job.returnvalue,
+    createdAt: job.timestamp ? new Date(job.timestamp) : null,
+    processedAt: job.processedOn ? new Date(job.processedOn) : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+  };
 }
 
 export default new ProcessingService();
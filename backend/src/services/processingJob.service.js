@@ -0,0 +1,157 @@
+import ProcessingJob from '../models/ProcessingJob.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Processing history: one ProcessingJob per queue run (each Bull attempt),
+ * with a timeline of the pipeline stages.
+ *
+ * Recording is best effort. A failed write is logged and never fails the
+ * processing itself, so every method swallows its own errors.
+ */
+class ProcessingJobService {
+  /**
+   * Open the record for a run. Records of earlier runs of the same type still
+   * marked as processing were interrupted (worker crash, stalled job) and are closed as failed.
+   * @param {Object} video - Video document
+   * @param {Object} queueJob - Bull job
+   * @param {Object} options - jobType (ProcessingJob jobType) and batchId (bulk re-analysis)
+   * @returns {Object|null} The ProcessingJob document
+   */
+  async begin(video, queueJob, { jobType = 'full_processing', batchId } = {}) {
+    try {
+      const now = new Date();
+
+      await ProcessingJob.updateMany(
+        { videoId: video._id, jobType, status: 'processing' },
+        { status: 'failed', error: 'Interrupted before completion', completedAt: now }
+      );
+
+      return await ProcessingJob.create({
+        videoId: video._id,
+        organizationId: video.organizationId,
+        queueJobId: queueJob?.id?.toString(),
+        jobType,
+        batchId,
+        status: 'processing',
+        attempts: (queueJob?.attemptsMade || 0) + 1,
+        maxAttempts: queueJob?.opts?.attempts || 1,
+        startedAt: now
+      });
+    } catch (error) {
+      logger.warn(`Failed to record processing job for video ${video._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async startStage(record, name) {
+    if (!record) return;
+
+    record.stages.push({ name, status: 'processing', startedAt: new Date() });
+    await this.save(record);
+  }
+
+  /**
+   * Note an error that didn't stop processing; the stage ends as failed
+   */
+  stageError(record, name, error) {
+    const stage = record && findStage(record, name);
+    if (!stage) return;
+
+    stage.error = stage.error ? `${stage.error}; ${error.message}` : error.message;
+  }
+
+  /**
+   * Close a stage: failed if it recorded an error, completed otherwise
+   * @param {number} progress - Video progress at the end of the stage
+   */
+  async endStage(record, name, progress) {
+    const stage = record && findStage(record, name);
+    if (!stage) return;
+
+    closeStage(stage, stage.error ? 'failed' : 'completed');
+    if (progress !== undefined) {
+      record.progress = progress;
+    }
+    await this.save(record);
+  }
+
+  async complete(record, result) {
+    if (!record) return;
+
+    record.status = 'completed';
+    record.progress = 100;
+    record.result = result;
+    closeRun(record);
+    await this.save(record);
+  }
+
+  /**
+   * Mark the run failed, along with the stage it stopped in
+   */
+  async fail(record, error) {
+    if (!record) return;
+
+    const stage = record.stages.find(s => s.status === 'processing');
+    if (stage) {
+      stage.error = error.message;
+      closeStage(stage, 'failed');
+    }
+
+    record.status = 'failed';
+    record.error = error.message;
+    closeRun(record);
+    await this.save(record);
+  }
+
+  /**
+   * Mark the run cancelled, along with the stage it stopped in
+   */
+  async cancel(record) {
+    if (!record) return;
+
+    const stage = record.stages.find(s => s.status === 'processing');
+    if (stage) {
+      closeStage(stage, 'cancelled');
+    }
+
+    record.status = 'cancelled';
+    closeRun(record);
+    await this.save(record);
+  }
+
+  /**
+   * Most recent runs for a video, newest first
+   */
+  async getHistory(videoId, limit = 20) {
+    return ProcessingJob.find({ videoId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-__v')
+      .lean();
+  }
+
+  async save(record) {
+    try {
+      await record.save();
+    } catch (error) {
+      logger.warn(`Failed to update processing job ${record._id}: ${error.message}`);
+    }
+  }
+}
+
+function findStage(record, name) {
+  return record.stages.find(stage => stage.name === name);
+}
+
+function closeStage(stage, status) {
+  stage.status = status;
+  stage.completedAt = new Date();
+  stage.durationMs = stage.completedAt - stage.startedAt;
+}
+
+function closeRun(record) {
+  record.completedAt = new Date();
+  record.durationMs = record.completedAt - record.startedAt;
+}
+
+export default new ProcessingJobService();
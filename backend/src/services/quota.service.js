@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import Organization from '../models/Organization.js';
+import config from '../config/env.js';
+
+const BYTES_PER_MB = 1024 * 1024;
+const BYTES_PER_GB = 1024 ** 3;
+
+class QuotaService {
+  constructor() {
+    // Bytes of multipart uploads currently streaming in, per organization
+    this.reservations = new Map();
+  }
+
+  /**
+   * Storage used by an organization: originals, thumbnails, streaming renditions, captions and web masters,
+   * plus uploads that are still in flight (unexpired tus/direct uploads and reservations)
+   */
+  async getUsage(organizationId) {
+    const organization = await Organization.findById(organizationId).select('settings');
+    const now = new Date();
+
+    const [totals] = await Video.aggregate([
+      { $match: { organizationId: new mongoose.Types.ObjectId(organizationId.toString()) } },
+      {
+        $group: {
+          _id: null,
+          originals: {
+            $sum: { $cond: [{ $eq: ['$status', 'uploading'] }, 0, { $ifNull: ['$fileSize', 0] }] }
+          },
+          // Expired tus and direct uploads can no longer complete, so they don't hold quota
+          pendingUploads: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ['$status', 'uploading'] },
+                    { $gt: [{ $ifNull: ['$resumableUpload.expiresAt', '$directUpload.expiresAt'] }, now] }
+                  ]
+                },
+                { $ifNull: ['$fileSize', 0] },
+                0
+              ]
+            }
+          },
+          thumbnails: { $sum: { $ifNull: ['$storageUsage.thumbnails', 0] } },
+          renditions: { $sum: { $ifNull: ['$storageUsage.renditions', 0] } },
+          captions: { $sum: { $ifNull: ['$storageUsage.captions', 0] } },
+          webMaster: { $sum: { $ifNull: ['$storageUsage.webMaster', 0] } },
+          videoCount: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const breakdown = {
+      originals: totals?.originals || 0,
+      thumbnails: totals?.thumbnails || 0,
+      renditions: totals?.renditions || 0,
+      captions: totals?.captions || 0,
+      webMaster: totals?.webMaster || 0
+    };
+    const usedBytes = breakdown.originals + breakdown.thumbnails + breakdown.renditions +
+      breakdown.captions + breakdown.webMaster;
+    const inFlightBytes = (totals?.pendingUploads || 0) + this.getReservedBytes(organizationId);
+    const limitBytes = (organization?.settings?.maxStorageGB ?? 10) * BYTES_PER_GB;
+
+    return {
+      limitBytes,
+      usedBytes,
+      inFlightBytes,
+      availableBytes: Math.max(0, limitBytes - usedBytes - inFlightBytes),
+      breakdown,
+      videoCount: totals?.videoCount || 0,
+      maxVideoSizeBytes: this.getMaxVideoSizeBytes(organization)
+    };
+  }
+
+  /**
+   * Check whether an upload of `bytes` fits the organization's per-video limit and quota
+   * @returns {{ allowed: boolean, code?: string, usage: Object }}
+   */
+  async checkUpload(organizationId, bytes) {
+    const usage = await this.getUsage(organizationId);
+
+    if (bytes > usage.maxVideoSizeBytes) {
+      return { allowed: false, code: 'FILE_TOO_LARGE', usage };
+    }
+
+    if (bytes > usage.availableBytes) {
+      return { allowed: false, code: 'STORAGE_QUOTA_EXCEEDED', usage };
+    }
+
+    return { allowed: true, usage };
+  }
+
+  /**
+   * The smaller of the organization's per-video limit and the global upload limit
+   */
+  getMaxVideoSizeBytes(organization) {
+    const orgLimitMB = organization?.settings?.maxVideoSizeMB || config.upload.maxSizeMB;
+    return Math.min(orgLimitMB, config.upload.maxSizeMB) * BYTES_PER_MB;
+  }
+
+  /**
+   * Count bytes against an organization until the returned release function is called
+   */
+  reserve(organizationId, bytes) {
+    const key = organizationId.toString();
+    this.reservations.set(key, this.getReservedBytes(key) + bytes);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const remaining = this.getReservedBytes(key) - bytes;
+      if (remaining > 0) {
+        this.reservations.set(key, remaining);
+      } else {
+        this.reservations.delete(key);
+      }
+    };
+  }
+
+  getReservedBytes(organizationId) {
+    return this.reservations.get(organizationId.toString()) || 0;
+  }
+}
+
+export default new QuotaService();
@@ -0,0 +1,177 @@
+import Video from '../models/Video.js';
+import ReanalysisBatch from '../models/ReanalysisBatch.js';
+import ProcessingJob from '../models/ProcessingJob.js';
+import processingService from './processing.service.js';
+import socketService from '../socket/socket.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Bulk sensitivity re-analysis, e.g. after the thresholds changed.
+ *
+ * An admin selects processed videos with filters and each one gets an
+ * analysis-only queue job (workers/sensitivityAnalysis.processor.js). The job
+ * records a ProcessingJob whose result holds the status before and after, so
+ * the batch's diff is a query over those records. The batch itself only counts
+ * settled videos and reports progress to its creator over the socket.
+ */
+class ReanalysisService {
+  /**
+   * Video query for a set of filters. Only processed videos qualify, and manually
+   * reviewed ones only with includeReviewed, since a re-run replaces the review.
+   */
+  buildQuery({ organizationId, from, to, sensitivityStatus, analysisVersion, includeReviewed }) {
+    const query = { status: 'completed' };
+
+    if (organizationId) query.organizationId = organizationId;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    if (sensitivityStatus?.length) {
+      query.sensitivityStatus = { $in: sensitivityStatus };
+    }
+
+    // null matches videos analyzed before the version was recorded
+    if (analysisVersion !== undefined) {
+      query['sensitivityDetails.analysisVersion'] = analysisVersion;
+    }
+
+    if (!includeReviewed) {
+      query['sensitivityDetails.reviewedBy'] = null;
+    }
+
+    return query;
+  }
+
+  /**
+   * Create a batch and queue one analysis job per matching video
+   * @returns {Object|null} The batch, or null when no video matches
+   */
+  async start(filters, userId) {
+    const videos = await Video.find(this.buildQuery(filters)).select('_id').lean();
+
+    if (videos.length === 0) return null;
+
+    const batch = await ReanalysisBatch.create({
+      createdBy: userId,
+      filters,
+      total: videos.length
+    });
+
+    try {
+      await processingService.queueSensitivityAnalysis(videos.map(video => video._id), batch._id);
+    } catch (error) {
+      await batch.deleteOne();
+      throw error;
+    }
+
+    logger.info(`Sensitivity re-analysis ${batch._id} started for ${videos.length} videos by user ${userId}`);
+
+    return batch;
+  }
+
+  /**
+   * Count one settled video and report progress; the last one completes the batch
+   * @param {Object} outcome - `{ changed }` for a finished analysis, `{ failed: true }` otherwise
+   */
+  async recordResult(batchId, { changed = false, failed = false } = {}) {
+    const batch = await ReanalysisBatch.findByIdAndUpdate(
+      batchId,
+      {
+        $inc: {
+          completed: failed ? 0 : 1,
+          failed: failed ? 1 : 0,
+          changed: changed ? 1 : 0
+        }
+      },
+      { new: true }
+    );
+
+    if (!batch) return null;
+
+    // Conditional so two jobs settling at once don't both complete the batch
+    const finished = batch.status === 'running' &&
+      batch.completed + batch.failed >= batch.total &&
+      await ReanalysisBatch.findOneAndUpdate(
+        { _id: batch._id, status: 'running' },
+        { status: 'completed', completedAt: new Date() },
+        { new: true }
+      );
+    const current = finished || batch;
+
+    socketService.emitToUser(current.createdBy, 'reanalysis:progress', formatProgress(current));
+
+    if (finished) {
+      socketService.emitToUser(current.createdBy, 'reanalysis:complete', formatProgress(current));
+      logger.info(
+        `Sensitivity re-analysis ${current._id} completed: ${current.changed} of ${current.total} ` +
+        `videos changed status, ${current.failed} failed`
+      );
+    }
+
+    return current;
+  }
+
+  async getBatches(limit = 20) {
+    return ReanalysisBatch.find()
+      .populate('createdBy', 'name email')
+      .populate('filters.organizationId', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  async getBatch(batchId) {
+    return ReanalysisBatch.findById(batchId)
+      .populate('createdBy', 'name email')
+      .populate('filters.organizationId', 'name')
+      .lean();
+  }
+
+  /**
+   * The batch's diff: videos whose sensitivity status changed, and the ones that failed
+   */
+  async getDiff(batchId) {
+    const [changes, failures] = await Promise.all([
+      ProcessingJob.find({ batchId, 'result.changed': true })
+        .select('videoId result completedAt')
+        .populate('videoId', 'title organizationId')
+        .sort({ completedAt: -1 })
+        .lean(),
+      ProcessingJob.find({ batchId, status: 'failed' })
+        .select('videoId error completedAt')
+        .populate('videoId', 'title organizationId')
+        .sort({ completedAt: -1 })
+        .lean()
+    ]);
+
+    return {
+      changes: changes.map(({ videoId, result, completedAt }) => ({
+        video: videoId,
+        ...result,
+        analyzedAt: completedAt
+      })),
+      failures: failures.map(({ videoId, error, completedAt }) => ({
+        video: videoId,
+        error,
+        failedAt: completedAt
+      }))
+    };
+  }
+}
+
+function formatProgress(batch) {
+  return {
+    batchId: batch._id.toString(),
+    status: batch.status,
+    total: batch.total,
+    completed: batch.completed,
+    failed: batch.failed,
+    changed: batch.changed
+  };
+}
+
+export default new ReanalysisService();
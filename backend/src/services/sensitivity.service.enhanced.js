@@ -347,6 +347,44 @@ class EnhancedSensitivityService {
     return commonCodecs.includes(codec.toLowerCase());
   }
 
+  /**
+   * Store an analysis result on a video (saved by the caller). Replaces any
+   * earlier result, including a manual review.
+   */
+  applyResult(video, result) {
+    // Map status to level for frontend
+    let level = 'low';
+    if (result.status === 'flagged') {
+      level = result.score > 0.7 ? 'high' : 'medium';
+    } else if (result.score > 0.3) {
+      level = 'medium';
+    }
+
+    // Convert category string to analysis score (approximate based on detection)
+    const analysis = {};
+    if (Array.isArray(result.categories)) {
+      result.categories.forEach(category => {
+        analysis[category.toLowerCase().replace(/ /g, '_')] = result.score;
+      });
+    }
+
+    video.sensitivityStatus = result.status;
+    video.sensitivityScore = result.score;
+    video.sensitivityDetails = {
+      categories: result.categories || [],
+      detectedAt: new Date(),
+      analysisVersion: result.analysisVersion
+    };
+
+    // For frontend compatibility
+    video.sensitivity = {
+      level,
+      score: result.score,
+      analysis,
+      analyzedAt: new Date()
+    };
+  }
+
   updateThresholds(newThresholds) {
     this.thresholds = { ...this.thresholds, ...newThresholds };
     logger.info('Sensitivity thresholds updated', this.thresholds);
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ShareLink from '../models/ShareLink.js';
+import Video from '../models/Video.js';
+import Organization from '../models/Organization.js';
+import config from '../config/env.js';
+
+/**
+ * Public share links.
+ *
+ * A share token is `<linkId>.<signature>`, an HMAC of the link id, so a token
+ * can't be forged or enumerated and nothing about the sharing user is in it.
+ * Expiry, revocation and view limits live on the ShareLink document and are
+ * checked on every request; the view limit only when a session is opened.
+ *
+ * Opening a link (after the password, if any) counts one view and returns a
+ * short-lived session token for the stream route; <video> can't send headers,
+ * so it travels as ?session=.
+ */
+
+// Fields the public routes need to describe and serve a shared video
+export const SHARED_VIDEO_FIELDS = 'title description duration resolution format fileSize status ' +
+  'storageKey storageProvider webMaster thumbnailUrl thumbnail organizationId';
+
+const SESSION_SCOPE = 'share';
+
+const UNAVAILABLE_MESSAGES = {
+  revoked: 'Share link has been revoked',
+  expired: 'Share link has expired',
+  exhausted: 'Share link has reached its view limit'
+};
+
+class ShareLinkService {
+  constructor() {
+    // Falls back to a key derived from JWT_SECRET so share tokens never verify as access tokens
+    this.secret = config.shareLinks.secret ||
+      crypto.createHmac('sha256', config.jwt.secret).update('share-links').digest('hex');
+  }
+
+  sign(linkId) {
+    return crypto.createHmac('sha256', this.secret).update(linkId.toString()).digest('base64url');
+  }
+
+  createToken(link) {
+    return `${link._id}.${this.sign(link._id)}`;
+  }
+
+  getShareUrl(token) {
+    return `${config.frontendUrl}/s/${token}`;
+  }
+
+  /**
+   * Link id from a share token, or null if the signature doesn't match
+   */
+  verifyToken(token) {
+    const [linkId, signature] = (token || '').split('.');
+
+    if (!linkId || !signature || !/^[a-f0-9]{24}$/.test(linkId)) return null;
+
+    const expected = Buffer.from(this.sign(linkId));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return linkId;
+  }
+
+  /**
+   * Load the link and video behind a share token.
+   * Returns `{ link, video }`, or `{ error: { status, code, message } }` when the link can't be used.
+   *
+   * `forSession` is for requests made within a viewing session (stream, thumbnail):
+   * the view limit only stops new sessions, so a session that took the last view keeps playing.
+   */
+  async resolve(token, { withPassword = false, forSession = false } = {}) {
+    const linkId = this.verifyToken(token);
+
+    if (!linkId) {
+      return { error: { status: 404, code: 'SHARE_LINK_NOT_FOUND', message: 'Share link not found' } };
+    }
+
+    const query = ShareLink.findById(linkId);
+    const link = await (withPassword ? query.select('+passwordHash') : query);
+
+    if (!link) {
+      return { error: { status: 404, code: 'SHARE_LINK_NOT_FOUND', message: 'Share link not found' } };
+    }
+
+    if (link.status !== 'active' && !(forSession && link.status === 'exhausted')) {
+      return {
+        error: { status: 410, code: `SHARE_LINK_${link.status.toUpperCase()}`, message: UNAVAILABLE_MESSAGES[link.status] }
+      };
+    }
+
+    const [video, organization] = await Promise.all([
+      Video.findById(link.videoId).select(SHARED_VIDEO_FIELDS),
+      Organization.findById(link.organizationId).select('isActive').lean()
+    ]);
+
+    if (!video || !organization?.isActive) {
+      return { error: { status: 404, code: 'SHARE_LINK_NOT_FOUND', message: 'Share link not found' } };
+    }
+
+    return { link, video };
+  }
+
+  /**
+   * Count one view if the link still has views left. Returns the updated link or null.
+   */
+  async claimView(link) {
+    return ShareLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $or: [
+          { maxViews: null },
+          { $expr: { $lt: ['$viewCount', '$maxViews'] } }
+        ]
+      },
+      {
+        $inc: { viewCount: 1 },
+        lastViewedAt: new Date()
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Session token for one viewing, never outliving the link itself
+   */
+  createSession(link) {
+    const linkSeconds = Math.floor((link.expiresAt.getTime() - Date.now()) / 1000);
+    const expiresIn = Math.max(1, Math.min(config.shareLinks.sessionMinutes * 60, linkSeconds));
+
+    const sessionToken = jwt.sign(
+      { linkId: link._id.toString(), scope: SESSION_SCOPE },
+      this.secret,
+      { expiresIn }
+    );
+
+    return { sessionToken, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  }
+
+  /**
+   * Whether a session token was issued for this link
+   */
+  verifySession(sessionToken, link) {
+    if (!sessionToken) return false;
+
+    try {
+      const decoded = jwt.verify(sessionToken, this.secret);
+      return decoded.scope === SESSION_SCOPE && decoded.linkId === link._id.toString();
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default new ShareLinkService();
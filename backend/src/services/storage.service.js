@@ -1,11 +1,97 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import config from '../config/env.js';
 import logger from '../utils/logger.js';
+import LocalStorageProvider from './storage/local.provider.js';
+import S3StorageProvider, { MULTIPART_THRESHOLD, PART_SIZE } from './storage/s3.provider.js';
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.vtt': 'text/vtt',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment'
+};
+
+// "r2" is accepted as an alias; videos record it as "cloudflare"
+const normalizeProvider = (name) => (name === 'r2' ? 'cloudflare' : name);
+
+// Recursively list files under a directory
+const listFiles = async (dir) => {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+};
 
 class StorageService {
   constructor() {
-    this.provider = config.storage.provider;
+    this.provider = normalizeProvider(config.storage.provider);
+    this.providers = new Map();
+  }
+
+  /**
+   * Get (and lazily create) a storage provider by name
+   */
+  getProvider(name = this.provider) {
+    const providerName = normalizeProvider(name);
+
+    if (!this.providers.has(providerName)) {
+      this.providers.set(providerName, this.createProvider(providerName));
+    }
+
+    return this.providers.get(providerName);
+  }
+
+  createProvider(name) {
+    switch (name) {
+      case 'local':
+        return new LocalStorageProvider({ rootDir: config.upload.uploadDir });
+      case 's3':
+        return new S3StorageProvider({
+          name,
+          bucket: config.storage.aws.bucket,
+          region: config.storage.aws.region,
+          endpoint: config.storage.aws.endpoint,
+          forcePathStyle: config.storage.aws.forcePathStyle,
+          accessKeyId: config.storage.aws.accessKeyId,
+          secretAccessKey: config.storage.aws.secretAccessKey
+        });
+      case 'cloudflare':
+        return new S3StorageProvider({
+          name,
+          bucket: config.storage.cloudflare.bucket,
+          region: 'auto',
+          endpoint: `https://${config.storage.cloudflare.accountId}.r2.cloudflarestorage.com`,
+          accessKeyId: config.storage.cloudflare.accessKeyId,
+          secretAccessKey: config.storage.cloudflare.secretAccessKey
+        });
+      default:
+        throw new Error(`Unsupported storage provider: ${name}`);
+    }
+  }
+
+  /**
+   * Whether a provider keeps objects off this machine
+   */
+  isRemote(providerName = this.provider) {
+    return normalizeProvider(providerName) !== 'local';
   }
 
   /**
@@ -15,22 +101,17 @@ class StorageService {
     return path.join(config.upload.uploadDir, storageKey);
   }
 
+  getContentType(storageKey) {
+    return CONTENT_TYPES[path.extname(storageKey).toLowerCase()] || 'application/octet-stream';
+  }
+
   /**
    * Delete file from storage
    */
-  async deleteFile(storageKey) {
+  async deleteFile(storageKey, providerName) {
     try {
-      if (this.provider === 'local') {
-        const filePath = this.getLocalPath(storageKey);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          logger.info(`File deleted: ${storageKey}`);
-        }
-      } else if (this.provider === 's3' || this.provider === 'cloudflare') {
-        // TODO: Implement S3/Cloudflare deletion
-        logger.warn('S3/Cloudflare deletion not implemented');
-      }
-
+      await this.getProvider(providerName).deleteFile(storageKey);
+      logger.info(`File deleted: ${storageKey}`);
       return true;
     } catch (error) {
       logger.error('Delete file error:', error);
@@ -39,20 +120,28 @@ class StorageService {
   }
 
   /**
-   * Upload file (for thumbnails, etc.)
+   * Delete a directory of generated outputs (streaming renditions, etc.)
    */
-  async uploadFile(localPath, destinationKey) {
+  async deleteDirectory(storagePrefix, providerName) {
     try {
-      if (this.provider === 'local') {
-        // For local storage, just return the path
-        return localPath;
-      } else if (this.provider === 's3' || this.provider === 'cloudflare') {
-        // TODO: Implement S3/Cloudflare upload
-        logger.warn('S3/Cloudflare upload not implemented');
-        return localPath;
-      }
+      await this.getProvider(providerName).deletePrefix(storagePrefix);
+      logger.info(`Directory deleted: ${storagePrefix}`);
+      return true;
+    } catch (error) {
+      logger.error('Delete directory error:', error);
+      throw error;
+    }
+  }
 
-      return localPath;
+  /**
+   * Upload file (for originals, thumbnails, etc.)
+   * @returns {string} The storage key
+   */
+  async uploadFile(localPath, destinationKey) {
+    try {
+      return await this.getProvider().uploadFile(localPath, destinationKey, {
+        contentType: this.getContentType(destinationKey)
+      });
     } catch (error) {
       logger.error('Upload file error:', error);
       throw error;
@@ -60,31 +149,172 @@ class StorageService {
   }
 
   /**
-   * Get file stream
+   * Upload every file under a local directory to a storage prefix.
+   * Remote providers remove the local copy once uploaded.
    */
-  async getFileStream(storageKey) {
-    if (this.provider === 'local') {
-      const filePath = this.getLocalPath(storageKey);
-      return fs.createReadStream(filePath);
-    } else {
-      // TODO: Implement for cloud storage
-      throw new Error('Cloud storage streaming not implemented');
+  async uploadDirectory(localDir, storagePrefix) {
+    const provider = this.getProvider();
+
+    if (!this.isRemote() && path.resolve(localDir) === path.resolve(this.getLocalPath(storagePrefix))) {
+      return storagePrefix;
     }
+
+    const files = await listFiles(localDir);
+
+    for (const filePath of files) {
+      const relativeKey = path.relative(localDir, filePath).split(path.sep).join('/');
+      const key = `${storagePrefix}/${relativeKey}`;
+
+      await provider.uploadFile(filePath, key, { contentType: this.getContentType(key) });
+    }
+
+    if (this.isRemote()) {
+      await fs.promises.rm(localDir, { recursive: true, force: true });
+    }
+
+    logger.info(`Directory uploaded: ${storagePrefix} (${files.length} files)`);
+    return storagePrefix;
+  }
+
+  /**
+   * Total size in bytes of the files under a local directory
+   */
+  async getDirectorySize(localDir) {
+    const files = await listFiles(localDir);
+    let total = 0;
+
+    for (const filePath of files) {
+      const stats = await fs.promises.stat(filePath);
+      total += stats.size;
+    }
+
+    return total;
+  }
+
+  /**
+   * Get file stream, optionally limited to an inclusive byte range
+   */
+  async getFileStream(storageKey, range, providerName) {
+    return this.getProvider(providerName).getFileStream(storageKey, range);
+  }
+
+  /**
+   * Get size and modification time of a stored file, or null if missing
+   */
+  async stat(storageKey, providerName) {
+    return this.getProvider(providerName).stat(storageKey);
   }
 
   /**
    * Check if file exists
    */
-  async fileExists(storageKey) {
-    if (this.provider === 'local') {
-      const filePath = this.getLocalPath(storageKey);
-      return fs.existsSync(filePath);
-    } else {
-      // TODO: Implement for cloud storage
-      return false;
+  async fileExists(storageKey, providerName) {
+    return this.getProvider(providerName).fileExists(storageKey);
+  }
+
+  /**
+   * Whether a provider can hand out presigned URLs (bucket-backed providers only)
+   */
+  supportsPresignedUrls(providerName = this.provider) {
+    return typeof this.getProvider(providerName).getPresignedDownloadUrl === 'function';
+  }
+
+  /**
+   * Short-lived presigned GET URL for a stored file
+   */
+  async getPresignedDownloadUrl(storageKey, providerName, options = {}) {
+    const expiresIn = options.expiresIn || config.storage.presignedGetExpirySeconds;
+
+    const url = await this.getProvider(providerName).getPresignedDownloadUrl(storageKey, expiresIn, {
+      contentType: options.contentType || this.getContentType(storageKey),
+      contentDisposition: options.contentDisposition
+    });
+
+    return {
+      url,
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  }
+
+  /**
+   * Start a direct-to-bucket upload. Small files get a single PUT URL,
+   * larger files a multipart upload with one presigned URL per part.
+   */
+  async createDirectUpload(storageKey, fileSize, contentType) {
+    const provider = this.getProvider();
+    const expiresIn = config.storage.presignedUploadExpirySeconds;
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+    if (fileSize <= MULTIPART_THRESHOLD) {
+      return {
+        method: 'PUT',
+        url: await provider.getPresignedUploadUrl(storageKey, expiresIn, { contentType }),
+        headers: { 'Content-Type': contentType },
+        expiresAt
+      };
+    }
+
+    const uploadId = await provider.createMultipartUpload(storageKey, { contentType });
+    const partCount = Math.ceil(fileSize / PART_SIZE);
+
+    return {
+      method: 'MULTIPART',
+      uploadId,
+      partSize: PART_SIZE,
+      parts: await provider.getPresignedPartUrls(storageKey, uploadId, partCount, expiresIn),
+      expiresAt
+    };
+  }
+
+  async completeDirectUpload(storageKey, uploadId, parts, providerName) {
+    await this.getProvider(providerName).completeMultipartUpload(storageKey, uploadId, parts);
+  }
+
+  async abortDirectUpload(storageKey, uploadId, providerName) {
+    await this.getProvider(providerName).abortMultipartUpload(storageKey, uploadId);
+  }
+
+  /**
+   * Get a local path for processing; remote objects are downloaded to a temp file
+   */
+  async getLocalCopy(storageKey, providerName) {
+    if (!this.isRemote(providerName)) {
+      return this.getLocalPath(storageKey);
+    }
+
+    // Uploads still sitting in the upload directory don't need a round trip
+    const uploadedPath = this.getLocalPath(storageKey);
+    if (fs.existsSync(uploadedPath)) {
+      return uploadedPath;
+    }
+
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-'));
+    const tempPath = path.join(tempDir, path.basename(storageKey));
+
+    await this.getProvider(providerName).downloadFile(storageKey, tempPath);
+    logger.info(`Downloaded ${storageKey} for processing`);
+
+    return tempPath;
+  }
+
+  /**
+   * Remove a local copy made by getLocalCopy (no-op for local storage)
+   */
+  async releaseLocalCopy(localPath, providerName) {
+    if (!this.isRemote(providerName)) {
+      return;
+    }
+
+    try {
+      await fs.promises.rm(localPath, { force: true });
+      const parentDir = path.dirname(localPath);
+      if (parentDir.startsWith(os.tmpdir())) {
+        await fs.promises.rm(parentDir, { recursive: true, force: true });
+      }
+    } catch (error) {
+      logger.warn(`Failed to remove local copy ${localPath}: ${error.message}`);
     }
   }
 }
 
 export default new StorageService();
-
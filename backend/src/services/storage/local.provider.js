@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Local filesystem storage provider - keys are paths relative to the upload directory
+ */
+class LocalStorageProvider {
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = rootDir;
+  }
+
+  resolve(key) {
+    return path.join(this.rootDir, key);
+  }
+
+  async uploadFile(localPath, key) {
+    const targetPath = this.resolve(key);
+
+    // Files written straight into the upload directory are already in place
+    if (path.resolve(localPath) !== path.resolve(targetPath)) {
+      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.promises.copyFile(localPath, targetPath);
+    }
+
+    return key;
+  }
+
+  async getFileStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range);
+  }
+
+  async downloadFile(key, localPath) {
+    if (path.resolve(localPath) !== path.resolve(this.resolve(key))) {
+      await pipeline(fs.createReadStream(this.resolve(key)), fs.createWriteStream(localPath));
+    }
+    return localPath;
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      if (!stats.isFile()) return null;
+
+      return {
+        size: stats.size,
+        lastModified: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async fileExists(key) {
+    return !!(await this.stat(key));
+  }
+
+  async deleteFile(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  async deletePrefix(prefix) {
+    await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+}
+
+export default LocalStorageProvider;
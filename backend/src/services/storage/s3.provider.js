@@ -0,0 +1,254 @@
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import logger from '../../utils/logger.js';
+
+// Objects above this size are sent with multipart upload
+export const MULTIPART_THRESHOLD = 64 * 1024 * 1024;
+export const PART_SIZE = 16 * 1024 * 1024;
+
+/**
+ * S3-compatible storage provider (AWS S3, Cloudflare R2, MinIO)
+ */
+class S3StorageProvider {
+  constructor({ name, bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    if (!bucket) {
+      throw new Error(`Storage provider "${name}" requires a bucket`);
+    }
+
+    this.name = name;
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle: !!forcePathStyle,
+      credentials: accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined
+    });
+  }
+
+  async uploadFile(localPath, key, options = {}) {
+    const { size } = await fs.promises.stat(localPath);
+
+    if (size > MULTIPART_THRESHOLD) {
+      await this.multipartUpload(localPath, key, size, options.contentType);
+    } else {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(localPath),
+        ContentLength: size,
+        ContentType: options.contentType
+      }));
+    }
+
+    return key;
+  }
+
+  async multipartUpload(localPath, key, size, contentType) {
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType
+    }));
+
+    try {
+      const parts = [];
+
+      for (let partNumber = 1, start = 0; start < size; partNumber++, start += PART_SIZE) {
+        const end = Math.min(start + PART_SIZE, size) - 1;
+
+        const { ETag } = await this.client.send(new UploadPartCommand({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId,
+          PartNumber: partNumber,
+          Body: fs.createReadStream(localPath, { start, end }),
+          ContentLength: end - start + 1
+        }));
+
+        parts.push({ ETag, PartNumber: partNumber });
+      }
+
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId,
+        MultipartUpload: { Parts: parts }
+      }));
+
+      logger.info(`Multipart upload completed: ${key} (${parts.length} parts)`);
+    } catch (error) {
+      await this.client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId
+      })).catch(abortError => logger.warn(`Failed to abort multipart upload: ${abortError.message}`));
+
+      throw error;
+    }
+  }
+
+  /**
+   * Presigned GET URL, optionally overriding response headers for playback/download
+   */
+  async getPresignedDownloadUrl(key, expiresIn, options = {}) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ResponseContentType: options.contentType,
+      ResponseContentDisposition: options.contentDisposition
+    }), { expiresIn });
+  }
+
+  /**
+   * Presigned single-request PUT URL
+   */
+  async getPresignedUploadUrl(key, expiresIn, options = {}) {
+    return getSignedUrl(this.client, new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: options.contentType
+    }), { expiresIn });
+  }
+
+  async createMultipartUpload(key, options = {}) {
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: options.contentType
+    }));
+
+    return UploadId;
+  }
+
+  /**
+   * Presigned PUT URLs for parts 1..partCount of a multipart upload
+   */
+  async getPresignedPartUrls(key, uploadId, partCount, expiresIn) {
+    const parts = [];
+
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      const url = await getSignedUrl(this.client, new UploadPartCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber
+      }), { expiresIn });
+
+      parts.push({ partNumber, url });
+    }
+
+    return parts;
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    await this.client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts
+          .map(part => ({ ETag: part.etag, PartNumber: part.partNumber }))
+          .sort((a, b) => a.PartNumber - b.PartNumber)
+      }
+    }));
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await this.client.send(new AbortMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId
+    }));
+  }
+
+  async getFileStream(key, range = {}) {
+    const hasRange = range.start !== undefined;
+
+    const { Body } = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Range: hasRange ? `bytes=${range.start}-${range.end ?? ''}` : undefined
+    }));
+
+    return Body;
+  }
+
+  async downloadFile(key, localPath) {
+    const body = await this.getFileStream(key);
+    await pipeline(body, fs.createWriteStream(localPath));
+    return localPath;
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return {
+        size: head.ContentLength,
+        lastModified: head.LastModified,
+        etag: head.ETag
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async fileExists(key) {
+    return !!(await this.stat(key));
+  }
+
+  async deleteFile(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  async deletePrefix(prefix) {
+    const normalizedPrefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: normalizedPrefix,
+        ContinuationToken: continuationToken
+      }));
+
+      const objects = (page.Contents || []).map(object => ({ Key: object.Key }));
+
+      if (objects.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+}
+
+export default S3StorageProvider;
@@ -0,0 +1,405 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ffmpegService from '../utils/ffmpeg.js';
+import storageService from './storage.service.js';
+import config from '../config/env.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Poster thumbnails, seek-bar previews and library preview clips.
+ *
+ * Everything a video gets lives under thumbnails/<videoId>/:
+ * - candidate-<n>.jpg   poster candidates, taken at scene changes (topped up
+ *                       with evenly spaced frames for videos with few cuts)
+ * - poster-<time>.jpg   a custom poster uploaded by an editor
+ * - sprite.jpg          seek preview tiles, one every few seconds
+ * - sprite.vtt          WebVTT thumbnails track pointing into sprite.jpg (#xywh=)
+ * - preview.mp4         a few muted seconds stitched from several points,
+ *                       played when hovering the video in the library
+ */
+
+// A single sprite image keeps at most this many tiles; longer videos get a wider interval
+const MAX_SPRITE_TILES = 100;
+const SPRITE_COLUMNS = 10;
+const TILE_WIDTH = 160;
+
+// Candidates closer together than this are near-duplicates
+const MIN_CANDIDATE_GAP_SECONDS = 2;
+
+class ThumbnailService {
+  /**
+   * Storage prefix for a video's posters and previews
+   */
+  getPrefix(videoId) {
+    return `thumbnails/${videoId}`;
+  }
+
+  /**
+   * Generate poster candidates and, unless an uploaded poster is in use, make the first one the poster
+   * @param {Object} video - Video document (saved by the caller)
+   * @param {string} videoPath - Local path of the source file
+   */
+  async generateCandidates(video, videoPath) {
+    const count = config.thumbnails.candidateCount;
+    const prefix = this.getPrefix(video._id);
+
+    let sceneChanges = [];
+    try {
+      sceneChanges = await ffmpegService.detectSceneChanges(videoPath, config.thumbnails.sceneThreshold);
+    } catch (error) {
+      logger.warn(`Scene detection failed for video ${video._id}, using evenly spaced frames: ${error.message}`);
+    }
+
+    const timestamps = pickCandidateTimestamps(sceneChanges, video.duration || 0, count);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thumbs-'));
+
+    try {
+      const files = await ffmpegService.generateThumbnailCandidates(videoPath, workDir, timestamps);
+      const candidates = [];
+
+      for (let i = 0; i < files.length; i++) {
+        // Timestamps past the last frame produce no file
+        if (!fs.existsSync(files[i])) continue;
+
+        const key = `${prefix}/candidate-${i + 1}.jpg`;
+        const { size } = await fs.promises.stat(files[i]);
+
+        await storageService.uploadFile(files[i], key);
+        candidates.push({ key, timestamp: timestamps[i], size });
+      }
+
+      if (candidates.length === 0) {
+        throw new Error('No thumbnail candidates were generated');
+      }
+
+      // Candidates of an earlier run that weren't overwritten
+      const keys = new Set(candidates.map(candidate => candidate.key));
+      for (const previous of video.thumbnails?.candidates || []) {
+        if (!keys.has(previous.key)) {
+          await storageService.deleteFile(previous.key, video.storageProvider).catch(() => {});
+        }
+      }
+
+      video.set('thumbnails.candidates', candidates);
+      video.set('thumbnails.generatedAt', new Date());
+
+      // An uploaded poster survives reprocessing
+      if (!this.hasCustomPoster(video)) {
+        await this.setPoster(video, candidates[0].key);
+      }
+
+      this.updateStorageUsage(video);
+
+      logger.info(`Generated ${candidates.length} thumbnail candidates for video ${video._id}`);
+
+      return candidates;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Generate the seek preview sprite sheet and its WebVTT thumbnails track
+   * @param {Object} video - Video document with duration and resolution (saved by the caller)
+   * @param {string} videoPath - Local path of the source file
+   */
+  async generateSeekPreview(video, videoPath) {
+    const duration = video.duration || 0;
+
+    if (duration <= 0) {
+      logger.info(`Unknown duration, skipping seek preview for video ${video._id}`);
+      return null;
+    }
+
+    const intervalSeconds = Math.max(
+      config.thumbnails.spriteIntervalSeconds,
+      Math.ceil(duration / MAX_SPRITE_TILES)
+    );
+    const tileCount = Math.max(1, Math.ceil(duration / intervalSeconds));
+    const columns = Math.min(SPRITE_COLUMNS, tileCount);
+    const rows = Math.ceil(tileCount / columns);
+
+    const { width, height } = video.resolution || {};
+    const tileHeight = width && height
+      ? Math.max(2, Math.round((TILE_WIDTH * height) / width / 2) * 2)
+      : 90;
+
+    const prefix = this.getPrefix(video._id);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sprite-'));
+
+    try {
+      const spritePath = path.join(workDir, 'sprite.jpg');
+      const vttPath = path.join(workDir, 'sprite.vtt');
+
+      await ffmpegService.generateSpriteSheet(videoPath, spritePath, {
+        intervalSeconds,
+        columns,
+        rows,
+        tileWidth: TILE_WIDTH,
+        tileHeight
+      });
+
+      await fs.promises.writeFile(vttPath, buildSeekPreviewVtt({
+        duration,
+        intervalSeconds,
+        tileCount,
+        columns,
+        tileWidth: TILE_WIDTH,
+        tileHeight,
+        spriteUrl: 'sprite.jpg'
+      }));
+
+      const size = (await fs.promises.stat(spritePath)).size + (await fs.promises.stat(vttPath)).size;
+
+      const spriteKey = await storageService.uploadFile(spritePath, `${prefix}/sprite.jpg`);
+      const vttKey = await storageService.uploadFile(vttPath, `${prefix}/sprite.vtt`);
+
+      video.set('seekPreview', {
+        sprite: spriteKey,
+        vtt: vttKey,
+        intervalSeconds,
+        columns,
+        rows,
+        tileWidth: TILE_WIDTH,
+        tileHeight,
+        size,
+        generatedAt: new Date()
+      });
+      this.updateStorageUsage(video);
+
+      logger.info(`Seek preview generated for video ${video._id}: ${tileCount} tiles every ${intervalSeconds}s`);
+
+      return video.seekPreview;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Render the hover preview clip: short segments spread over the video, joined in order.
+   * Videos shorter than the whole clip just use their beginning.
+   * @param {Object} video - Video document with duration (saved by the caller)
+   * @param {string} videoPath - Local path of the source file
+   */
+  async generatePreviewClip(video, videoPath) {
+    if (!config.thumbnails.previewEnabled) {
+      logger.info(`Preview clips disabled, skipping video ${video._id}`);
+      return null;
+    }
+
+    const duration = video.duration || 0;
+
+    if (duration <= 0) {
+      logger.info(`Unknown duration, skipping preview clip for video ${video._id}`);
+      return null;
+    }
+
+    const segments = pickPreviewSegments(
+      duration,
+      config.thumbnails.previewSegments,
+      config.thumbnails.previewSegmentSeconds
+    );
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+
+    try {
+      const clipPath = await ffmpegService.generatePreviewClip(videoPath, path.join(workDir, 'preview.mp4'), {
+        segments
+      });
+      const { size } = await fs.promises.stat(clipPath);
+      const key = await storageService.uploadFile(clipPath, `${this.getPrefix(video._id)}/preview.mp4`);
+
+      video.set('previewClip', {
+        key,
+        duration: segments.reduce((total, segment) => total + segment.duration, 0),
+        size,
+        generatedAt: new Date()
+      });
+      this.updateStorageUsage(video);
+
+      logger.info(`Preview clip generated for video ${video._id} from ${segments.length} segments`);
+
+      return video.previewClip;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Use one of the generated candidates as the poster
+   */
+  async selectCandidate(video, index) {
+    const candidate = video.thumbnails?.candidates?.[index];
+
+    if (!candidate) {
+      throw new Error('Thumbnail candidate not found');
+    }
+
+    await this.setPoster(video, candidate.key);
+  }
+
+  /**
+   * Switch back to the uploaded poster
+   */
+  async selectCustom(video) {
+    if (!video.thumbnails?.custom?.key) {
+      throw new Error('No custom poster uploaded');
+    }
+
+    await this.setPoster(video, video.thumbnails.custom.key);
+  }
+
+  /**
+   * Store an uploaded image as the custom poster and use it.
+   * The image is re-encoded as a 640x360 JPEG like the generated thumbnails.
+   */
+  async setCustomPoster(video, imagePath) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'poster-'));
+
+    try {
+      const posterPath = await ffmpegService.convertPoster(imagePath, path.join(workDir, 'poster.jpg'));
+      const { size } = await fs.promises.stat(posterPath);
+
+      // A new key per upload, so cached copies of the previous poster are never served for it
+      const key = await storageService.uploadFile(
+        posterPath,
+        `${this.getPrefix(video._id)}/poster-${Date.now()}.jpg`
+      );
+
+      const previousKey = video.thumbnails?.custom?.key;
+
+      video.set('thumbnails.custom', { key, size });
+      await this.setPoster(video, key);
+      this.updateStorageUsage(video);
+
+      if (previousKey && previousKey !== key) {
+        await storageService.deleteFile(previousKey, video.storageProvider).catch(() => {});
+      }
+
+      return key;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  hasCustomPoster(video) {
+    return !!video.thumbnails?.custom?.key && video.thumbnailUrl === video.thumbnails.custom.key;
+  }
+
+  /**
+   * Point the video's poster at a stored thumbnail. A poster from before
+   * candidates existed (thumbnails/<videoId>.jpg) is removed once replaced.
+   */
+  async setPoster(video, key) {
+    const previous = video.thumbnailUrl;
+
+    video.thumbnailUrl = key;
+    video.thumbnail = key; // For frontend compatibility
+
+    if (previous && previous === `thumbnails/${video._id}.jpg`) {
+      await storageService.deleteFile(previous, video.storageProvider).catch(() => {});
+    }
+  }
+
+  /**
+   * Recount the bytes of posters, seek previews and the preview clip against the organization's quota
+   */
+  updateStorageUsage(video) {
+    const candidateBytes = (video.thumbnails?.candidates || [])
+      .reduce((total, candidate) => total + (candidate.size || 0), 0);
+
+    video.set(
+      'storageUsage.thumbnails',
+      candidateBytes +
+        (video.thumbnails?.custom?.size || 0) +
+        (video.seekPreview?.size || 0) +
+        (video.previewClip?.size || 0)
+    );
+  }
+}
+
+/**
+ * Up to `count` timestamps for poster candidates: scene changes spread over the
+ * video, topped up with evenly spaced frames, skipping the first second
+ * (often black) and near-duplicates
+ */
+export function pickCandidateTimestamps(sceneChanges, duration, count) {
+  const lastUsable = duration > 0 ? Math.max(0, duration - 0.5) : Infinity;
+  const usable = sceneChanges.filter(t => t >= 1 && t <= lastUsable).sort((a, b) => a - b);
+
+  const picked = [];
+  const isDistinct = (t) => picked.every(p => Math.abs(p - t) >= MIN_CANDIDATE_GAP_SECONDS);
+
+  // Spread picks over all detected cuts rather than taking the first few
+  const step = Math.max(1, usable.length / count);
+  for (let i = 0; i < usable.length && picked.length < count; i += step) {
+    const t = usable[Math.floor(i)];
+    if (isDistinct(t)) picked.push(t);
+  }
+
+  if (duration > 0) {
+    for (let i = 1; i <= count && picked.length < count; i++) {
+      const t = (duration * i) / (count + 1);
+      if (isDistinct(t)) picked.push(t);
+    }
+  }
+
+  if (picked.length === 0) {
+    picked.push(Math.min(1, duration / 2 || 0));
+  }
+
+  return picked
+    .sort((a, b) => a - b)
+    .map(t => Math.round(t * 1000) / 1000);
+}
+
+/**
+ * `count` segments of `segmentSeconds`, centred on evenly spaced points,
+ * or a single segment from the start when the video is too short to spread them out
+ */
+export function pickPreviewSegments(duration, count, segmentSeconds) {
+  if (count <= 1 || duration < count * segmentSeconds * 2) {
+    return [{ start: 0, duration: Math.min(duration, count * segmentSeconds) }];
+  }
+
+  return Array.from({ length: count }, (_, i) => ({
+    start: Math.max(0, (duration * (i + 1)) / (count + 1) - segmentSeconds / 2),
+    duration: segmentSeconds
+  }));
+}
+
+/**
+ * WebVTT thumbnails track: one cue per sprite tile, in reading order
+ */
+export function buildSeekPreviewVtt({ duration, intervalSeconds, tileCount, columns, tileWidth, tileHeight, spriteUrl }) {
+  const lines = ['WEBVTT', ''];
+
+  for (let i = 0; i < tileCount; i++) {
+    const start = i * intervalSeconds;
+    const end = Math.min((i + 1) * intervalSeconds, duration);
+    const x = (i % columns) * tileWidth;
+    const y = Math.floor(i / columns) * tileHeight;
+
+    lines.push(
+      `${formatVttTime(start)} --> ${formatVttTime(end)}`,
+      `${spriteUrl}#xywh=${x},${y},${tileWidth},${tileHeight}`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+}
+
+// hh:mm:ss.mmm
+function formatVttTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+    `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+export default new ThumbnailService();
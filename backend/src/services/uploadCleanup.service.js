@@ -0,0 +1,64 @@
+import fs from 'fs';
+import Video from '../models/Video.js';
+import storageService from './storage.service.js';
+import logger from '../utils/logger.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Removes expired tus uploads. The tus controller discards an expired upload
+ * when its client comes back; the periodic sweep covers the ones nobody
+ * resumes, which would otherwise keep their partial file on disk and their
+ * video stuck in `uploading`.
+ */
+class UploadCleanupService {
+  constructor() {
+    this.timer = null;
+  }
+
+  start(intervalMs = SWEEP_INTERVAL_MS) {
+    if (this.timer) return;
+
+    const run = () => this.sweep().catch((error) => {
+      logger.error('Expired upload sweep error:', error);
+    });
+
+    this.timer = setInterval(run, intervalMs);
+    this.timer.unref();
+    run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Discard every resumable upload past its expiry
+   * @returns {number} Number of uploads removed
+   */
+  async sweep(now = new Date()) {
+    const expired = await Video.find({
+      status: 'uploading',
+      'resumableUpload.expiresAt': { $lt: now }
+    });
+
+    for (const video of expired) {
+      await this.discardResumable(video);
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Removed ${expired.length} expired resumable upload(s)`);
+    }
+
+    return expired.length;
+  }
+
+  // Delete the partial file along with its video
+  async discardResumable(video) {
+    await fs.promises.rm(storageService.getLocalPath(video.storageKey), { force: true });
+    await video.deleteOne();
+  }
+}
+
+export default new UploadCleanupService();
@@ -1,5 +1,8 @@
 import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Video from '../models/Video.js';
+import accessService, { ACCESS_FIELDS } from '../services/access.service.js';
 import config from '../config/env.js';
 import logger from '../utils/logger.js';
 
@@ -53,6 +56,11 @@ class SocketService {
       const userRoom = `user:${socket.userId}`;
       socket.join(userRoom);
 
+      // Admins see every video of their organization, so they follow all of its processing
+      if (socket.userRole === 'admin') {
+        socket.join(`admins:${socket.organizationId}`);
+      }
+
       // Track connections per organization
       if (!this.organizationRooms.has(socket.organizationId.toString())) {
         this.organizationRooms.set(socket.organizationId.toString(), new Set());
@@ -66,10 +74,25 @@ class SocketService {
         organizationId: socket.organizationId
       });
 
-      // Handle video subscription
-      socket.on('subscribe:video', (videoId) => {
-        socket.join(`video:${videoId}`);
-        logger.debug(`Socket ${socket.id} subscribed to video ${videoId}`);
+      // Handle video subscription (same access policy as the REST API)
+      socket.on('subscribe:video', async (videoId) => {
+        try {
+          const video = mongoose.isValidObjectId(videoId)
+            ? await Video.findById(videoId).select(ACCESS_FIELDS).lean()
+            : null;
+
+          if (!accessService.canViewVideo(video, socket)) {
+            logger.warn(`Socket ${socket.id} denied subscription to video ${videoId}`);
+            socket.emit('subscribe:error', { videoId, error: 'Access denied' });
+            return;
+          }
+
+          socket.join(`video:${videoId}`);
+          logger.debug(`Socket ${socket.id} subscribed to video ${videoId}`);
+        } catch (error) {
+          logger.error(`Socket subscription error: ${socket.id}`, error);
+          socket.emit('subscribe:error', { videoId, error: 'Subscription failed' });
+        }
       });
 
       socket.on('unsubscribe:video', (videoId) => {
@@ -127,6 +150,18 @@ class SocketService {
     }
   }
 
+  /**
+   * Emit a video's event to the sockets allowed to see it: subscribers (checked
+   * when they subscribed), the uploader and the organization's admins
+   */
+  emitToVideoAudience(video, event, data) {
+    if (this.io) {
+      this.io
+        .to([`video:${video._id}`, `user:${video.uploadedBy}`, `admins:${video.organizationId}`])
+        .emit(event, data);
+    }
+  }
+
   /**
    * Emit event to specific user
    */
@@ -0,0 +1,88 @@
+/**
+ * Caption file handling: decoding, SRT -> WebVTT conversion and validation.
+ * Tracks are always stored as WebVTT, the only format <track> accepts.
+ */
+
+export const CAPTION_FORMATS = ['vtt', 'srt'];
+
+const SRT_TIMING = /^(\d{1,2}:\d{2}:\d{2})[,.](\d{1,3})\s*-->\s*(\d{1,2}:\d{2}:\d{2})[,.](\d{1,3})(.*)$/;
+const VTT_TIMING = /^(\d{2,}:)?\d{2}:\d{2}\.\d{3}\s+-->\s+(\d{2,}:)?\d{2}:\d{2}\.\d{3}/;
+
+/**
+ * Decode caption bytes: UTF-8 (with or without BOM), falling back to
+ * Windows-1252, which is what most legacy SRT files use
+ */
+export function decodeCaptionText(buffer) {
+  let text;
+
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    text = new TextDecoder('windows-1252').decode(buffer);
+  }
+
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Convert SubRip text to WebVTT. Cue numbers are kept as cue identifiers;
+ * <font> tags, which WebVTT doesn't support, are dropped.
+ */
+export function srtToVtt(srt) {
+  const cues = [];
+
+  for (const block of srt.trim().split(/\n\s*\n/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => SRT_TIMING.test(line.trim()));
+
+    if (timingIndex === -1) continue;
+
+    const [, start, startMs, end, endMs] = lines[timingIndex].trim().match(SRT_TIMING);
+    const identifier = lines.slice(0, timingIndex).join(' ').trim();
+    const text = lines.slice(timingIndex + 1)
+      .map(line => line.replace(/<\/?font[^>]*>/gi, ''))
+      .join('\n')
+      .trim();
+
+    if (!text) continue;
+
+    cues.push([
+      identifier,
+      `${padTime(start)}.${startMs.padEnd(3, '0')} --> ${padTime(end)}.${endMs.padEnd(3, '0')}`,
+      text
+    ].filter(Boolean).join('\n'));
+  }
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * Turn an uploaded caption file into WebVTT text.
+ * Throws when the file isn't a WebVTT or SubRip file with at least one cue.
+ */
+export function toWebVtt(buffer, format) {
+  const text = decodeCaptionText(buffer);
+  const vtt = format === 'srt' ? srtToVtt(text) : text;
+
+  if (!/^WEBVTT([ \t].*)?(\n|$)/.test(vtt)) {
+    throw new Error('Caption file is not a WebVTT file');
+  }
+
+  if (!vtt.split('\n').some(line => VTT_TIMING.test(line.trim()))) {
+    throw new Error('Caption file contains no cues');
+  }
+
+  return vtt.endsWith('\n') ? vtt : `${vtt}\n`;
+}
+
+// SRT allows single-digit hours; WebVTT wants two
+function padTime(time) {
+  return time.padStart(8, '0');
+}
+
+export default {
+  CAPTION_FORMATS,
+  decodeCaptionText,
+  srtToVtt,
+  toWebVtt
+};
@@ -3,6 +3,7 @@ import path from 'path';
 import fs from 'fs';
 import config from '../config/env.js';
 import logger from './logger.js';
+import cancellationService from '../services/cancellation.service.js';
 
 // Set FFmpeg paths (especially for Windows)
 if (config.ffmpeg.path) {
@@ -15,20 +16,39 @@ if (config.ffmpeg.probePath) {
   logger.info(`FFprobe path set to: ${config.ffmpeg.probePath}`);
 }
 
+// Adaptive bitrate ladder, highest quality first (bitrates in kbps)
+export const STREAMING_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000 },
+  { name: '720p', height: 720, videoBitrate: 2800 },
+  { name: '480p', height: 480, videoBitrate: 1400 },
+  { name: '360p', height: 360, videoBitrate: 800 }
+];
+
+const AUDIO_BITRATE = 128;
+
+// New ffmpeg command, killed if the processing job it runs in is cancelled
+const createCommand = (...inputs) => cancellationService.track(ffmpeg(...inputs));
+
+// Subtitle codecs ffmpeg can convert to WebVTT (bitmap subtitles such as PGS can't be)
+export const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
 class FFmpegService {
   /**
-   * Extract video metadata
+   * Extract video metadata: the summary fields used by analysis and packaging,
+   * plus the container, every stream, color/HDR info, rotation, chapters and tags
    */
   async extractMetadata(videoPath) {
     return new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      ffmpeg.ffprobe(videoPath, ['-show_chapters'], (err, metadata) => {
         if (err) {
           logger.error('FFprobe error:', err);
           return reject(err);
         }
 
-        const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-        const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+        // Cover art in audio-only files is a video stream too
+        const videoStream = metadata.streams.find(s => s.codec_type === 'video' && s.disposition?.attached_pic !== 1);
+        const audioStreams = metadata.streams.filter(s => s.codec_type === 'audio');
+        const audioStream = audioStreams[0];
 
         resolve({
           duration: metadata.format.duration,
@@ -38,8 +58,71 @@ class FFmpegService {
           },
           codec: videoStream?.codec_name || 'unknown',
           bitrate: parseInt(metadata.format.bit_rate) || 0,
-          frameRate: videoStream?.r_frame_rate ? eval(videoStream.r_frame_rate) : 0,
-          audioCodec: audioStream?.codec_name || 'none'
+          frameRate: parseRational(videoStream?.r_frame_rate),
+          pixelFormat: videoStream?.pix_fmt,
+          bitDepth: videoStream ? getBitDepth(videoStream) : undefined,
+          rotation: videoStream ? getRotation(videoStream) : 0,
+          color: videoStream ? describeColor(videoStream) : undefined,
+          container: {
+            name: metadata.format.format_name,
+            longName: metadata.format.format_long_name,
+            duration: toNumber(metadata.format.duration),
+            size: toNumber(metadata.format.size),
+            bitrate: toNumber(metadata.format.bit_rate),
+            startTime: toNumber(metadata.format.start_time),
+            probeScore: toNumber(metadata.format.probe_score)
+          },
+          streams: metadata.streams.map(describeStream),
+          chapters: (metadata.chapters || []).map(chapter => ({
+            id: toNumber(chapter.id),
+            start: toNumber(chapter.start_time),
+            end: toNumber(chapter.end_time),
+            title: chapter['TAG:title'] || chapter.tags?.title
+          })),
+          tags: sanitizeTags(metadata.format.tags),
+          audioCodec: audioStream?.codec_name || 'none',
+          audioStreams: audioStreams.map((s, i) => ({
+            index: s.index,
+            codec: s.codec_name,
+            language: s.tags?.language,
+            label: s.tags?.title || describeLanguage(s.tags?.language) || `Track ${i + 1}`,
+            channels: s.channels,
+            channelLayout: s.channel_layout,
+            sampleRate: parseInt(s.sample_rate) || undefined,
+            bitrate: parseInt(s.bit_rate) || undefined,
+            isDefault: audioStreams.some(a => a.disposition?.default === 1)
+              ? s.disposition?.default === 1
+              : i === 0
+          })),
+          subtitleStreams: metadata.streams
+            .filter(s => s.codec_type === 'subtitle')
+            .map(s => ({
+              index: s.index,
+              codec: s.codec_name,
+              language: s.tags?.language,
+              title: s.tags?.title,
+              isDefault: s.disposition?.default === 1,
+              isForced: s.disposition?.forced === 1,
+              isText: TEXT_SUBTITLE_CODECS.includes(s.codec_name)
+            }))
+        });
+      });
+    });
+  }
+
+  /**
+   * Identify the container ffprobe sees and whether it holds a video stream
+   */
+  async probeContainer(videoPath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(videoPath, (err, metadata) => {
+        if (err) {
+          return reject(err);
+        }
+
+        resolve({
+          formatNames: (metadata.format.format_name || '').split(','),
+          hasVideo: metadata.streams.some(s => s.codec_type === 'video')
         });
       });
     });
@@ -55,7 +138,7 @@ class FFmpegService {
     );
 
     return new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
+      createCommand(videoPath)
         .screenshots({
           timestamps: [timestamp],
           filename: path.basename(outputPath),
@@ -73,6 +156,188 @@ class FFmpegService {
     });
   }
 
+  /**
+   * Timestamps (seconds) where the picture changes by more than `threshold` (0..1)
+   */
+  async detectSceneChanges(videoPath, threshold = 0.3) {
+    const timestamps = [];
+
+    return new Promise((resolve, reject) => {
+      createCommand(videoPath)
+        .noAudio()
+        // Scene scores don't need full resolution; showinfo logs each selected frame's pts_time
+        .videoFilters(`scale=320:-2,select='gt(scene,${threshold})',showinfo`)
+        .outputOptions('-vsync', 'vfr')
+        .format('null')
+        .output('-')
+        .on('stderr', (line) => {
+          const match = line.match(/pts_time:\s*([\d.]+)/);
+          if (match) {
+            timestamps.push(parseFloat(match[1]));
+          }
+        })
+        .on('end', () => {
+          logger.info(`Detected ${timestamps.length} scene changes`);
+          resolve(timestamps);
+        })
+        .on('error', (err) => {
+          logger.error('Scene detection error:', err);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Grab one 640x360 frame per timestamp (seconds) into `outputDir`
+   * as candidate-1.jpg, candidate-2.jpg, ... in timestamp order
+   */
+  async generateThumbnailCandidates(videoPath, outputDir, timestamps) {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    return new Promise((resolve, reject) => {
+      let filenames = [];
+
+      createCommand(videoPath)
+        .on('filenames', (names) => {
+          filenames = names;
+        })
+        .on('end', () => {
+          logger.info(`Generated ${filenames.length} thumbnail candidates`);
+          resolve(filenames.map(name => path.join(outputDir, name)));
+        })
+        .on('error', (err) => {
+          logger.error('Thumbnail candidates error:', err);
+          reject(err);
+        })
+        .screenshots({
+          timestamps,
+          filename: 'candidate-%i.jpg',
+          folder: outputDir,
+          size: '640x360'
+        });
+    });
+  }
+
+  /**
+   * Tile one frame every `intervalSeconds` into a single `columns` x `rows` sprite sheet
+   */
+  async generateSpriteSheet(videoPath, outputPath, { intervalSeconds, columns, rows, tileWidth, tileHeight }) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    return new Promise((resolve, reject) => {
+      createCommand(videoPath)
+        .noAudio()
+        .outputOptions(
+          '-vf', `fps=1/${intervalSeconds},scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`,
+          '-frames:v', '1',
+          '-q:v', '5'
+        )
+        .output(outputPath)
+        .on('end', () => {
+          logger.info('Sprite sheet generated:', outputPath);
+          resolve(outputPath);
+        })
+        .on('error', (err) => {
+          logger.error('Sprite sheet error:', err);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Render a short, muted H.264 MP4 from `segments` ({ start, duration } in seconds)
+   * of the source, joined in order and scaled to `width`
+   */
+  async generatePreviewClip(videoPath, outputPath, { segments, width = 320 }) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    return new Promise((resolve, reject) => {
+      const command = createCommand();
+
+      // Seeking on each input only decodes the parts we keep
+      segments.forEach(({ start, duration }) => {
+        command
+          .input(videoPath)
+          .inputOptions('-ss', start.toFixed(3), '-t', duration.toFixed(3));
+      });
+
+      const scaled = segments.map((segment, i) => `[${i}:v:0]scale=${width}:-2,setsar=1,fps=24[v${i}]`);
+      const inputs = segments.map((segment, i) => `[v${i}]`).join('');
+
+      command
+        .complexFilter([...scaled, `${inputs}concat=n=${segments.length}:v=1:a=0[preview]`])
+        .outputOptions(
+          '-map', '[preview]',
+          '-an',
+          '-c:v', 'libx264',
+          '-preset', 'veryfast',
+          '-crf', '30',
+          '-profile:v', 'main',
+          '-pix_fmt', 'yuv420p',
+          '-movflags', '+faststart'
+        )
+        .output(outputPath)
+        .on('end', () => {
+          logger.info('Preview clip generated:', outputPath);
+          resolve(outputPath);
+        })
+        .on('error', (err) => {
+          logger.error('Preview clip error:', err);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Convert one embedded (text) subtitle stream to a WebVTT file
+   * @param {number} streamIndex - Absolute stream index from ffprobe
+   */
+  async extractSubtitle(videoPath, streamIndex, outputPath) {
+    return new Promise((resolve, reject) => {
+      createCommand(videoPath)
+        .outputOptions('-map', `0:${streamIndex}`, '-c:s', 'webvtt')
+        .format('webvtt')
+        .output(outputPath)
+        .on('end', () => {
+          logger.info(`Subtitle stream ${streamIndex} extracted:`, outputPath);
+          resolve(outputPath);
+        })
+        .on('error', (err) => {
+          logger.error('Subtitle extraction error:', err);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Convert an uploaded image to a 640x360 JPEG poster, letterboxed to keep its aspect ratio.
+   * Fails for anything ffmpeg can't decode as an image.
+   */
+  async convertPoster(imagePath, outputPath) {
+    return new Promise((resolve, reject) => {
+      createCommand(imagePath)
+        .outputOptions(
+          '-vf', 'scale=640:360:force_original_aspect_ratio=decrease,pad=640:360:(ow-iw)/2:(oh-ih)/2',
+          '-frames:v', '1',
+          '-q:v', '3'
+        )
+        .output(outputPath)
+        .on('end', () => {
+          logger.info('Poster converted:', outputPath);
+          resolve(outputPath);
+        })
+        .on('error', (err) => {
+          logger.error('Poster conversion error:', err);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
   /**
    * Extract frames for analysis
    */
@@ -91,7 +356,7 @@ class FFmpegService {
     const interval = Math.max(1, Math.floor(metadata.duration / count));
 
     return new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
+      createCommand(videoPath)
         .outputOptions([
           `-vf fps=1/${interval}`,
           '-vframes', count.toString()
@@ -107,6 +372,8 @@ class FFmpegService {
         })
         .on('error', (err) => {
           logger.error('Frame extraction error:', err);
+          // Partial frames (e.g. after a cancelled job killed ffmpeg) would otherwise stay behind
+          fs.rmSync(outputDir, { recursive: true, force: true });
           reject(err);
         })
         .run();
@@ -115,10 +382,11 @@ class FFmpegService {
 
   /**
    * Transcode video
+   * `outputOptions` are passed to ffmpeg verbatim, `onProgress` receives the progress percent.
    */
   async transcodeVideo(inputPath, outputPath, options = {}) {
     return new Promise((resolve, reject) => {
-      let command = ffmpeg(inputPath);
+      let command = createCommand(inputPath);
 
       if (options.codec) {
         command = command.videoCodec(options.codec);
@@ -129,6 +397,10 @@ class FFmpegService {
       if (options.size) {
         command = command.size(options.size);
       }
+      if (options.outputOptions?.length) {
+        // Spread so fluent-ffmpeg doesn't split values that contain spaces
+        command = command.outputOptions(...options.outputOptions);
+      }
 
       command
         .output(outputPath)
@@ -143,12 +415,312 @@ class FFmpegService {
         .on('progress', (progress) => {
           if (progress.percent) {
             logger.debug(`Transcoding progress: ${progress.percent.toFixed(2)}%`);
+            if (options.onProgress) {
+              options.onProgress(Math.min(progress.percent, 100));
+            }
           }
         })
         .run();
     });
   }
+
+  /**
+   * Write a progressive MP4 every browser plays: H.264 (8-bit 4:2:0) and AAC stereo,
+   * with the moov atom up front (+faststart) so playback starts before the download ends.
+   * Streams already in those codecs are copied instead of re-encoded.
+   * @param {Object} options - videoStreamIndex, audioStreamIndex, hasAudio, copyVideo, copyAudio, crf, onProgress
+   */
+  async generateWebMaster(inputPath, outputPath, options = {}) {
+    const outputOptions = [
+      '-map', options.videoStreamIndex !== undefined ? `0:${options.videoStreamIndex}` : '0:v:0'
+    ];
+
+    if (options.hasAudio !== false) {
+      outputOptions.push('-map', options.audioStreamIndex !== undefined ? `0:${options.audioStreamIndex}` : '0:a:0?');
+    }
+
+    if (options.copyVideo) {
+      outputOptions.push('-c:v', 'copy');
+    } else {
+      outputOptions.push(
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-crf', String(options.crf || 23),
+        '-profile:v', 'high',
+        '-pix_fmt', 'yuv420p',
+        // yuv420p needs even dimensions
+        '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2'
+      );
+    }
+
+    if (options.hasAudio !== false) {
+      if (options.copyAudio) {
+        outputOptions.push('-c:a', 'copy');
+      } else {
+        outputOptions.push('-c:a', 'aac', '-b:a', `${AUDIO_BITRATE}k`, '-ac', '2');
+      }
+    }
+
+    outputOptions.push('-sn', '-dn', '-movflags', '+faststart', '-f', 'mp4');
+
+    return this.transcodeVideo(inputPath, outputPath, {
+      outputOptions,
+      onProgress: options.onProgress
+    });
+  }
+
+  /**
+   * Package video as an adaptive-bitrate ladder of fMP4 segments.
+   * One set of segments is shared by the DASH manifest and the HLS playlists.
+   * Renditions taller than the source are skipped (the smallest is always kept).
+   * Each of `options.audioStreams` (from extractMetadata) becomes an alternate audio
+   * rendition in its own adaptation set; without them the first audio stream is used.
+   */
+  async generateStreamingLadder(inputPath, outputDir, options = {}) {
+    const sourceHeight = options.sourceHeight || 0;
+    const segmentSeconds = options.segmentSeconds || 6;
+    const hasAudio = options.hasAudio !== false;
+    const audioStreams = hasAudio
+      ? (options.audioStreams?.length ? options.audioStreams : [{ label: 'Audio', isDefault: true }])
+      : [];
+
+    let ladder = STREAMING_LADDER.filter(r => !sourceHeight || r.height <= sourceHeight);
+    if (ladder.length === 0) {
+      ladder = [STREAMING_LADDER[STREAMING_LADDER.length - 1]];
+    }
+
+    const aspectRatio = options.sourceWidth && sourceHeight
+      ? options.sourceWidth / sourceHeight
+      : 16 / 9;
+
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const outputOptions = [];
+
+    // One video output stream per rendition, plus one audio stream per source audio track
+    // shared by all of them
+    ladder.forEach(() => outputOptions.push('-map', '0:v:0'));
+    audioStreams.forEach((stream, i) => {
+      outputOptions.push('-map', stream.index !== undefined ? `0:${stream.index}` : '0:a:0');
+      if (stream.language) {
+        outputOptions.push(`-metadata:s:a:${i}`, `language=${stream.language}`);
+      }
+    });
+
+    ladder.forEach((rendition, i) => {
+      outputOptions.push(
+        `-filter:v:${i}`, `scale=-2:${rendition.height}`,
+        `-b:v:${i}`, `${rendition.videoBitrate}k`,
+        `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`
+      );
+    });
+
+    outputOptions.push(
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'main',
+      '-pix_fmt', 'yuv420p',
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`,
+      '-sc_threshold', '0'
+    );
+
+    if (hasAudio) {
+      outputOptions.push('-c:a', 'aac', '-b:a', `${AUDIO_BITRATE}k`, '-ac', '2');
+    }
+
+    outputOptions.push(
+      '-f', 'dash',
+      '-seg_duration', segmentSeconds.toString(),
+      '-use_template', '1',
+      '-use_timeline', '1',
+      '-init_seg_name', 'init-$RepresentationID$.m4s',
+      '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+      // Output streams are numbered videos first, then audio
+      '-adaptation_sets', [
+        'id=0,streams=v',
+        ...audioStreams.map((stream, i) => `id=${i + 1},streams=${ladder.length + i}`)
+      ].join(' ')
+    );
+
+    if (options.hls !== false) {
+      // Writes media_<n>.m3u8 next to the manifest, over the same segments.
+      // Its master.m3u8 is replaced by the caller, since ffmpeg leaves out audio languages.
+      outputOptions.push('-hls_playlist', '1');
+    }
+
+    await this.transcodeVideo(inputPath, path.join(outputDir, 'manifest.mpd'), {
+      outputOptions,
+      onProgress: options.onProgress
+    });
+
+    const renditions = ladder.map((rendition, i) => ({
+      name: rendition.name,
+      representationId: i.toString(),
+      width: Math.round((rendition.height * aspectRatio) / 2) * 2,
+      height: rendition.height,
+      bandwidth: (rendition.videoBitrate + (hasAudio ? AUDIO_BITRATE : 0)) * 1000,
+      hlsPlaylist: options.hls !== false ? `media_${i}.m3u8` : undefined
+    }));
+
+    const audioRenditions = audioStreams.map((stream, i) => ({
+      representationId: (ladder.length + i).toString(),
+      language: stream.language,
+      label: stream.label,
+      channels: 2,
+      isDefault: !!stream.isDefault,
+      hlsPlaylist: options.hls !== false ? `media_${ladder.length + i}.m3u8` : undefined
+    }));
+
+    logger.info(`Streaming ladder packaged: ${renditions.map(r => r.name).join(', ')}`);
+
+    return {
+      dashManifest: 'manifest.mpd',
+      hlsMasterPlaylist: options.hls !== false ? 'master.m3u8' : undefined,
+      renditions,
+      audioRenditions
+    };
+  }
 }
 
-export default new FFmpegService();
+/**
+ * Parse an ffprobe rational such as `30000/1001`, `25/1` or `16:9` without evaluating it.
+ * Returns 0 for missing, malformed or undefined (`0/0`) values.
+ */
+export function parseRational(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : 0;
+  }
+
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*(?:[/:]\s*(\d+(?:\.\d+)?))?\s*$/.exec(String(value ?? ''));
+  if (!match) return 0;
+
+  const numerator = parseFloat(match[1]);
+  const denominator = match[2] === undefined ? 1 : parseFloat(match[2]);
+
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+// ffprobe numbers arrive as numbers or strings, and as `N/A` when unknown
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// ffprobe reports unset values as `unknown`
+function known(value) {
+  return value && value !== 'unknown' ? value : undefined;
+}
+
+// Per-stream details for the technical metadata view
+function describeStream(stream) {
+  const details = {
+    index: stream.index,
+    type: stream.codec_type,
+    codec: stream.codec_name,
+    codecLongName: stream.codec_long_name,
+    profile: known(stream.profile),
+    codecTag: stream.codec_tag_string,
+    bitrate: toNumber(stream.bit_rate),
+    duration: toNumber(stream.duration),
+    language: stream.tags?.language,
+    title: stream.tags?.title,
+    isDefault: stream.disposition?.default === 1,
+    tags: sanitizeTags(stream.tags)
+  };
+
+  if (stream.codec_type === 'video') {
+    Object.assign(details, {
+      width: stream.width,
+      height: stream.height,
+      pixelFormat: stream.pix_fmt,
+      bitDepth: getBitDepth(stream),
+      level: toNumber(stream.level),
+      frameRate: parseRational(stream.r_frame_rate),
+      averageFrameRate: parseRational(stream.avg_frame_rate),
+      displayAspectRatio: known(stream.display_aspect_ratio),
+      sampleAspectRatio: known(stream.sample_aspect_ratio),
+      fieldOrder: known(stream.field_order),
+      rotation: getRotation(stream),
+      color: describeColor(stream),
+      isAttachedPicture: stream.disposition?.attached_pic === 1
+    });
+  } else if (stream.codec_type === 'audio') {
+    Object.assign(details, {
+      channels: stream.channels,
+      channelLayout: stream.channel_layout,
+      sampleRate: toNumber(stream.sample_rate),
+      sampleFormat: stream.sample_fmt
+    });
+  }
+
+  return details;
+}
+
+// Color description of a video stream; `hdr` is set for PQ (HDR10), HLG and Dolby Vision
+function describeColor(stream) {
+  const transfer = known(stream.color_transfer);
+  let hdr;
+
+  if (stream.dv_profile !== undefined) {
+    hdr = 'Dolby Vision';
+  } else if (transfer === 'smpte2084') {
+    hdr = 'HDR10';
+  } else if (transfer === 'arib-std-b67') {
+    hdr = 'HLG';
+  }
+
+  return {
+    space: known(stream.color_space),
+    transfer,
+    primaries: known(stream.color_primaries),
+    range: known(stream.color_range),
+    hdr
+  };
+}
+
+// Bits per sample from ffprobe, or from the pixel format name (yuv420p10le -> 10)
+function getBitDepth(stream) {
+  const bits = toNumber(stream.bits_per_raw_sample);
+  if (bits) return bits;
+
+  const match = /p(\d{2})(le|be)$/.exec(stream.pix_fmt || '');
+  return match ? parseInt(match[1], 10) : (stream.pix_fmt ? 8 : undefined);
+}
+
+/**
+ * Clockwise rotation players apply on display, in degrees (0, 90, 180 or 270).
+ * Newer ffprobe reports a display matrix (counter-clockwise), older ones a `rotate` tag.
+ */
+function getRotation(stream) {
+  const matrixRotation = toNumber(stream.rotation);
+  const degrees = matrixRotation !== undefined
+    ? -matrixRotation
+    : toNumber(stream.tags?.rotate) || 0;
+
+  return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+// Container/stream tags as plain strings, with keys MongoDB accepts
+function sanitizeTags(tags) {
+  if (!tags) return undefined;
+
+  return Object.fromEntries(
+    Object.entries(tags)
+      .slice(0, 50)
+      .map(([key, value]) => [key.replace(/[.$]/g, '_'), String(value).slice(0, 1000)])
+  );
+}
+
+// English name of an ISO 639 language code from the container tags; undefined for `und`
+function describeLanguage(code) {
+  if (!code || code === 'und') return undefined;
+
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch {
+    return code;
+  }
+}
 
+export default new FFmpegService();
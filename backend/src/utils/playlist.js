@@ -0,0 +1,57 @@
+/**
+ * Query parameters on the URIs inside HLS playlists and DASH manifests.
+ *
+ * Playlists reference renditions and segments by relative URL, so a playback
+ * token on the playlist URL wouldn't reach them. Rewriting the playlist as it's
+ * served puts the token on every URI the player fetches next.
+ */
+
+/**
+ * Add `query` (an encoded `key=value&...` string) to every relative URI of an HLS playlist
+ */
+export function addQueryToHlsPlaylist(text, query) {
+  return text
+    .split('\n')
+    .map((line) => {
+      const trimmed = line.trim();
+
+      if (!trimmed) return line;
+
+      // Tags reference URIs in attributes (EXT-X-MAP, EXT-X-MEDIA, ...)
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${addQuery(uri, query)}"`);
+      }
+
+      return addQuery(trimmed, query);
+    })
+    .join('\n');
+}
+
+/**
+ * Add `query` to the segment templates and base URLs of a DASH manifest
+ */
+export function addQueryToDashManifest(xml, query) {
+  const escaped = query.replace(/&/g, '&amp;');
+
+  return xml
+    .replace(
+      /\b(initialization|media|sourceURL)="([^"]+)"/g,
+      (match, attribute, uri) => `${attribute}="${addQuery(uri, escaped, '&amp;')}"`
+    )
+    .replace(
+      /<BaseURL>([^<]+)<\/BaseURL>/g,
+      (match, uri) => `<BaseURL>${addQuery(uri, escaped, '&amp;')}</BaseURL>`
+    );
+}
+
+// Absolute and data: URIs point elsewhere and are left alone
+function addQuery(uri, query, separator = '&') {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(uri) || uri.startsWith('//')) return uri;
+
+  return `${uri}${uri.includes('?') ? separator : '?'}${query}`;
+}
+
+export default {
+  addQueryToHlsPlaylist,
+  addQueryToDashManifest
+};
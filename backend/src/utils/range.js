@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Byte-range responses (RFC 7233) for stored files.
+ *
+ * Handles single, suffix (`bytes=-500`), open-ended (`bytes=500-`) and
+ * multiple ranges, answers unsatisfiable ranges with 416, honours If-Range
+ * against the ETag or Last-Modified date, answers If-None-Match /
+ * If-Modified-Since with 304, and sends headers only for HEAD.
+ */
+
+// More ranges than this (after merging) are ignored and the whole file is sent
+const MAX_RANGES = 16;
+
+/**
+ * Parse a Range header against a representation of `size` bytes.
+ *
+ * Returns null when the header should be ignored (absent, another unit, malformed
+ * or too many ranges), otherwise the satisfiable ranges as `{ start, end }`
+ * (inclusive), sorted and merged. An empty array means none is satisfiable.
+ */
+export function parseRange(header, size) {
+  if (typeof header !== 'string') return null;
+
+  const match = header.trim().match(/^bytes\s*=\s*(.+)$/i);
+  if (!match) return null;
+
+  const ranges = [];
+
+  for (const spec of match[1].split(',')) {
+    const parts = spec.trim().match(/^(\d*)\s*-\s*(\d*)$/);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(parts[2], 10);
+      if (length > 0 && size > 0) {
+        ranges.push({ start: Math.max(0, size - length), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = parseInt(parts[1], 10);
+    const end = parts[2] === '' ? Infinity : parseInt(parts[2], 10);
+
+    if (end < start) return null;
+
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+  }
+
+  const merged = mergeRanges(ranges);
+
+  return merged.length > MAX_RANGES ? null : merged;
+}
+
+/**
+ * Strong validator for a stored file: the storage ETag when there is one,
+ * otherwise size and modification time (stored keys are never rewritten in place)
+ */
+export function buildEtag({ size, lastModified, etag }) {
+  if (etag) return etag.startsWith('"') ? etag : `"${etag}"`;
+
+  const mtime = lastModified ? new Date(lastModified).getTime() : 0;
+  return `"${size.toString(16)}-${mtime.toString(16)}"`;
+}
+
+/**
+ * Whether an If-Range precondition holds, i.e. the range may be served.
+ * ETags must match strongly; dates must equal Last-Modified to the second.
+ */
+export function ifRangeMatches(ifRange, { etag, lastModified }) {
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return !value.startsWith('W/') && !!etag && !etag.startsWith('W/') && value === etag;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date) || !lastModified) return false;
+
+  return Math.floor(new Date(lastModified).getTime() / 1000) === Math.floor(date / 1000);
+}
+
+/**
+ * Whether a conditional GET can be answered with 304 Not Modified.
+ * If-None-Match uses weak comparison and takes precedence over If-Modified-Since.
+ */
+export function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+
+  if (Number.isNaN(ifModifiedSince) || !lastModified) return false;
+
+  return Math.floor(new Date(lastModified).getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+/**
+ * Send a stored file, honouring conditional requests, Range, If-Range and HEAD.
+ *
+ * `file` is `{ size, lastModified, etag, contentType, cacheControl, openStream }`,
+ * where `openStream(range)` resolves to a readable stream for an inclusive
+ * `{ start, end }` range, or for the whole file when called without one.
+ *
+ * Resolves to `{ status, ranges }` once the response has been sent.
+ */
+export async function sendFileRange(req, res, file) {
+  const { size, lastModified, contentType, cacheControl, openStream } = file;
+  const etag = buildEtag(file);
+  const isHead = req.method === 'HEAD';
+
+  res.set('Accept-Ranges', 'bytes');
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  if (cacheControl) {
+    res.set('Cache-Control', cacheControl);
+  }
+
+  if (isNotModified(req, { etag, lastModified })) {
+    res.status(304).end();
+    return { status: 304, ranges: null };
+  }
+
+  const ranges = ifRangeMatches(req.headers['if-range'], { etag, lastModified })
+    ? parseRange(req.headers.range, size)
+    : null;
+
+  if (ranges && ranges.length === 0) {
+    res.set('Content-Range', `bytes */${size}`);
+    res.status(416).json({ error: 'Range Not Satisfiable' });
+    return { status: 416, ranges };
+  }
+
+  // Whole file
+  if (!ranges) {
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Content-Length': size
+    });
+
+    if (isHead) {
+      res.end();
+    } else {
+      await pipeToResponse(await openStream(), res);
+    }
+    return { status: 200, ranges: null };
+  }
+
+  // Single range
+  if (ranges.length === 1) {
+    const [range] = ranges;
+
+    res.writeHead(206, {
+      'Content-Type': contentType,
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+
+    if (isHead) {
+      res.end();
+    } else {
+      await pipeToResponse(await openStream(range), res);
+    }
+    return { status: 206, ranges };
+  }
+
+  // Multiple ranges: multipart/byteranges
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const partHeaders = ranges.map(range => (
+    `--${boundary}\r\n` +
+    `Content-Type: ${contentType}\r\n` +
+    `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+  ));
+  const closing = `--${boundary}--\r\n`;
+
+  const contentLength = ranges.reduce(
+    (total, range, i) => total + Buffer.byteLength(partHeaders[i]) + (range.end - range.start + 1) + 2,
+    Buffer.byteLength(closing)
+  );
+
+  res.writeHead(206, {
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': contentLength
+  });
+
+  if (isHead) {
+    res.end();
+    return { status: 206, ranges };
+  }
+
+  for (let i = 0; i < ranges.length; i++) {
+    if (res.destroyed) break;
+
+    res.write(partHeaders[i]);
+    await pipeToResponse(await openStream(ranges[i]), res, { end: false });
+    res.write('\r\n');
+  }
+  res.end(closing);
+
+  return { status: 206, ranges };
+}
+
+// Sort and merge overlapping or adjacent ranges
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged;
+}
+
+// Clients abort range requests all the time while seeking; that's not an error
+async function pipeToResponse(stream, res, options = {}) {
+  try {
+    await pipeline(stream, res, options);
+  } catch (error) {
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+  }
+}
+
+export default {
+  parseRange,
+  buildEtag,
+  ifRangeMatches,
+  isNotModified,
+  sendFileRange
+};
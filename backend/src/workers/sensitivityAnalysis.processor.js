@@ -0,0 +1,96 @@
+import Video from '../models/Video.js';
+import sensitivityService from '../services/sensitivity.service.enhanced.js';
+import storageService from '../services/storage.service.js';
+import processingJobService from '../services/processingJob.service.js';
+import reanalysisService from '../services/reanalysis.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Analysis-only job from a bulk re-analysis (processingService.queueSensitivityAnalysis):
+ * re-runs the sensitivity analysis of a processed video with the current
+ * thresholds and records the status before and after.
+ *
+ * The video processor worker registers it on its queue: Bull fails a named job
+ * picked up by a queue that has no handler for that name.
+ */
+export const processSensitivityAnalysis = async (job, done) => {
+  const { videoId, batchId } = job.data;
+  let video = null;
+  let videoPath = null;
+  let jobRecord = null;
+
+  try {
+    logger.info(`[Analysis Worker] Re-analyzing video: ${videoId}`);
+
+    video = await Video.findById(videoId);
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+
+    jobRecord = await processingJobService.begin(video, job, { jobType: 'sensitivity_analysis', batchId });
+    await processingJobService.startStage(jobRecord, 'sensitivity');
+
+    videoPath = await storageService.getLocalCopy(video.storageKey, video.storageProvider);
+
+    const previous = {
+      status: video.sensitivityStatus,
+      score: video.sensitivityScore,
+      analysisVersion: video.sensitivityDetails?.analysisVersion
+    };
+
+    const analysis = await sensitivityService.analyze(videoPath, video);
+
+    // analyze() reports its own errors as a safe result; keep the existing status instead
+    if (analysis.categories.includes('analysis_error')) {
+      throw new Error(analysis.details?.error || 'Sensitivity analysis failed');
+    }
+
+    sensitivityService.applyResult(video, analysis);
+    await video.save();
+
+    const result = {
+      videoId,
+      previousStatus: previous.status,
+      status: video.sensitivityStatus,
+      previousScore: previous.score,
+      score: video.sensitivityScore,
+      previousVersion: previous.analysisVersion,
+      analysisVersion: analysis.analysisVersion,
+      changed: previous.status !== video.sensitivityStatus
+    };
+
+    await processingJobService.endStage(jobRecord, 'sensitivity', 100);
+    await processingJobService.complete(jobRecord, result);
+    await settleBatch(batchId, { changed: result.changed });
+
+    logger.info(
+      `[Analysis Worker] Re-analysis completed: ${videoId} ` +
+      `(${previous.status} -> ${video.sensitivityStatus})`
+    );
+
+    done(null, result);
+  } catch (error) {
+    logger.error(`[Analysis Worker] Re-analysis failed: ${videoId}`, error);
+
+    await processingJobService.fail(jobRecord, error);
+    await settleBatch(batchId, { failed: true });
+
+    done(error);
+  } finally {
+    if (videoPath && video) {
+      await storageService.releaseLocalCopy(videoPath, video.storageProvider);
+    }
+  }
+};
+
+// Batch counters are best effort, like the processing history
+async function settleBatch(batchId, outcome) {
+  if (!batchId) return;
+
+  try {
+    await reanalysisService.recordResult(batchId, outcome);
+  } catch (error) {
+    logger.warn(`Failed to update re-analysis batch ${batchId}: ${error.message}`);
+  }
+}
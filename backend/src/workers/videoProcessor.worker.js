@@ -4,6 +4,13 @@ import ffmpegService from '../utils/ffmpeg.js';
 // Use enhanced sensitivity service for better analysis
 import sensitivityService from '../services/sensitivity.service.enhanced.js';
 import storageService from '../services/storage.service.js';
+import packagingService from '../services/packaging.service.js';
+import thumbnailService from '../services/thumbnail.service.js';
+import captionService from '../services/caption.service.js';
+import processingJobService from '../services/processingJob.service.js';
+import cancellationService, { ProcessingCancelledError } from '../services/cancellation.service.js';
+import { SENSITIVITY_ANALYSIS_JOB } from '../services/processing.service.js';
+import { processSensitivityAnalysis } from './sensitivityAnalysis.processor.js';
 import socketService from '../socket/socket.js';
 import logger from '../utils/logger.js';
 import config from '../config/env.js';
@@ -14,41 +21,62 @@ const videoQueue = new Queue('video-processing', config.redisUrl);
 // Set concurrency
 const CONCURRENCY = config.processing.maxConcurrentJobs;
 
+// Cancellations published by the API (POST /api/videos/:id/processing/cancel)
+cancellationService.listen(videoQueue.client);
+
 // Process video job
-videoQueue.process(CONCURRENCY, async (job, done) => {
+// Each job runs inside cancellationService.run so a cancellation can kill its ffmpeg children
+videoQueue.process(CONCURRENCY, (job, done) => cancellationService.run(job.data.videoId, async () => {
   const { videoId } = job.data;
+  let video = null;
+  let videoPath = null;
+  let jobRecord = null;
 
   try {
     logger.info(`[Worker] Processing video: ${videoId}`);
 
     // Get video from database
-    const video = await Video.findById(videoId);
+    video = await Video.findById(videoId);
 
     if (!video) {
       throw new Error('Video not found');
     }
 
+    // Cancelled while waiting in the queue
+    if (video.status === 'cancelled') {
+      logger.info(`[Worker] Skipping cancelled video: ${videoId}`);
+      return done(null, { videoId, status: 'cancelled' });
+    }
+
     // Update status
     video.status = 'processing';
     video.processingProgress = 0;
     await video.save();
 
+    // Processing history for this run (see GET /api/videos/:id/jobs)
+    jobRecord = await processingJobService.begin(video, job);
+
     // Emit start event
     emitProgress(video, 0, 'Starting processing...');
 
     // Get video file path
-    const videoPath = storageService.getLocalPath(video.storageKey);
+    // Remote providers (S3/R2) are downloaded to a temp file for ffmpeg
+    videoPath = await storageService.getLocalCopy(video.storageKey, video.storageProvider);
 
     if (!fs.existsSync(videoPath)) {
       throw new Error('Video file not found');
     }
 
+    await cancellationService.checkpoint();
+
     // Step 1: Extract metadata (0% -> 20%)
     logger.info(`[Worker] Extracting metadata for video: ${videoId}`);
+    await processingJobService.startStage(jobRecord, 'metadata');
     const metadata = await ffmpegService.extractMetadata(videoPath);
 
     video.duration = metadata.duration;
     video.resolution = metadata.resolution;
+    video.audioTracks = metadata.audioStreams;
     video.metadata = {
       codec: metadata.codec,
       bitrate: metadata.bitrate,
@@ -56,85 +84,133 @@ videoQueue.process(CONCURRENCY, async (job, done) => {
       audioCodec: metadata.audioCodec,
       duration: metadata.duration,
       resolution: metadata.resolution,
-      format: metadata.format || video.format
+      format: metadata.format || video.format,
+      pixelFormat: metadata.pixelFormat,
+      bitDepth: metadata.bitDepth,
+      rotation: metadata.rotation,
+      color: metadata.color,
+      container: metadata.container,
+      streams: metadata.streams,
+      chapters: metadata.chapters,
+      tags: metadata.tags,
+      probedAt: new Date()
     };
     video.processingProgress = 20;
     await video.save();
 
     emitProgress(video, 20, 'Metadata extracted');
 
-    // Step 2: Generate thumbnail (20% -> 40%)
-    logger.info(`[Worker] Generating thumbnail for video: ${videoId}`);
+    // Text subtitle streams in the source become caption tracks
+    if (metadata.subtitleStreams?.length) {
+      try {
+        await captionService.extractEmbedded(video, videoPath, metadata.subtitleStreams);
+        await video.save();
+      } catch (captionError) {
+        logger.warn(`[Worker] Subtitle extraction failed: ${captionError.message}`);
+        processingJobService.stageError(jobRecord, 'metadata', captionError);
+        // Continue processing, captions can still be uploaded
+      }
+    }
+
+    await processingJobService.endStage(jobRecord, 'metadata', video.processingProgress);
+
+    await cancellationService.checkpoint();
+
+    // Step 2: Thumbnails (20% -> 40%)
+    // Poster candidates at scene changes, the seek preview sprite sheet and the hover preview clip
+    logger.info(`[Worker] Generating thumbnails for video: ${videoId}`);
+    await processingJobService.startStage(jobRecord, 'thumbnail');
     try {
-      const thumbnailPath = await ffmpegService.generateThumbnail(videoPath);
-      const thumbnailUrl = await storageService.uploadFile(
-        thumbnailPath,
-        `thumbnails/${video._id}.jpg`
-      );
-
-      video.thumbnailUrl = thumbnailUrl;
-      video.thumbnail = thumbnailUrl; // For frontend compatibility
-      video.processingProgress = 40;
+      await thumbnailService.generateCandidates(video, videoPath);
+      video.processingProgress = 30;
       await video.save();
 
-      emitProgress(video, 40, 'Thumbnail generated');
-      
-      // Clean up temporary thumbnail file
-      if (fs.existsSync(thumbnailPath)) {
-        fs.unlinkSync(thumbnailPath);
-      }
+      emitProgress(video, 30, 'Thumbnails generated');
     } catch (thumbError) {
       logger.warn(`Thumbnail generation failed: ${thumbError.message}`);
       logger.error(thumbError);
+      processingJobService.stageError(jobRecord, 'thumbnail', thumbError);
       // Continue processing even if thumbnail fails
     }
 
+    try {
+      await thumbnailService.generateSeekPreview(video, videoPath);
+      video.processingProgress = 35;
+      await video.save();
+
+      emitProgress(video, 35, 'Seek previews generated');
+    } catch (spriteError) {
+      logger.warn(`Seek preview generation failed: ${spriteError.message}`);
+      processingJobService.stageError(jobRecord, 'thumbnail', spriteError);
+      // Continue processing, the player just shows no hover previews
+    }
+
+    try {
+      await thumbnailService.generatePreviewClip(video, videoPath);
+      video.processingProgress = 40;
+      await video.save();
+
+      emitProgress(video, 40, 'Preview clip generated');
+    } catch (previewError) {
+      logger.warn(`Preview clip generation failed: ${previewError.message}`);
+      processingJobService.stageError(jobRecord, 'thumbnail', previewError);
+      // Continue processing, the library falls back to the static thumbnail
+    }
+
+    await processingJobService.endStage(jobRecord, 'thumbnail', video.processingProgress);
+
+    await cancellationService.checkpoint();
+
     // Step 3: Sensitivity analysis (40% -> 80%)
     logger.info(`[Worker] Analyzing sensitivity for video: ${videoId}`);
+    await processingJobService.startStage(jobRecord, 'sensitivity');
     const sensitivityResult = await sensitivityService.analyze(videoPath, video);
 
-    // Map status to level for frontend
-    let sensitivityLevel = 'low';
-    if (sensitivityResult.status === 'flagged') {
-      sensitivityLevel = sensitivityResult.score > 0.7 ? 'high' : 'medium';
-    } else if (sensitivityResult.score > 0.3) {
-      sensitivityLevel = 'medium';
+    sensitivityService.applyResult(video, sensitivityResult);
+    video.processingProgress = 80;
+    await video.save();
+
+    emitProgress(video, 80, 'Sensitivity analysis completed');
+    await processingJobService.endStage(jobRecord, 'sensitivity', 80);
+
+    await cancellationService.checkpoint();
+
+    // Step 4: Adaptive streaming packaging (80% -> 90%)
+    logger.info(`[Worker] Packaging DASH/HLS renditions for video: ${videoId}`);
+    await processingJobService.startStage(jobRecord, 'transcode');
+    try {
+      await packagingService.packageStreaming(video, videoPath, (fraction) => {
+        emitProgress(video, 80 + Math.floor(fraction * 10), 'Generating streaming renditions...');
+      });
+      video.processingProgress = 90;
+      await video.save();
+    } catch (packagingError) {
+      logger.warn(`Streaming packaging failed: ${packagingError.message}`);
+      processingJobService.stageError(jobRecord, 'transcode', packagingError);
+      // Continue processing, the original upload remains streamable
     }
 
-    video.sensitivityStatus = sensitivityResult.status;
-    video.sensitivityScore = sensitivityResult.score;
-    video.sensitivityDetails = {
-      categories: sensitivityResult.categories || [],
-      detectedAt: new Date()
-    };
-    
-    // Construct analysis object for frontend
-    const analysis = {};
-    if (sensitivityResult.categories && Array.isArray(sensitivityResult.categories)) {
-      sensitivityResult.categories.forEach(category => {
-        // Convert category string to analysis score (approximate based on detection)
-        analysis[category.toLowerCase().replace(/ /g, '_')] = sensitivityResult.score;
+    await cancellationService.checkpoint();
+
+    // Step 4b: Browser-safe MP4 for originals browsers can't play (90% -> 95%)
+    try {
+      await packagingService.packageWebMaster(video, videoPath, (fraction) => {
+        emitProgress(video, 90 + Math.floor(fraction * 5), 'Generating web playback copy...');
       });
+      video.processingProgress = 95;
+      await video.save();
+    } catch (webMasterError) {
+      logger.warn(`Web master generation failed: ${webMasterError.message}`);
+      processingJobService.stageError(jobRecord, 'transcode', webMasterError);
+      // Continue processing, HLS/DASH playback is unaffected
     }
-    
-    // For frontend compatibility
-    video.sensitivity = {
-      level: sensitivityLevel,
-      score: sensitivityResult.score,
-      analysis: analysis,
-      analyzedAt: new Date()
-    };
-    
-    video.processingProgress = 80;
-    await video.save();
 
-    emitProgress(video, 80, 'Sensitivity analysis completed');
+    await processingJobService.endStage(jobRecord, 'transcode', video.processingProgress);
 
-    // Step 4: Final processing (80% -> 100%)
+    await cancellationService.checkpoint();
+
+    // Step 5: Final processing (95% -> 100%)
     // Additional processing could be added here:
-    // - Video transcoding to different formats
-    // - Multiple quality versions
-    // - Subtitles extraction
     // - Audio analysis
     logger.info(`[Worker] Finalizing video: ${videoId}`);
 
@@ -145,23 +221,32 @@ videoQueue.process(CONCURRENCY, async (job, done) => {
     emitProgress(video, 100, 'Processing completed');
 
     // Emit completion event
-    if (socketService.io) {
-      socketService.io.to(`org:${video.organizationId}`).emit('video:process:complete', {
-        videoId: video._id.toString(),
-        status: video.status,
-        sensitivityStatus: video.sensitivityStatus,
-        thumbnailUrl: video.thumbnailUrl,
-        duration: video.duration,
-        resolution: video.resolution
-      });
-    }
+    socketService.emitToVideoAudience(video, 'video:process:complete', {
+      videoId: video._id.toString(),
+      status: video.status,
+      sensitivityStatus: video.sensitivityStatus,
+      thumbnailUrl: video.thumbnailUrl,
+      duration: video.duration,
+      resolution: video.resolution
+    });
 
     logger.info(`[Worker] Video processing completed: ${videoId}`);
 
-    done(null, { videoId: video._id.toString(), status: 'completed' });
+    const result = { videoId: video._id.toString(), status: 'completed' };
+    await processingJobService.complete(jobRecord, result);
+
+    done(null, result);
   } catch (error) {
+    if (error instanceof ProcessingCancelledError || cancellationService.isCancelled()) {
+      await handleCancelled(videoId, video, jobRecord);
+      // Settled rather than failed so Bull doesn't retry it
+      return done(null, { videoId, status: 'cancelled' });
+    }
+
     logger.error(`[Worker] Video processing failed: ${videoId}`, error);
 
+    await processingJobService.fail(jobRecord, error);
+
     // Update video status
     try {
       await Video.findByIdAndUpdate(videoId, {
@@ -170,10 +255,10 @@ videoQueue.process(CONCURRENCY, async (job, done) => {
       });
 
       // Emit failure event
-      const video = await Video.findById(videoId);
-      if (video && socketService.io) {
-        socketService.io.to(`org:${video.organizationId}`).emit('video:process:failed', {
-          videoId: video._id.toString(),
+      const failedVideo = await Video.findById(videoId);
+      if (failedVideo) {
+        socketService.emitToVideoAudience(failedVideo, 'video:process:failed', {
+          videoId: failedVideo._id.toString(),
           error: error.message
         });
       }
@@ -182,19 +267,61 @@ videoQueue.process(CONCURRENCY, async (job, done) => {
     }
 
     done(error);
+  } finally {
+    if (videoPath && video) {
+      await storageService.releaseLocalCopy(videoPath, video.storageProvider);
+    }
   }
-});
+}));
+
+// Analysis-only jobs queued by a bulk sensitivity re-analysis
+videoQueue.process(SENSITIVITY_ANALYSIS_JOB, CONCURRENCY, processSensitivityAnalysis);
+
+// Drop the renditions a cancelled run produced and leave the video cancelled
+const handleCancelled = async (videoId, video, jobRecord) => {
+  logger.info(`[Worker] Video processing cancelled: ${videoId}`);
+
+  await processingJobService.cancel(jobRecord);
+
+  try {
+    if (video) {
+      await packagingService.discardOutputs(video);
+    }
+
+    const cancelledVideo = await Video.findByIdAndUpdate(videoId, {
+      status: 'cancelled',
+      processingProgress: 0,
+      'storageUsage.renditions': 0,
+      'storageUsage.webMaster': 0,
+      $unset: { streaming: 1, webMaster: 1 }
+    }, { new: true });
+
+    // Deleted mid-run: deleteVideo's cleanup can miss thumbnails and captions the stage wrote afterwards
+    if (!cancelledVideo && video) {
+      await Promise.all([
+        storageService.deleteDirectory(thumbnailService.getPrefix(videoId), video.storageProvider),
+        storageService.deleteDirectory(captionService.getPrefix(videoId), video.storageProvider)
+      ]);
+    }
+
+    if (cancelledVideo) {
+      socketService.emitToVideoAudience(cancelledVideo, 'video:process:cancelled', {
+        videoId: cancelledVideo._id.toString()
+      });
+    }
+  } catch (updateError) {
+    logger.error('Failed to update cancelled video:', updateError);
+  }
+};
 
 // Helper function to emit progress
 const emitProgress = (video, progress, message) => {
-  if (socketService.io) {
-    socketService.io.to(`org:${video.organizationId}`).emit('video:process:progress', {
-      videoId: video._id.toString(),
-      progress,
-      message,
-      status: video.status
-    });
-  }
+  socketService.emitToVideoAudience(video, 'video:process:progress', {
+    videoId: video._id.toString(),
+    progress,
+    message,
+    status: video.status
+  });
 };
 
 // Event listeners
@@ -0,0 +1,25 @@
+import embedService from '../src/services/embed.service.js';
+import config from '../src/config/env.js';
+
+describe('embedService.parseUrl', () => {
+  test('reads watch, share and embed URLs', () => {
+    const videoId = 'a'.repeat(24);
+
+    expect(embedService.parseUrl(`${config.frontendUrl}/videos/${videoId}`))
+      .toEqual({ videoId, shareToken: null });
+    expect(embedService.parseUrl(`${config.frontendUrl}/s/${videoId}.sig%2Dnature`))
+      .toEqual({ videoId: null, shareToken: `${videoId}.sig-nature` });
+    expect(embedService.parseUrl(`${config.publicUrl}/embed/${videoId}?share=token`))
+      .toEqual({ videoId, shareToken: 'token' });
+  });
+
+  test('rejects a share URL with malformed percent-encoding', () => {
+    expect(embedService.parseUrl(`${config.frontendUrl}/s/abc%E0%A4%A`)).toBeNull();
+  });
+
+  test('rejects other sites and paths', () => {
+    expect(embedService.parseUrl('https://example.com/s/token')).toBeNull();
+    expect(embedService.parseUrl(`${config.frontendUrl}/upload`)).toBeNull();
+    expect(embedService.parseUrl('not a url')).toBeNull();
+  });
+});
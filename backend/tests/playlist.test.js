@@ -0,0 +1,56 @@
+import { addQueryToHlsPlaylist, addQueryToDashManifest } from '../src/utils/playlist.js';
+
+const QUERY = 'playback=abc.def';
+
+describe('addQueryToHlsPlaylist', () => {
+  test('adds the query to variant playlists and their URI attributes', () => {
+    const master = [
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",URI="audio_0/index.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2000000,AUDIO="audio"',
+      '720p/index.m3u8',
+      ''
+    ].join('\n');
+
+    expect(addQueryToHlsPlaylist(master, QUERY)).toBe([
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",URI="audio_0/index.m3u8?playback=abc.def"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2000000,AUDIO="audio"',
+      '720p/index.m3u8?playback=abc.def',
+      ''
+    ].join('\n'));
+  });
+
+  test('adds the query to the init section and segments of a media playlist', () => {
+    const media = '#EXTM3U\n#EXT-X-MAP:URI="init.mp4"\n#EXTINF:4.0,\nseg_1.m4s?v=2\n#EXT-X-ENDLIST';
+
+    expect(addQueryToHlsPlaylist(media, QUERY)).toBe(
+      '#EXTM3U\n#EXT-X-MAP:URI="init.mp4?playback=abc.def"\n#EXTINF:4.0,\nseg_1.m4s?v=2&playback=abc.def\n#EXT-X-ENDLIST'
+    );
+  });
+
+  test('leaves absolute URIs alone', () => {
+    const media = '#EXTINF:4.0,\nhttps://cdn.example.com/seg_1.m4s\n#EXTINF:4.0,\n//cdn.example.com/seg_2.m4s';
+
+    expect(addQueryToHlsPlaylist(media, QUERY)).toBe(media);
+  });
+});
+
+describe('addQueryToDashManifest', () => {
+  test('adds the query to segment templates with an escaped separator', () => {
+    const manifest = '<SegmentTemplate initialization="init-$RepresentationID$.m4s?v=1" media="chunk-$Number$.m4s"/>';
+
+    expect(addQueryToDashManifest(manifest, 'playback=abc&x=1')).toBe(
+      '<SegmentTemplate initialization="init-$RepresentationID$.m4s?v=1&amp;playback=abc&amp;x=1" ' +
+      'media="chunk-$Number$.m4s?playback=abc&amp;x=1"/>'
+    );
+  });
+
+  test('adds the query to relative base URLs only', () => {
+    const manifest = '<BaseURL>720p.mp4</BaseURL><BaseURL>https://cdn.example.com/</BaseURL>';
+
+    expect(addQueryToDashManifest(manifest, QUERY)).toBe(
+      '<BaseURL>720p.mp4?playback=abc.def</BaseURL><BaseURL>https://cdn.example.com/</BaseURL>'
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import ShareLink from '../src/models/ShareLink.js';
+import Video from '../src/models/Video.js';
+import Organization from '../src/models/Organization.js';
+import shareLinkService from '../src/services/shareLink.service.js';
+import publicRoutes from '../src/routes/public.routes.js';
+import config from '../src/config/env.js';
+
+const VIDEO_BYTES = Buffer.alloc(1000, 7);
+
+// A resolved query that also answers the chained calls the services make
+const query = (doc) => {
+  const result = Promise.resolve(doc);
+  result.select = () => result;
+  result.lean = () => result;
+  return result;
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/public', publicRoutes);
+
+describe('share link view limits', () => {
+  let link;
+  let token;
+
+  beforeAll(async () => {
+    await fs.promises.writeFile(path.join(config.upload.uploadDir, 'shared.mp4'), VIDEO_BYTES);
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(config.upload.uploadDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    const organizationId = new mongoose.Types.ObjectId();
+    const video = new Video({
+      title: 'Shared video',
+      filename: 'shared.mp4',
+      originalFilename: 'shared.mp4',
+      fileSize: VIDEO_BYTES.length,
+      format: 'mp4',
+      storageProvider: 'local',
+      storageKey: 'shared.mp4',
+      organizationId,
+      uploadedBy: new mongoose.Types.ObjectId(),
+      status: 'completed'
+    });
+
+    link = new ShareLink({
+      videoId: video._id,
+      organizationId,
+      createdBy: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      maxViews: 1
+    });
+    token = shareLinkService.createToken(link);
+
+    jest.spyOn(ShareLink, 'findById').mockImplementation(() => query(link));
+    jest.spyOn(Video, 'findById').mockImplementation(() => query(video));
+    jest.spyOn(Organization, 'findById').mockImplementation(() => query({ _id: organizationId, isActive: true }));
+    jest.spyOn(Video, 'findByIdAndUpdate').mockResolvedValue(null);
+
+    // Same conditions as the database update: not revoked, not expired, views left
+    jest.spyOn(ShareLink, 'findOneAndUpdate').mockImplementation(async () => {
+      if (link.status !== 'active') return null;
+      link.viewCount += 1;
+      return link;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const openSession = () => request(app).post(`/api/public/${token}/session`).send({});
+
+  test('a session that took the last view can still stream', async () => {
+    const opened = await openSession();
+
+    expect(opened.status).toBe(200);
+    expect(link.viewCount).toBe(1);
+    expect(link.status).toBe('exhausted');
+
+    const stream = await request(app)
+      .get(`/api/public/${token}/stream`)
+      .query({ session: opened.body.sessionToken })
+      .responseType('blob');
+
+    expect(stream.status).toBe(200);
+    expect(stream.body.equals(VIDEO_BYTES)).toBe(true);
+
+    // Seeking is a ranged request on the same session
+    const seek = await request(app)
+      .get(`/api/public/${token}/stream`)
+      .query({ session: opened.body.sessionToken })
+      .set('Range', 'bytes=500-')
+      .responseType('blob');
+
+    expect(seek.status).toBe(206);
+    expect(seek.headers['content-range']).toBe(`bytes 500-999/${VIDEO_BYTES.length}`);
+  });
+
+  test('an exhausted link opens no new session', async () => {
+    await openSession();
+    const second = await openSession();
+
+    expect(second.status).toBe(410);
+    expect(second.body.code).toBe('SHARE_LINK_EXHAUSTED');
+  });
+
+  test('streaming still requires a session', async () => {
+    await openSession();
+    const stream = await request(app).get(`/api/public/${token}/stream`);
+
+    expect(stream.status).toBe(401);
+    expect(stream.body.code).toBe('SHARE_SESSION_REQUIRED');
+  });
+
+  test('revoking the link stops an open session', async () => {
+    const opened = await openSession();
+    link.revokedAt = new Date();
+
+    const stream = await request(app)
+      .get(`/api/public/${token}/stream`)
+      .query({ session: opened.body.sessionToken });
+
+    expect(stream.status).toBe(410);
+    expect(stream.body.code).toBe('SHARE_LINK_REVOKED');
+  });
+});
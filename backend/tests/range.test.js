@@ -0,0 +1,187 @@
+import { Readable } from 'stream';
+import express from 'express';
+import request from 'supertest';
+import { parseRange, ifRangeMatches, isNotModified, buildEtag, sendFileRange } from '../src/utils/range.js';
+
+const SIZE = 1000;
+const CONTENT = Buffer.from(Array.from({ length: SIZE }, (_, i) => i % 256));
+const LAST_MODIFIED = new Date('2024-01-01T00:00:00Z');
+const ETAG = buildEtag({ size: SIZE, lastModified: LAST_MODIFIED });
+
+const app = express();
+app.all('/file', (req, res) => sendFileRange(req, res, {
+  size: SIZE,
+  lastModified: LAST_MODIFIED,
+  contentType: 'video/mp4',
+  openStream: async (range) => Readable.from(
+    range ? [CONTENT.subarray(range.start, range.end + 1)] : [CONTENT]
+  )
+}));
+
+const get = (headers = {}) => request(app).get('/file').set(headers).responseType('blob');
+
+describe('parseRange', () => {
+  test('reads a single range', () => {
+    expect(parseRange('bytes=0-99', SIZE)).toEqual([{ start: 0, end: 99 }]);
+  });
+
+  test('reads a suffix range as the last bytes', () => {
+    expect(parseRange('bytes=-500', SIZE)).toEqual([{ start: 500, end: 999 }]);
+    expect(parseRange('bytes=-5000', SIZE)).toEqual([{ start: 0, end: 999 }]);
+  });
+
+  test('reads an open-ended range up to the last byte', () => {
+    expect(parseRange('bytes=900-', SIZE)).toEqual([{ start: 900, end: 999 }]);
+  });
+
+  test('clamps the end to the size', () => {
+    expect(parseRange('bytes=900-5000', SIZE)).toEqual([{ start: 900, end: 999 }]);
+  });
+
+  test('returns no ranges when none is satisfiable', () => {
+    expect(parseRange('bytes=1000-', SIZE)).toEqual([]);
+    expect(parseRange('bytes=-0', SIZE)).toEqual([]);
+  });
+
+  test('ignores malformed headers and other units', () => {
+    expect(parseRange('bytes=5-3', SIZE)).toBeNull();
+    expect(parseRange('bytes=-', SIZE)).toBeNull();
+    expect(parseRange('bytes=abc', SIZE)).toBeNull();
+    expect(parseRange('items=0-5', SIZE)).toBeNull();
+    expect(parseRange(undefined, SIZE)).toBeNull();
+  });
+
+  test('sorts and merges overlapping and adjacent ranges', () => {
+    expect(parseRange('bytes=500-599,0-99,100-199,550-650', SIZE))
+      .toEqual([{ start: 0, end: 199 }, { start: 500, end: 650 }]);
+  });
+
+  test('ignores more ranges than it will serve', () => {
+    const header = 'bytes=' + Array.from({ length: 17 }, (_, i) => `${i * 10}-${i * 10 + 1}`).join(',');
+    expect(parseRange(header, SIZE)).toBeNull();
+  });
+});
+
+describe('preconditions', () => {
+  test('If-Range holds for the current ETag or Last-Modified only', () => {
+    const validators = { etag: ETAG, lastModified: LAST_MODIFIED };
+
+    expect(ifRangeMatches(undefined, validators)).toBe(true);
+    expect(ifRangeMatches(ETAG, validators)).toBe(true);
+    expect(ifRangeMatches('"stale"', validators)).toBe(false);
+    expect(ifRangeMatches(`W/${ETAG}`, validators)).toBe(false);
+    expect(ifRangeMatches(LAST_MODIFIED.toUTCString(), validators)).toBe(true);
+    expect(ifRangeMatches(new Date('2023-01-01').toUTCString(), validators)).toBe(false);
+  });
+
+  test('If-None-Match compares weakly and takes precedence over If-Modified-Since', () => {
+    const validators = { etag: ETAG, lastModified: LAST_MODIFIED };
+    const req = (headers) => ({ headers });
+
+    expect(isNotModified(req({ 'if-none-match': `W/${ETAG}` }), validators)).toBe(true);
+    expect(isNotModified(req({ 'if-none-match': '"other", *' }), validators)).toBe(false);
+    expect(isNotModified(req({
+      'if-none-match': '"other"',
+      'if-modified-since': LAST_MODIFIED.toUTCString()
+    }), validators)).toBe(false);
+    expect(isNotModified(req({ 'if-modified-since': LAST_MODIFIED.toUTCString() }), validators)).toBe(true);
+  });
+});
+
+describe('sendFileRange', () => {
+  test('sends the whole file without a Range header', async () => {
+    const res = await get();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers.etag).toBe(ETAG);
+    expect(res.body.equals(CONTENT)).toBe(true);
+  });
+
+  test('sends a suffix range', async () => {
+    const res = await get({ Range: 'bytes=-500' });
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe('bytes 500-999/1000');
+    expect(res.headers['content-length']).toBe('500');
+    expect(res.body.equals(CONTENT.subarray(500))).toBe(true);
+  });
+
+  test('sends an open-ended range', async () => {
+    const res = await get({ Range: 'bytes=990-' });
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe('bytes 990-999/1000');
+    expect(res.body.equals(CONTENT.subarray(990))).toBe(true);
+  });
+
+  test('answers an unsatisfiable range with 416 and the size', async () => {
+    const res = await request(app).get('/file').set('Range', 'bytes=1000-1100');
+
+    expect(res.status).toBe(416);
+    expect(res.headers['content-range']).toBe('bytes */1000');
+  });
+
+  test('ignores a malformed range and sends the whole file', async () => {
+    const res = await get({ Range: 'bytes=5-3' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-range']).toBeUndefined();
+    expect(res.body.equals(CONTENT)).toBe(true);
+  });
+
+  test('sends multiple ranges as multipart/byteranges', async () => {
+    const res = await get({ Range: 'bytes=0-9,100-109' });
+
+    expect(res.status).toBe(206);
+
+    const boundary = res.headers['content-type'].match(/^multipart\/byteranges; boundary=(\S+)$/)[1];
+    const body = res.body;
+
+    expect(Number(res.headers['content-length'])).toBe(body.length);
+
+    const expected = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-9/1000\r\n\r\n`),
+      CONTENT.subarray(0, 10),
+      Buffer.from(`\r\n--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 100-109/1000\r\n\r\n`),
+      CONTENT.subarray(100, 110),
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+    expect(body.equals(expected)).toBe(true);
+  });
+
+  test('serves the range when If-Range matches the ETag', async () => {
+    const res = await get({ Range: 'bytes=0-99', 'If-Range': ETAG });
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe('bytes 0-99/1000');
+  });
+
+  test('sends the whole file when If-Range is stale', async () => {
+    const res = await get({ Range: 'bytes=0-99', 'If-Range': '"stale-etag"' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.equals(CONTENT)).toBe(true);
+  });
+
+  test('answers If-None-Match with the current ETag with 304', async () => {
+    const res = await request(app).get('/file').set('If-None-Match', ETAG);
+
+    expect(res.status).toBe(304);
+    expect(res.headers.etag).toBe(ETAG);
+  });
+
+  test('sends only headers for HEAD', async () => {
+    const whole = await request(app).head('/file');
+
+    expect(whole.status).toBe(200);
+    expect(whole.headers['content-length']).toBe('1000');
+    expect(whole.body).toEqual({});
+
+    const range = await request(app).head('/file').set('Range', 'bytes=-500');
+
+    expect(range.status).toBe(206);
+    expect(range.headers['content-range']).toBe('bytes 500-999/1000');
+    expect(range.headers['content-length']).toBe('500');
+  });
+});
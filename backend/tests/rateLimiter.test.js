@@ -0,0 +1,26 @@
+import express from 'express';
+import request from 'supertest';
+
+// Low enough to exhaust in a test; set before the limiter reads its config
+process.env.RATE_LIMIT_MAX_REQUESTS = '2';
+const { apiLimiter } = await import('../src/middleware/rateLimiter.js');
+
+const app = express();
+app.use('/api', apiLimiter);
+app.all('/api/*', (req, res) => res.status(204).end());
+
+describe('apiLimiter', () => {
+  test('does not count HLS and DASH playlists and segments', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await request(app).get('/api/stream/abc/hls/720p/segment_1.m4s')).status).toBe(204);
+      expect((await request(app).get('/api/stream/abc/dash/manifest.mpd')).status).toBe(204);
+    }
+  });
+
+  test('limits other API requests', async () => {
+    await request(app).get('/api/videos');
+    await request(app).get('/api/videos');
+
+    expect((await request(app).get('/api/videos')).status).toBe(429);
+  });
+});
@@ -0,0 +1,13 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Configuration the app refuses to start without; tests never connect to either
+process.env.NODE_ENV = 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/video-streaming-test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+process.env.STORAGE_PROVIDER = 'local';
+
+// Local storage in a scratch directory per test file
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'video-streaming-test-'));
@@ -0,0 +1,31 @@
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import Video from '../src/models/Video.js';
+
+// The real service opens the Bull queue (and a Redis connection) on import
+jest.unstable_mockModule('../src/services/processing.service.js', () => ({ default: {} }));
+
+const { default: tusController } = await import('../src/controllers/tus.controller.js');
+
+const app = express();
+app.use((req, res, next) => {
+  req.userId = '507f1f77bcf86cd799439011';
+  next();
+});
+app.head('/tus/:id', tusController.getUploadOffset);
+app.delete('/tus/:id', tusController.terminateUpload);
+
+describe('tus upload lookup', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('answers 404 for a malformed upload id without querying', async () => {
+    const findById = jest.spyOn(Video, 'findById');
+
+    await request(app).head('/tus/not-an-id').set('Tus-Resumable', '1.0.0').expect(404);
+    const response = await request(app).delete('/tus/not-an-id').set('Tus-Resumable', '1.0.0').expect(404);
+
+    expect(response.body).toEqual({ error: 'Upload not found' });
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
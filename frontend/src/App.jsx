@@ -9,6 +9,10 @@ import Dashboard from './pages/Dashboard';
 import VideoLibrary from './pages/VideoLibrary';
 import VideoDetail from './pages/VideoDetail';
 import Upload from './pages/Upload';
+import OrganizationSettings from './pages/OrganizationSettings';
+import SharedVideo from './pages/SharedVideo';
+import QueueConsole from './pages/QueueConsole';
+import SensitivityReanalysis from './pages/SensitivityReanalysis';
 
 // Layout
 import Layout from './components/layout/Layout';
@@ -50,6 +54,9 @@ function AppRoutes() {
       <Route path="/login" element={<PublicRoute><Login /></PublicRoute>} />
       <Route path="/register" element={<PublicRoute><Register /></PublicRoute>} />
 
+      {/* Share links work with or without an account */}
+      <Route path="/s/:shareToken" element={<SharedVideo />} />
+
       {/* Protected routes */}
       <Route path="/" element={<ProtectedRoute><Layout /></ProtectedRoute>}>
         <Route index element={<Navigate to="/dashboard" />} />
@@ -57,6 +64,9 @@ function AppRoutes() {
         <Route path="videos" element={<VideoLibrary />} />
         <Route path="videos/:id" element={<VideoDetail />} />
         <Route path="upload" element={<Upload />} />
+        <Route path="organization" element={<OrganizationSettings />} />
+        <Route path="admin/queue" element={<QueueConsole />} />
+        <Route path="admin/reanalysis" element={<SensitivityReanalysis />} />
       </Route>
 
       {/* Catch all */}
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Outlet, Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { LayoutDashboard, Video, Upload, LogOut } from 'lucide-react';
+import { LayoutDashboard, Video, Upload, Building2, ListChecks, ScanSearch, LogOut } from 'lucide-react';
 
 export default function Layout() {
   const { user, logout } = useAuth();
@@ -11,6 +11,11 @@ export default function Layout() {
     { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
     { name: 'Videos', href: '/videos', icon: Video },
     { name: 'Upload', href: '/upload', icon: Upload },
+    { name: 'Organization', href: '/organization', icon: Building2 },
+    ...(user?.role === 'admin' ? [
+      { name: 'Queue', href: '/admin/queue', icon: ListChecks },
+      { name: 'Re-analysis', href: '/admin/reanalysis', icon: ScanSearch }
+    ] : []),
   ];
 
   const isActive = (path) => location.pathname === path;
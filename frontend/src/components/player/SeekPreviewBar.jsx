@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Seek bar with hover previews from a WebVTT thumbnails track
+// (cues of the form `sprite.jpg#xywh=x,y,w,h`)
+export default function SeekPreviewBar({ videoRef, trackUrl }) {
+  const barRef = useRef(null);
+  const [cues, setCues] = useState([]);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    if (!trackUrl) return;
+
+    let cancelled = false;
+
+    fetch(trackUrl)
+      .then((response) => (response.ok ? response.text() : ''))
+      .then((text) => {
+        if (!cancelled) {
+          setCues(parseThumbnailTrack(text, trackUrl));
+        }
+      })
+      .catch((error) => console.error('Error loading seek previews:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackUrl]);
+
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!videoElement) return;
+
+    const handleTimeUpdate = () => setCurrentTime(videoElement.currentTime);
+    const handleDurationChange = () => setDuration(videoElement.duration || 0);
+
+    handleTimeUpdate();
+    handleDurationChange();
+    videoElement.addEventListener('timeupdate', handleTimeUpdate);
+    videoElement.addEventListener('durationchange', handleDurationChange);
+
+    return () => {
+      videoElement.removeEventListener('timeupdate', handleTimeUpdate);
+      videoElement.removeEventListener('durationchange', handleDurationChange);
+    };
+  }, [videoRef]);
+
+  const timeAt = (clientX) => {
+    const rect = barRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return { fraction, time: fraction * duration };
+  };
+
+  const handleMouseMove = (e) => {
+    if (!duration) return;
+
+    const { fraction, time } = timeAt(e.clientX);
+    const cue = cues.find(c => time >= c.start && time < c.end) || cues[cues.length - 1];
+    setHover({ fraction, time, cue });
+  };
+
+  const handleClick = (e) => {
+    if (!duration || !videoRef.current) return;
+    videoRef.current.currentTime = timeAt(e.clientX).time;
+  };
+
+  if (cues.length === 0) return null;
+
+  return (
+    <div
+      ref={barRef}
+      className="relative h-2 mt-3 bg-gray-200 rounded-full cursor-pointer"
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setHover(null)}
+      onClick={handleClick}
+    >
+      <div
+        className="absolute inset-y-0 left-0 bg-primary-600 rounded-full"
+        style={{ width: duration ? `${(currentTime / duration) * 100}%` : 0 }}
+      />
+
+      {hover?.cue && (
+        <div
+          className="absolute bottom-4 transform -translate-x-1/2 pointer-events-none z-10"
+          style={{ left: `clamp(${hover.cue.width / 2}px, ${hover.fraction * 100}%, calc(100% - ${hover.cue.width / 2}px))` }}
+        >
+          <div
+            className="rounded shadow-lg border-2 border-white bg-black"
+            style={{
+              width: hover.cue.width,
+              height: hover.cue.height,
+              backgroundImage: `url("${hover.cue.url}")`,
+              backgroundPosition: `-${hover.cue.x}px -${hover.cue.y}px`
+            }}
+          />
+          <p className="text-xs text-center text-white bg-gray-900 bg-opacity-75 rounded mt-1 px-1">
+            {formatTime(hover.time)}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Cues of a WebVTT thumbnails track. Image URLs are resolved against the track
+// URL and keep its query string, which carries the playback token.
+function parseThumbnailTrack(text, trackUrl) {
+  const base = new URL(trackUrl, window.location.href);
+  const cues = [];
+
+  for (const block of text.split(/\r?\n\r?\n/)) {
+    const lines = block.trim().split(/\r?\n/);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || !lines[timingIndex + 1]) continue;
+
+    const [start, end] = lines[timingIndex].split('-->').map(part => parseVttTime(part.trim()));
+    const [path, fragment] = lines[timingIndex + 1].trim().split('#xywh=');
+    if (!fragment) continue;
+
+    const [x, y, width, height] = fragment.split(',').map(Number);
+    const url = new URL(path, base);
+    url.search = base.search;
+
+    cues.push({ start, end, url: url.toString(), x, y, width, height });
+  }
+
+  return cues;
+}
+
+// hh:mm:ss.mmm or mm:ss.mmm
+function parseVttTime(value) {
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
@@ -1,10 +1,33 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Upload, Video, Clock } from 'lucide-react';
+import organizationService from '../services/organization.service';
+import { Upload, Video, Clock, HardDrive } from 'lucide-react';
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
 
 export default function Dashboard() {
   const { user } = useAuth();
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    organizationService.getUsage()
+      .then(data => setUsage(data.usage))
+      .catch(error => console.error('Failed to fetch storage usage:', error));
+  }, []);
+
+  const usedPercent = usage?.limitBytes
+    ? Math.min(100, ((usage.usedBytes + usage.inFlightBytes) / usage.limitBytes) * 100)
+    : 0;
+  const usageBarColor = usedPercent >= 90
+    ? 'bg-red-600'
+    : usedPercent >= 75 ? 'bg-yellow-500' : 'bg-primary-600';
 
   return (
     <div className="space-y-6">
@@ -28,7 +51,9 @@ export default function Dashboard() {
                 <dt className="text-sm font-medium text-gray-500 truncate">
                   Total Videos
                 </dt>
-                <dd className="text-2xl font-semibold text-gray-900">-</dd>
+                <dd className="text-2xl font-semibold text-gray-900">
+                  {usage ? usage.videoCount : '-'}
+                </dd>
               </dl>
             </div>
           </div>
@@ -79,6 +104,58 @@ export default function Dashboard() {
         </div>
       </div>
 
+      {usage && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center">
+              <HardDrive className="h-6 w-6 text-primary-600 mr-2" />
+              <h2 className="text-xl font-semibold">Storage</h2>
+            </div>
+            <span className="text-sm text-gray-600">
+              {formatFileSize(usage.usedBytes)} of {formatFileSize(usage.limitBytes)} used
+            </span>
+          </div>
+
+          <div className="w-full bg-gray-200 rounded-full h-3">
+            <div
+              className={`${usageBarColor} h-3 rounded-full transition-all duration-300`}
+              style={{ width: `${usedPercent}%` }}
+            />
+          </div>
+
+          <dl className="grid grid-cols-2 md:grid-cols-3 gap-4 mt-4 text-sm">
+            <div>
+              <dt className="text-gray-500">Original videos</dt>
+              <dd className="font-medium text-gray-900">{formatFileSize(usage.breakdown.originals)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Streaming renditions</dt>
+              <dd className="font-medium text-gray-900">{formatFileSize(usage.breakdown.renditions)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Thumbnails</dt>
+              <dd className="font-medium text-gray-900">{formatFileSize(usage.breakdown.thumbnails)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Captions</dt>
+              <dd className="font-medium text-gray-900">{formatFileSize(usage.breakdown.captions)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Web playback copies</dt>
+              <dd className="font-medium text-gray-900">{formatFileSize(usage.breakdown.webMaster)}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Uploads in progress</dt>
+              <dd className="font-medium text-gray-900">{formatFileSize(usage.inFlightBytes)}</dd>
+            </div>
+          </dl>
+
+          <p className="text-xs text-gray-500 mt-4">
+            {formatFileSize(usage.availableBytes)} available · Max {formatFileSize(usage.maxVideoSizeBytes)} per video
+          </p>
+        </div>
+      )}
+
       <div className="card">
         <h2 className="text-xl font-semibold mb-4">Getting Started</h2>
         <ul className="space-y-2 text-gray-700">
@@ -0,0 +1,488 @@
+import React, { useState, useEffect } from 'react';
+import { Building2, Save, Crown, Power, Mail, Copy, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import organizationService from '../services/organization.service';
+import { useAuth } from '../contexts/AuthContext';
+
+// Containers the backend can verify (see format.service.js)
+const SUPPORTED_FORMATS = ['mp4', 'm4v', 'mov', '3gp', 'mkv', 'webm', 'avi', 'flv', 'mpg', 'mpeg', 'ts'];
+
+export default function OrganizationSettings() {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [organization, setOrganization] = useState(null);
+  const [memberCount, setMemberCount] = useState(0);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({
+    name: '',
+    slug: '',
+    maxStorageGB: 10,
+    maxVideoSizeMB: 500,
+    allowedFormats: [],
+    embedDomains: ''
+  });
+  const [newOwnerId, setNewOwnerId] = useState('');
+  const [invitations, setInvitations] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'viewer' });
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [inviting, setInviting] = useState(false);
+
+  const isOwner = !!organization?.ownerId && organization.ownerId._id === user?.id;
+
+  useEffect(() => {
+    fetchOrganization();
+  }, []);
+
+  const applyOrganization = (org) => {
+    setOrganization(org);
+    setForm({
+      name: org.name,
+      slug: org.slug,
+      maxStorageGB: org.settings?.maxStorageGB ?? 10,
+      maxVideoSizeMB: org.settings?.maxVideoSizeMB ?? 500,
+      allowedFormats: org.settings?.allowedFormats || [],
+      embedDomains: (org.settings?.embedDomains || []).join('\n')
+    });
+  };
+
+  const fetchOrganization = async () => {
+    try {
+      setLoading(true);
+      const data = await organizationService.getOrganization();
+      applyOrganization(data.organization);
+      setMemberCount(data.memberCount);
+
+      if (isAdmin) {
+        const [membersData, invitationsData] = await Promise.all([
+          organizationService.getMembers(),
+          organizationService.getInvitations()
+        ]);
+        setMembers(membersData.members);
+        setInvitations(invitationsData.invitations);
+      }
+    } catch (error) {
+      console.error('Error fetching organization:', error);
+      toast.error('Failed to load organization');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleFormat = (format) => {
+    setForm(prev => ({
+      ...prev,
+      allowedFormats: prev.allowedFormats.includes(format)
+        ? prev.allowedFormats.filter(f => f !== format)
+        : [...prev.allowedFormats, format]
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (form.allowedFormats.length === 0) {
+      toast.error('Select at least one allowed format');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const data = await organizationService.updateOrganization({
+        name: form.name,
+        slug: form.slug,
+        settings: {
+          maxStorageGB: Number(form.maxStorageGB),
+          maxVideoSizeMB: Number(form.maxVideoSizeMB),
+          allowedFormats: form.allowedFormats,
+          embedDomains: form.embedDomains.split(/[\s,]+/).filter(Boolean)
+        }
+      });
+      applyOrganization(data.organization);
+      toast.success('Organization updated');
+    } catch (error) {
+      console.error('Error updating organization:', error);
+      const details = error.response?.data?.details;
+      toast.error(details?.[0]?.message || error.response?.data?.error || 'Failed to update organization');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    try {
+      setInviting(true);
+      const data = await organizationService.createInvitation(inviteForm);
+      setInviteUrl(data.inviteUrl);
+      setInviteForm({ email: '', role: 'viewer' });
+
+      const invitationsData = await organizationService.getInvitations();
+      setInvitations(invitationsData.invitations);
+      toast.success(`Invitation created for ${data.invitation.email}`);
+    } catch (error) {
+      console.error('Error creating invitation:', error);
+      const details = error.response?.data?.details;
+      toast.error(details?.[0]?.message || error.response?.data?.error || 'Failed to create invitation');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleCopyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      toast.success('Invitation link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+
+    try {
+      await organizationService.revokeInvitation(invitation._id);
+      setInvitations(prev => prev.map(i => (
+        i._id === invitation._id ? { ...i, status: 'revoked' } : i
+      )));
+      toast.success('Invitation revoked');
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      toast.error(error.response?.data?.error || 'Failed to revoke invitation');
+    }
+  };
+
+  const handleTransfer = async () => {
+    const member = members.find(m => m._id === newOwnerId);
+    if (!member) return;
+
+    if (!window.confirm(`Transfer ownership to ${member.name}? You will no longer be able to deactivate the organization or transfer it again.`)) {
+      return;
+    }
+
+    try {
+      const data = await organizationService.transferOwnership(newOwnerId);
+      applyOrganization(data.organization);
+      setNewOwnerId('');
+      toast.success(`Ownership transferred to ${member.name}`);
+    } catch (error) {
+      console.error('Error transferring ownership:', error);
+      toast.error(error.response?.data?.error || 'Failed to transfer ownership');
+    }
+  };
+
+  const handleToggleStatus = async () => {
+    const activate = !organization.isActive;
+
+    if (!activate && !window.confirm('Deactivate this organization? All members except you will be signed out and blocked until it is reactivated.')) {
+      return;
+    }
+
+    try {
+      await organizationService.updateStatus(activate);
+      setOrganization(prev => ({ ...prev, isActive: activate }));
+      toast.success(`Organization ${activate ? 'reactivated' : 'deactivated'}`);
+    } catch (error) {
+      console.error('Error updating organization status:', error);
+      toast.error(error.response?.data?.error || 'Failed to update organization status');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!organization) {
+    return (
+      <div className="card text-center py-12">
+        <p className="text-gray-600">Organization not found</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 max-w-4xl">
+      <div className="flex items-center gap-3">
+        <Building2 className="h-8 w-8 text-primary-600" />
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Organization Settings</h1>
+          <p className="text-gray-600 mt-1">
+            {memberCount} {memberCount === 1 ? 'member' : 'members'} · Owner: {organization.ownerId?.name || 'None'}
+            {!organization.isActive && (
+              <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                Deactivated
+              </span>
+            )}
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSave} className="card space-y-6">
+        <div>
+          <h2 className="text-xl font-semibold mb-4">General</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                id="name"
+                type="text"
+                value={form.name}
+                onChange={(e) => handleChange('name', e.target.value)}
+                disabled={!isAdmin}
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="slug" className="block text-sm font-medium text-gray-700 mb-1">
+                Slug
+              </label>
+              <input
+                id="slug"
+                type="text"
+                value={form.slug}
+                onChange={(e) => handleChange('slug', e.target.value.toLowerCase())}
+                disabled={!isAdmin}
+                className="input"
+              />
+              <p className="mt-1 text-gray-500 text-sm">Lowercase letters, numbers and hyphens</p>
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <h2 className="text-xl font-semibold mb-4">Storage Limits</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="maxStorageGB" className="block text-sm font-medium text-gray-700 mb-1">
+                Storage quota (GB)
+              </label>
+              <input
+                id="maxStorageGB"
+                type="number"
+                min="1"
+                step="any"
+                value={form.maxStorageGB}
+                onChange={(e) => handleChange('maxStorageGB', e.target.value)}
+                disabled={!isAdmin}
+                className="input"
+              />
+            </div>
+            <div>
+              <label htmlFor="maxVideoSizeMB" className="block text-sm font-medium text-gray-700 mb-1">
+                Maximum video size (MB)
+              </label>
+              <input
+                id="maxVideoSizeMB"
+                type="number"
+                min="1"
+                step="1"
+                value={form.maxVideoSizeMB}
+                onChange={(e) => handleChange('maxVideoSizeMB', e.target.value)}
+                disabled={!isAdmin}
+                className="input"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <h2 className="text-xl font-semibold mb-4">Allowed Formats</h2>
+          <div className="flex flex-wrap gap-3">
+            {SUPPORTED_FORMATS.map(format => (
+              <label key={format} className="inline-flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.allowedFormats.includes(format)}
+                  onChange={() => toggleFormat(format)}
+                  disabled={!isAdmin}
+                  className="rounded border-gray-300 text-primary-600"
+                />
+                {format.toUpperCase()}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h2 className="text-xl font-semibold mb-2">Embedding</h2>
+          <p className="text-sm text-gray-600 mb-3">
+            Sites allowed to embed the video player, one per line (for example <code>wiki.example.com</code> or <code>*.example.com</code>).
+            Only public videos and share links can be embedded.
+          </p>
+          <textarea
+            id="embedDomains"
+            rows={3}
+            value={form.embedDomains}
+            onChange={(e) => handleChange('embedDomains', e.target.value)}
+            disabled={!isAdmin}
+            className="input font-mono text-sm"
+            placeholder="wiki.example.com"
+          />
+        </div>
+
+        {isAdmin && (
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving} className="btn btn-primary inline-flex items-center">
+              <Save className="h-4 w-4 mr-2" />
+              {saving ? 'Saving...' : 'Save Changes'}
+            </button>
+          </div>
+        )}
+      </form>
+
+      {isAdmin && (
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <Mail className="h-5 w-5 text-primary-600 mr-2" />
+            <h2 className="text-xl font-semibold">Invitations</h2>
+          </div>
+          <p className="text-gray-600 text-sm mb-4">
+            Invitations are bound to one email address and expire. Share the link with the invitee; it is only shown once.
+          </p>
+
+          <form onSubmit={handleInvite} className="flex gap-3">
+            <input
+              type="email"
+              required
+              value={inviteForm.email}
+              onChange={(e) => setInviteForm(prev => ({ ...prev, email: e.target.value }))}
+              placeholder="colleague@example.com"
+              className="input flex-1"
+            />
+            <select
+              value={inviteForm.role}
+              onChange={(e) => setInviteForm(prev => ({ ...prev, role: e.target.value }))}
+              className="input w-36"
+            >
+              <option value="viewer">Viewer</option>
+              <option value="editor">Editor</option>
+              <option value="admin">Admin</option>
+            </select>
+            <button type="submit" disabled={inviting} className="btn btn-primary">
+              {inviting ? 'Inviting...' : 'Invite'}
+            </button>
+          </form>
+
+          {inviteUrl && (
+            <div className="mt-4 flex items-center gap-2 rounded-md bg-gray-50 border border-gray-200 p-3">
+              <code className="flex-1 text-xs text-gray-700 break-all">{inviteUrl}</code>
+              <button type="button" onClick={handleCopyInvite} className="btn btn-secondary inline-flex items-center">
+                <Copy className="h-4 w-4 mr-1" />
+                Copy
+              </button>
+            </div>
+          )}
+
+          {invitations.length > 0 && (
+            <table className="mt-4 w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 font-medium">Email</th>
+                  <th className="py-2 font-medium">Role</th>
+                  <th className="py-2 font-medium">Status</th>
+                  <th className="py-2 font-medium">Expires</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {invitations.map(invitation => (
+                  <tr key={invitation._id} className="border-b last:border-0">
+                    <td className="py-2 text-gray-900">{invitation.email}</td>
+                    <td className="py-2 capitalize">{invitation.role}</td>
+                    <td className="py-2 capitalize">{invitation.status}</td>
+                    <td className="py-2 text-gray-600">{new Date(invitation.expiresAt).toLocaleDateString()}</td>
+                    <td className="py-2 text-right">
+                      {invitation.status === 'pending' && (
+                        <button
+                          type="button"
+                          onClick={() => handleRevokeInvitation(invitation)}
+                          className="text-red-600 hover:text-red-800 p-1"
+                          title="Revoke"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {isOwner && (
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <Crown className="h-5 w-5 text-yellow-600 mr-2" />
+            <h2 className="text-xl font-semibold">Transfer Ownership</h2>
+          </div>
+          <p className="text-gray-600 text-sm mb-4">
+            The new owner is made an admin and takes over deactivation and ownership transfer.
+          </p>
+          <div className="flex gap-3">
+            <select
+              value={newOwnerId}
+              onChange={(e) => setNewOwnerId(e.target.value)}
+              className="input flex-1"
+            >
+              <option value="">Select a member</option>
+              {members
+                .filter(m => m._id !== user?.id && m.isActive)
+                .map(m => (
+                  <option key={m._id} value={m._id}>
+                    {m.name} ({m.email}) - {m.role}
+                  </option>
+                ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleTransfer}
+              disabled={!newOwnerId}
+              className="btn btn-secondary"
+            >
+              Transfer
+            </button>
+          </div>
+        </div>
+      )}
+
+      {isOwner && (
+        <div className="card border border-red-200">
+          <div className="flex items-center mb-4">
+            <Power className="h-5 w-5 text-red-600 mr-2" />
+            <h2 className="text-xl font-semibold">
+              {organization.isActive ? 'Deactivate Organization' : 'Reactivate Organization'}
+            </h2>
+          </div>
+          <p className="text-gray-600 text-sm mb-4">
+            {organization.isActive
+              ? 'Members will be unable to sign in or use the API until the organization is reactivated. Videos and settings are kept.'
+              : 'Members are currently blocked. Reactivating restores their access.'}
+          </p>
+          <button
+            type="button"
+            onClick={handleToggleStatus}
+            className={`btn ${organization.isActive ? 'btn-danger' : 'btn-primary'}`}
+          >
+            {organization.isActive ? 'Deactivate' : 'Reactivate'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ListChecks,
+  Pause,
+  Play,
+  RefreshCw,
+  RotateCcw,
+  Eraser,
+  Trash2,
+  Eye
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import adminService from '../services/admin.service';
+import { useAuth } from '../contexts/AuthContext';
+
+const STATES = ['waiting', 'active', 'delayed', 'failed', 'completed', 'paused'];
+
+// Counts and the job list refresh on their own while the page is open
+const REFRESH_INTERVAL_MS = 5000;
+
+export default function QueueConsole() {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [queue, setQueue] = useState(null);
+  const [state, setState] = useState('failed');
+  const [page, setPage] = useState(1);
+  const [jobs, setJobs] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [inspected, setInspected] = useState(null);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    fetchQueue();
+    const interval = setInterval(fetchQueue, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isAdmin, state, page]);
+
+  const fetchQueue = async () => {
+    try {
+      const [queueData, jobsData] = await Promise.all([
+        adminService.getQueue(),
+        adminService.getQueueJobs(state, page)
+      ]);
+      setQueue(queueData.queue);
+      setJobs(jobsData.jobs);
+      setPagination(jobsData.pagination);
+    } catch (error) {
+      console.error('Error fetching queue:', error);
+      setQueue(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelectState = (nextState) => {
+    setState(nextState);
+    setPage(1);
+    setInspected(null);
+  };
+
+  // Runs a queue action, reports its message and reloads the console
+  const runAction = async (action, fallbackError) => {
+    try {
+      setBusy(true);
+      const data = await action();
+      toast.success(data.message);
+      await fetchQueue();
+    } catch (error) {
+      console.error(fallbackError, error);
+      toast.error(error.response?.data?.error || fallbackError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTogglePause = () => (
+    queue?.isPaused
+      ? runAction(adminService.resumeQueue, 'Failed to resume queue')
+      : runAction(adminService.pauseQueue, 'Failed to pause queue')
+  );
+
+  const handleDrain = () => {
+    if (!window.confirm('Remove every waiting, paused and delayed job? Their videos are marked as failed.')) return;
+    runAction(adminService.drainQueue, 'Failed to drain queue');
+  };
+
+  const handleClean = () => {
+    if (!window.confirm(`Delete all ${state} jobs from the queue?`)) return;
+    runAction(() => adminService.cleanQueue(state), 'Failed to clean queue');
+  };
+
+  const handleRetryFailed = () => runAction(adminService.retryFailedQueueJobs, 'Failed to retry jobs');
+
+  const handleRetry = (job) => runAction(() => adminService.retryQueueJob(job.id), 'Failed to retry job');
+
+  const handleRemove = (job) => {
+    if (!window.confirm(`Remove job ${job.id}?`)) return;
+    runAction(() => adminService.removeQueueJob(job.id), 'Failed to remove job');
+  };
+
+  const handleInspect = async (job) => {
+    if (inspected?.id === job.id) {
+      setInspected(null);
+      return;
+    }
+
+    try {
+      const data = await adminService.getQueueJob(job.id);
+      setInspected(data.job);
+    } catch (error) {
+      console.error('Error fetching job:', error);
+      toast.error(error.response?.data?.error || 'Failed to load job');
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="card text-center py-12">
+        <ListChecks className="w-16 h-16 mx-auto mb-4 text-gray-400" />
+        <h3 className="text-xl font-semibold mb-2">Admins only</h3>
+        <p className="text-gray-600">The processing queue console requires the admin role.</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="spinner w-12 h-12 border-4 border-primary-600 border-t-transparent rounded-full"></div>
+      </div>
+    );
+  }
+
+  if (!queue) {
+    return (
+      <div className="card text-center py-12">
+        <ListChecks className="w-16 h-16 mx-auto mb-4 text-gray-400" />
+        <h3 className="text-xl font-semibold mb-2">Queue not available</h3>
+        <p className="text-gray-600">The processing queue could not be reached. Check the Redis connection.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Processing Queue</h1>
+          <p className="text-gray-600 mt-1">
+            {queue.isPaused ? 'Paused: workers finish running jobs but take no new ones.' : 'Running'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={fetchQueue} className="btn btn-secondary inline-flex items-center">
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </button>
+          <button
+            onClick={handleTogglePause}
+            disabled={busy}
+            className={`btn inline-flex items-center ${queue.isPaused ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            {queue.isPaused ? <Play className="w-4 h-4 mr-2" /> : <Pause className="w-4 h-4 mr-2" />}
+            {queue.isPaused ? 'Resume' : 'Pause'}
+          </button>
+          <button onClick={handleDrain} disabled={busy} className="btn btn-danger inline-flex items-center">
+            <Trash2 className="w-4 h-4 mr-2" />
+            Drain
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 md:grid-cols-6 gap-3">
+        {STATES.map(s => (
+          <button
+            key={s}
+            onClick={() => handleSelectState(s)}
+            className={`card text-left py-3 ${state === s ? 'ring-2 ring-primary-600' : ''}`}
+          >
+            <p className="text-sm text-gray-500 capitalize">{s}</p>
+            <p className="text-2xl font-semibold text-gray-900">{queue[s] ?? 0}</p>
+          </button>
+        ))}
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold capitalize">{state} jobs</h2>
+          <div className="flex gap-2">
+            {state === 'failed' && jobs.length > 0 && (
+              <button onClick={handleRetryFailed} disabled={busy} className="btn btn-secondary inline-flex items-center">
+                <RotateCcw className="w-4 h-4 mr-2" />
+                Retry All
+              </button>
+            )}
+            {['completed', 'failed'].includes(state) && jobs.length > 0 && (
+              <button onClick={handleClean} disabled={busy} className="btn btn-secondary inline-flex items-center">
+                <Eraser className="w-4 h-4 mr-2" />
+                Clean
+              </button>
+            )}
+          </div>
+        </div>
+
+        {jobs.length === 0 ? (
+          <p className="text-gray-600 text-sm">No {state} jobs.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 font-medium">Job</th>
+                <th className="py-2 font-medium">Video</th>
+                <th className="py-2 font-medium">Attempts</th>
+                <th className="py-2 font-medium">Progress</th>
+                <th className="py-2 font-medium">Created</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <React.Fragment key={job.id}>
+                  <tr className="border-b last:border-0 align-top">
+                    <td className="py-2 font-mono text-gray-900">{job.id}</td>
+                    <td className="py-2">
+                      {job.video ? (
+                        <Link to={`/videos/${job.video._id}`} className="text-primary-600 hover:text-primary-700">
+                          {job.video.title}
+                        </Link>
+                      ) : (
+                        <span className="text-gray-500 font-mono">{job.data?.videoId || '-'}</span>
+                      )}
+                      {job.video?.organizationId?.name && (
+                        <p className="text-xs text-gray-500">{job.video.organizationId.name}</p>
+                      )}
+                      {job.failedReason && (
+                        <p className="text-xs text-red-600 break-words">{job.failedReason}</p>
+                      )}
+                    </td>
+                    <td className="py-2">{job.attemptsMade} / {job.maxAttempts}</td>
+                    <td className="py-2">{typeof job.progress === 'number' ? `${job.progress}%` : '-'}</td>
+                    <td className="py-2 text-gray-600">
+                      {job.createdAt ? formatDistanceToNow(new Date(job.createdAt), { addSuffix: true }) : '-'}
+                    </td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      <button onClick={() => handleInspect(job)} className="text-gray-600 hover:text-gray-900 p-1" title="Inspect">
+                        <Eye className="h-4 w-4" />
+                      </button>
+                      {job.state === 'failed' && (
+                        <button onClick={() => handleRetry(job)} disabled={busy} className="text-primary-600 hover:text-primary-800 p-1" title="Retry">
+                          <RotateCcw className="h-4 w-4" />
+                        </button>
+                      )}
+                      {job.state !== 'active' && (
+                        <button onClick={() => handleRemove(job)} disabled={busy} className="text-red-600 hover:text-red-800 p-1" title="Remove">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {inspected?.id === job.id && (
+                    <tr className="border-b">
+                      <td colSpan={6} className="py-3">
+                        <div className="space-y-3">
+                          <div>
+                            <p className="font-medium mb-1">Payload</p>
+                            <pre className="bg-gray-50 border border-gray-200 rounded p-2 text-xs overflow-x-auto">
+                              {JSON.stringify(inspected.data, null, 2)}
+                            </pre>
+                          </div>
+                          <div>
+                            <p className="font-medium mb-1">Options</p>
+                            <pre className="bg-gray-50 border border-gray-200 rounded p-2 text-xs overflow-x-auto">
+                              {JSON.stringify(inspected.options, null, 2)}
+                            </pre>
+                          </div>
+                          {inspected.result && (
+                            <div>
+                              <p className="font-medium mb-1">Result</p>
+                              <pre className="bg-gray-50 border border-gray-200 rounded p-2 text-xs overflow-x-auto">
+                                {JSON.stringify(inspected.result, null, 2)}
+                              </pre>
+                            </div>
+                          )}
+                          {inspected.stacktrace.length > 0 && (
+                            <div>
+                              <p className="font-medium mb-1">Stack traces (one per failed attempt)</p>
+                              <pre className="bg-red-50 border border-red-200 rounded p-2 text-xs overflow-x-auto text-red-800">
+                                {inspected.stacktrace.join('\n\n')}
+                              </pre>
+                            </div>
+                          )}
+                          {inspected.logs.length > 0 && (
+                            <div>
+                              <p className="font-medium mb-1">Logs</p>
+                              <pre className="bg-gray-50 border border-gray-200 rounded p-2 text-xs overflow-x-auto">
+                                {inspected.logs.join('\n')}
+                              </pre>
+                            </div>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination?.pages > 1 && (
+          <div className="flex items-center justify-between mt-4 text-sm">
+            <button
+              onClick={() => setPage(p => p - 1)}
+              disabled={page <= 1}
+              className="btn btn-secondary"
+            >
+              Previous
+            </button>
+            <span className="text-gray-600">Page {pagination.page} of {pagination.pages}</span>
+            <button
+              onClick={() => setPage(p => p + 1)}
+              disabled={page >= pagination.pages}
+              className="btn btn-secondary"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
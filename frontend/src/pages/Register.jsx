@@ -1,25 +1,46 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import authService from '../services/auth.service';
 
 export default function Register() {
   const navigate = useNavigate();
   const { register } = useAuth();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     password: '',
-    organizationName: '',
-    role: 'editor'
+    organizationName: ''
   });
   const [loading, setLoading] = useState(false);
+  const [invitation, setInvitation] = useState(null);
+  const [inviteError, setInviteError] = useState(null);
+
+  useEffect(() => {
+    if (!inviteToken) return;
+
+    authService.getInvitation(inviteToken)
+      .then(data => {
+        setInvitation(data.invitation);
+        setFormData(prev => ({ ...prev, email: data.invitation.email }));
+      })
+      .catch(error => {
+        setInviteError(error.response?.data?.error || 'Invitation could not be loaded');
+      });
+  }, [inviteToken]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      await register(formData);
+      await register(
+        invitation
+          ? { name: formData.name, email: formData.email, password: formData.password, inviteToken }
+          : formData
+      );
       navigate('/dashboard');
     } catch (error) {
       console.error('Registration error:', error);
@@ -42,6 +63,17 @@ export default function Register() {
             </Link>
           </p>
         </div>
+        {invitation && (
+          <div className="rounded-md bg-primary-50 border border-primary-200 p-4 text-sm text-primary-800">
+            You've been invited to join <span className="font-semibold">{invitation.organizationName}</span> as
+            {' '}<span className="font-semibold capitalize">{invitation.role}</span>.
+          </div>
+        )}
+        {inviteError && (
+          <div className="rounded-md bg-red-50 border border-red-200 p-4 text-sm text-red-800">
+            {inviteError}. Ask your admin for a new invitation, or create your own organization below.
+          </div>
+        )}
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="rounded-md shadow-sm space-y-4">
             <div>
@@ -67,7 +99,8 @@ export default function Register() {
                 type="email"
                 autoComplete="email"
                 required
-                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                readOnly={!!invitation}
+                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm read-only:bg-gray-100"
                 placeholder="john@example.com"
                 value={formData.email}
                 onChange={(e) => setFormData({ ...formData, email: e.target.value })}
@@ -91,41 +124,21 @@ export default function Register() {
                 Must contain at least one uppercase, lowercase, and number
               </p>
             </div>
-            <div>
-              <label htmlFor="organization" className="block text-sm font-medium text-gray-700">
-                Organization Name (Optional)
-              </label>
-              <input
-                id="organization"
-                type="text"
-                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-                placeholder="Your Company"
-                value={formData.organizationName}
-                onChange={(e) => setFormData({ ...formData, organizationName: e.target.value })}
-              />
-              <p className="mt-1 text-xs text-gray-500">
-                {formData.organizationName 
-                  ? "You'll become the admin of this new organisation" 
-                  : "Leave empty to join the default organisation"}
-              </p>
-            </div>
-
-            {!formData.organizationName && (
+            {!invitation && (
               <div>
-                <label htmlFor="role" className="block text-sm font-medium text-gray-700">
-                  Select Your Role
+                <label htmlFor="organization" className="block text-sm font-medium text-gray-700">
+                  Organization Name (Optional)
                 </label>
-                <select
-                  id="role"
-                  value={formData.role}
-                  onChange={(e) => setFormData({ ...formData, role: e.target.value })}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 bg-white text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-                >
-                  <option value="editor">Editor - Upload and manage videos</option>
-                  <option value="viewer">Viewer - Read-only access to assigned videos</option>
-                </select>
+                <input
+                  id="organization"
+                  type="text"
+                  className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  placeholder="Your Company"
+                  value={formData.organizationName}
+                  onChange={(e) => setFormData({ ...formData, organizationName: e.target.value })}
+                />
                 <p className="mt-1 text-xs text-gray-500">
-                  Select your access level. Admins can change this later.
+                  You'll become the admin of a new organisation. To join an existing one, ask its admin for an invitation link.
                 </p>
               </div>
             )}
@@ -0,0 +1,410 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ScanSearch, Play, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
+import adminService from '../services/admin.service';
+import websocketService from '../services/websocket.service';
+import { useAuth } from '../contexts/AuthContext';
+
+const SENSITIVITY_STATUSES = ['safe', 'flagged', 'pending'];
+
+const EMPTY_FILTERS = {
+  scope: 'organization',
+  from: '',
+  to: '',
+  sensitivityStatus: ['safe', 'flagged'],
+  versionMode: 'any',
+  analysisVersion: '',
+  includeReviewed: false
+};
+
+export default function SensitivityReanalysis() {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [batches, setBatches] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+
+  const selectedId = selected?.batch._id;
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    fetchBatches();
+  }, [isAdmin]);
+
+  // Live progress for batches this admin started
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    const handleProgress = (progress) => {
+      setBatches(prev => prev.map(batch => (
+        batch._id === progress.batchId ? { ...batch, ...progress } : batch
+      )));
+      setSelected(prev => (
+        prev?.batch._id === progress.batchId
+          ? { ...prev, batch: { ...prev.batch, ...progress } }
+          : prev
+      ));
+    };
+
+    // The diff is only final once the batch completes
+    const handleComplete = (progress) => {
+      toast.success(`Re-analysis finished: ${progress.changed} of ${progress.total} video(s) changed status`);
+      if (progress.batchId === selectedId) {
+        fetchBatch(progress.batchId);
+      }
+    };
+
+    websocketService.on('reanalysis:progress', handleProgress);
+    websocketService.on('reanalysis:complete', handleComplete);
+
+    return () => {
+      websocketService.off('reanalysis:progress', handleProgress);
+      websocketService.off('reanalysis:complete', handleComplete);
+    };
+  }, [isAdmin, selectedId]);
+
+  const fetchBatches = async () => {
+    try {
+      const data = await adminService.getReanalysisBatches();
+      setBatches(data.batches);
+    } catch (error) {
+      console.error('Error fetching re-analysis batches:', error);
+      toast.error('Failed to load re-analysis batches');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchBatch = async (batchId) => {
+    try {
+      const data = await adminService.getReanalysisBatch(batchId);
+      setSelected(data);
+    } catch (error) {
+      console.error('Error fetching re-analysis batch:', error);
+      toast.error(error.response?.data?.error || 'Failed to load re-analysis batch');
+    }
+  };
+
+  const handleSelect = (batch) => {
+    if (selectedId === batch._id) {
+      setSelected(null);
+      return;
+    }
+    fetchBatch(batch._id);
+  };
+
+  const toggleStatus = (status) => {
+    setFilters(prev => ({
+      ...prev,
+      sensitivityStatus: prev.sensitivityStatus.includes(status)
+        ? prev.sensitivityStatus.filter(s => s !== status)
+        : [...prev.sensitivityStatus, status]
+    }));
+  };
+
+  const buildRequest = () => {
+    const request = {
+      sensitivityStatus: filters.sensitivityStatus,
+      includeReviewed: filters.includeReviewed
+    };
+
+    if (filters.scope === 'organization') {
+      request.organizationId = user.organizationId?._id || user.organizationId;
+    }
+    if (filters.from) {
+      request.from = new Date(`${filters.from}T00:00:00`).toISOString();
+    }
+    if (filters.to) {
+      request.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+    }
+    if (filters.versionMode === 'none') {
+      request.analysisVersion = null;
+    } else if (filters.versionMode === 'version' && filters.analysisVersion.trim()) {
+      request.analysisVersion = filters.analysisVersion.trim();
+    }
+
+    return request;
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+
+    if (filters.sensitivityStatus.length === 0) {
+      toast.error('Select at least one sensitivity status');
+      return;
+    }
+
+    const scope = filters.scope === 'organization' ? 'your organization' : 'all organizations';
+    if (!window.confirm(`Re-run sensitivity analysis on the matching videos in ${scope}? Their status is replaced by the new result.`)) return;
+
+    try {
+      setStarting(true);
+      const data = await adminService.startReanalysis(buildRequest());
+      toast.success(data.message);
+      await fetchBatches();
+      fetchBatch(data.batch._id);
+    } catch (error) {
+      console.error('Error starting re-analysis:', error);
+      toast.error(error.response?.data?.error || 'Failed to start re-analysis');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="card text-center py-12">
+        <ScanSearch className="w-16 h-16 mx-auto mb-4 text-gray-400" />
+        <h3 className="text-xl font-semibold mb-2">Admins only</h3>
+        <p className="text-gray-600">Sensitivity re-analysis requires the admin role.</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="spinner w-12 h-12 border-4 border-primary-600 border-t-transparent rounded-full"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Sensitivity Re-analysis</h1>
+          <p className="text-gray-600 mt-1">
+            Re-run the sensitivity analysis on processed videos, e.g. after changing the thresholds.
+          </p>
+        </div>
+        <button onClick={fetchBatches} className="btn btn-secondary inline-flex items-center">
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      <form onSubmit={handleStart} className="card space-y-4">
+        <h2 className="text-xl font-semibold">Select videos</h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Scope</label>
+            <select
+              value={filters.scope}
+              onChange={(e) => setFilters({ ...filters, scope: e.target.value })}
+              className="input"
+            >
+              <option value="organization">My organization</option>
+              <option value="all">All organizations</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Uploaded from</label>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+              className="input"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Uploaded to</label>
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+              className="input"
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-1">Current status</p>
+            <div className="flex gap-4">
+              {SENSITIVITY_STATUSES.map(status => (
+                <label key={status} className="flex items-center gap-2 text-sm capitalize">
+                  <input
+                    type="checkbox"
+                    checked={filters.sensitivityStatus.includes(status)}
+                    onChange={() => toggleStatus(status)}
+                  />
+                  {status}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Analysis version</label>
+            <div className="flex gap-2">
+              <select
+                value={filters.versionMode}
+                onChange={(e) => setFilters({ ...filters, versionMode: e.target.value })}
+                className="input"
+              >
+                <option value="any">Any</option>
+                <option value="none">Not recorded</option>
+                <option value="version">Exactly</option>
+              </select>
+              {filters.versionMode === 'version' && (
+                <input
+                  type="text"
+                  value={filters.analysisVersion}
+                  onChange={(e) => setFilters({ ...filters, analysisVersion: e.target.value })}
+                  placeholder="2.0"
+                  className="input"
+                />
+              )}
+            </div>
+          </div>
+          <div className="flex items-end">
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={filters.includeReviewed}
+                onChange={(e) => setFilters({ ...filters, includeReviewed: e.target.checked })}
+              />
+              Include manually reviewed videos
+            </label>
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button type="submit" disabled={starting} className="btn btn-primary inline-flex items-center">
+            <Play className="w-4 h-4 mr-2" />
+            {starting ? 'Starting...' : 'Start Re-analysis'}
+          </button>
+        </div>
+      </form>
+
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-4">Recent batches</h2>
+
+        {batches.length === 0 ? (
+          <p className="text-gray-600 text-sm">No re-analysis has been run yet.</p>
+        ) : (
+          <ul className="divide-y">
+            {batches.map(batch => {
+              const settled = batch.completed + batch.failed;
+              const percent = batch.total ? Math.round((settled / batch.total) * 100) : 0;
+
+              return (
+                <li key={batch._id}>
+                  <button
+                    onClick={() => handleSelect(batch)}
+                    className={`w-full text-left py-3 px-2 rounded ${selectedId === batch._id ? 'bg-gray-50' : ''}`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="font-medium text-gray-900">
+                        {batch.filters?.organizationId?.name || 'All organizations'} · {batch.total} video(s)
+                      </p>
+                      <span className={`badge ${batch.status === 'completed' ? 'badge-success' : 'badge-gray'}`}>
+                        {batch.status}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {formatDistanceToNow(new Date(batch.createdAt), { addSuffix: true })}
+                      {batch.createdBy?.name && ` by ${batch.createdBy.name}`}
+                      {` · ${batch.changed} changed`}
+                      {batch.failed > 0 && ` · ${batch.failed} failed`}
+                    </p>
+                    {batch.status === 'running' && (
+                      <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+                        <div className="bg-primary-600 h-2 rounded-full" style={{ width: `${percent}%` }}></div>
+                      </div>
+                    )}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {selected && (
+        <div className="card space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold">Status changes</h2>
+            <span className="text-sm text-gray-600">
+              {selected.batch.completed + selected.batch.failed} of {selected.batch.total} analyzed
+              {selected.batch.completedAt && ` · finished ${format(new Date(selected.batch.completedAt), 'PPp')}`}
+            </span>
+          </div>
+
+          {selected.changes.length === 0 ? (
+            <p className="text-gray-600 text-sm">
+              {selected.batch.status === 'completed'
+                ? 'No video changed sensitivity status.'
+                : 'No status changes so far.'}
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 font-medium">Video</th>
+                  <th className="py-2 font-medium">Before</th>
+                  <th className="py-2 font-medium">After</th>
+                  <th className="py-2 font-medium">Score</th>
+                  <th className="py-2 font-medium">Version</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.changes.map(change => (
+                  <tr key={change.videoId} className="border-b last:border-0">
+                    <td className="py-2">
+                      {change.video ? (
+                        <Link to={`/videos/${change.video._id}`} className="text-primary-600 hover:text-primary-700">
+                          {change.video.title}
+                        </Link>
+                      ) : (
+                        <span className="text-gray-500">Deleted video</span>
+                      )}
+                    </td>
+                    <td className="py-2 capitalize">{change.previousStatus}</td>
+                    <td className="py-2">
+                      <span className={`badge capitalize ${change.status === 'flagged' ? 'badge-danger' : 'badge-success'}`}>
+                        {change.status}
+                      </span>
+                    </td>
+                    <td className="py-2 text-gray-600">
+                      {change.previousScore ?? '-'} → {change.score ?? '-'}
+                    </td>
+                    <td className="py-2 text-gray-600">
+                      {change.previousVersion || '-'} → {change.analysisVersion || '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {selected.failures.length > 0 && (
+            <div>
+              <p className="font-medium mb-2">Failed</p>
+              <ul className="space-y-1 text-sm">
+                {selected.failures.map((failure, index) => (
+                  <li key={failure.video?._id || index}>
+                    {failure.video ? (
+                      <Link to={`/videos/${failure.video._id}`} className="text-primary-600 hover:text-primary-700">
+                        {failure.video.title}
+                      </Link>
+                    ) : (
+                      <span className="text-gray-500">Deleted video</span>
+                    )}
+                    <span className="text-xs text-red-600 ml-2">{failure.error}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
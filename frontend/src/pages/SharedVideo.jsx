@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Film, Lock, Play } from 'lucide-react';
+import publicService from '../services/public.service';
+
+export default function SharedVideo() {
+  const { shareToken } = useParams();
+
+  const [shared, setShared] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [unavailable, setUnavailable] = useState('');
+  const [password, setPassword] = useState('');
+  const [opening, setOpening] = useState(false);
+  const [openError, setOpenError] = useState('');
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    fetchSharedVideo();
+  }, [shareToken]);
+
+  const fetchSharedVideo = async () => {
+    try {
+      setLoading(true);
+      const data = await publicService.getSharedVideo(shareToken);
+      setShared(data);
+    } catch (error) {
+      setUnavailable(error.response?.data?.error || 'This link is not available');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Opening the link counts one view, so it only happens when the viewer presses play
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    setOpenError('');
+
+    try {
+      setOpening(true);
+      const data = await publicService.openSharedVideo(shareToken, password);
+      setSession(data);
+    } catch (error) {
+      const { code, error: message } = error.response?.data || {};
+      if (code === 'SHARE_LINK_PASSWORD_INVALID') {
+        setOpenError(message);
+      } else {
+        setUnavailable(message || 'This link is not available');
+      }
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (unavailable || !shared) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+        <div className="card text-center py-12 max-w-md w-full">
+          <Film className="w-16 h-16 mx-auto mb-4 text-gray-400" />
+          <h3 className="text-xl font-semibold mb-2">Video unavailable</h3>
+          <p className="text-gray-600">{unavailable}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { video, link } = shared;
+  const ready = video.status === 'completed';
+  const posterUrl = !link.requiresPassword || session
+    ? publicService.getThumbnailUrl(shareToken, session?.sessionToken)
+    : undefined;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-4xl mx-auto">
+        <div className="card mb-6">
+          {session ? (
+            <div className="video-container bg-black rounded-lg overflow-hidden">
+              <video
+                controls
+                autoPlay
+                className="w-full h-full"
+                src={publicService.getStreamUrl(shareToken, session.sessionToken)}
+                poster={posterUrl}
+              >
+                Your browser does not support the video tag.
+              </video>
+            </div>
+          ) : (
+            <div
+              className="aspect-video bg-gray-900 rounded-lg flex flex-col items-center justify-center bg-cover bg-center"
+              style={posterUrl ? { backgroundImage: `url(${posterUrl})` } : undefined}
+            >
+              {!ready ? (
+                <p className="text-white">This video is still being processed. Check back soon.</p>
+              ) : (
+                <form onSubmit={handleOpen} className="bg-white/90 rounded-lg p-4 w-72 space-y-3">
+                  {link.requiresPassword && (
+                    <div>
+                      <label className="text-sm font-medium text-gray-700 mb-1 flex items-center gap-1">
+                        <Lock className="w-4 h-4" />
+                        Password
+                      </label>
+                      <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="input"
+                        autoComplete="off"
+                        required
+                        autoFocus
+                      />
+                    </div>
+                  )}
+                  {openError && <p className="text-sm text-red-600">{openError}</p>}
+                  <button
+                    type="submit"
+                    disabled={opening}
+                    className="btn btn-primary w-full inline-flex items-center justify-center"
+                  >
+                    <Play className="w-4 h-4 mr-2" />
+                    {opening ? 'Opening...' : 'Play video'}
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <h1 className="text-2xl font-bold mb-2">{video.title}</h1>
+          {video.description && (
+            <p className="text-gray-700 whitespace-pre-wrap">{video.description}</p>
+          )}
+          {link.remainingViews !== null && !session && (
+            <p className="text-sm text-gray-500 mt-4">
+              {link.remainingViews} {link.remainingViews === 1 ? 'view' : 'views'} left on this link
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
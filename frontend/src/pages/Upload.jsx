@@ -1,11 +1,13 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Upload as UploadIcon, Film, X, CheckCircle, AlertCircle } from 'lucide-react';
 import toast from 'react-hot-toast';
 import videoService from '../services/video.service';
+import organizationService from '../services/organization.service';
 
-const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
-const ALLOWED_TYPES = ['video/mp4', 'video/avi', 'video/mov', 'video/mkv', 'video/webm'];
+// Defaults until the organization's own limits are loaded
+const DEFAULT_MAX_FILE_SIZE_MB = 500;
+const DEFAULT_ALLOWED_FORMATS = ['mp4', 'avi', 'mov', 'mkv', 'webm'];
 
 export default function Upload() {
   const navigate = useNavigate();
@@ -21,6 +23,21 @@ export default function Upload() {
     visibility: 'organization'
   });
   const [errors, setErrors] = useState({});
+  const [maxFileSizeMB, setMaxFileSizeMB] = useState(DEFAULT_MAX_FILE_SIZE_MB);
+  const [allowedFormats, setAllowedFormats] = useState(DEFAULT_ALLOWED_FORMATS);
+
+  useEffect(() => {
+    organizationService.getOrganization()
+      .then(({ organization }) => {
+        if (organization.settings?.maxVideoSizeMB) {
+          setMaxFileSizeMB(organization.settings.maxVideoSizeMB);
+        }
+        if (organization.settings?.allowedFormats?.length) {
+          setAllowedFormats(organization.settings.allowedFormats);
+        }
+      })
+      .catch(error => console.error('Failed to fetch organization limits:', error));
+  }, []);
 
   const validateFile = (file) => {
     const newErrors = {};
@@ -30,13 +47,14 @@ export default function Upload() {
       return newErrors;
     }
 
-    if (!ALLOWED_TYPES.includes(file.type)) {
-      newErrors.file = `Invalid file type. Allowed types: ${ALLOWED_TYPES.join(', ')}`;
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!allowedFormats.includes(extension)) {
+      newErrors.file = `Invalid file type. Allowed formats: ${allowedFormats.join(', ')}`;
       return newErrors;
     }
 
-    if (file.size > MAX_FILE_SIZE) {
-      newErrors.file = `File size exceeds ${MAX_FILE_SIZE / (1024 * 1024)}MB limit`;
+    if (file.size > maxFileSizeMB * 1024 * 1024) {
+      newErrors.file = `File size exceeds ${maxFileSizeMB}MB limit`;
       return newErrors;
     }
 
@@ -197,10 +215,10 @@ export default function Upload() {
                 Drop your video here or click to browse
               </h3>
               <p className="text-gray-600 mb-4">
-                Supported formats: MP4, AVI, MOV, MKV, WEBM
+                Supported formats: {allowedFormats.map(f => f.toUpperCase()).join(', ')}
               </p>
               <p className="text-sm text-gray-500 mb-4">
-                Maximum file size: 500MB
+                Maximum file size: {maxFileSizeMB}MB
               </p>
               <button
                 type="button"
@@ -14,11 +14,24 @@ import {
   XCircle,
   Film,
   Calendar,
-  FileText
+  FileText,
+  Link2,
+  Copy,
+  Code,
+  Image,
+  Upload,
+  Subtitles,
+  Star,
+  Languages,
+  Download,
+  History,
+  X
 } from 'lucide-react';
 import toast from 'react-hot-toast';
+import Hls from 'hls.js';
 import videoService from '../services/video.service';
 import websocketService from '../services/websocket.service';
+import SeekPreviewBar from '../components/player/SeekPreviewBar';
 import { useAuth } from '../contexts/AuthContext';
 import { formatDistanceToNow, format } from 'date-fns';
 
@@ -26,7 +39,8 @@ const STATUS_CONFIG = {
   uploading: { label: 'Uploading', color: 'blue', icon: Clock },
   processing: { label: 'Processing', color: 'yellow', icon: Clock },
   completed: { label: 'Ready', color: 'green', icon: CheckCircle },
-  failed: { label: 'Failed', color: 'red', icon: XCircle }
+  failed: { label: 'Failed', color: 'red', icon: XCircle },
+  cancelled: { label: 'Cancelled', color: 'gray', icon: XCircle }
 };
 
 const SENSITIVITY_CONFIG = {
@@ -35,6 +49,9 @@ const SENSITIVITY_CONFIG = {
   high: { label: 'High', color: 'red' }
 };
 
+// Renew a playback token this long before it expires
+const TOKEN_RENEW_MARGIN_MS = 30 * 1000;
+
 const VISIBILITY_ICONS = {
   public: Globe,
   private: Lock,
@@ -46,16 +63,34 @@ export default function VideoDetail() {
   const navigate = useNavigate();
   const { user } = useAuth();
   const videoRef = useRef(null);
+  const resumeRef = useRef(null);
+  const hlsRef = useRef(null);
+  const playbackRef = useRef(null);
 
   const [video, setVideo] = useState(null);
   const [loading, setLoading] = useState(true);
   const [deleting, setDeleting] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
   const [editing, setEditing] = useState(false);
   const [editForm, setEditForm] = useState({
     title: '',
     description: '',
     visibility: 'organization'
   });
+  const [playback, setPlayback] = useState(null);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [linkForm, setLinkForm] = useState({ expiresInHours: '168', password: '', maxViews: '' });
+  const [creatingLink, setCreatingLink] = useState(false);
+  const [savingPoster, setSavingPoster] = useState(false);
+  const [captionTracks, setCaptionTracks] = useState([]);
+  const [captionForm, setCaptionForm] = useState({ language: '', label: '', kind: 'subtitles', isDefault: false });
+  const [captionFile, setCaptionFile] = useState(null);
+  const [savingCaption, setSavingCaption] = useState(false);
+  const [audioTracks, setAudioTracks] = useState([]);
+  const [audioTrack, setAudioTrack] = useState(-1);
+  const [technical, setTechnical] = useState(null);
+  const [showTechnical, setShowTechnical] = useState(false);
+  const [processingJobs, setProcessingJobs] = useState([]);
 
   useEffect(() => {
     fetchVideo();
@@ -72,6 +107,163 @@ export default function VideoDetail() {
     };
   }, [id]);
 
+  const hlsReady = video?.status === 'completed' && !!video?.streaming?.hls?.masterPlaylist;
+  const useHlsPlayer = hlsReady && Hls.isSupported();
+
+  const hasPlayback = !!playback;
+  playbackRef.current = playback;
+
+  // Attach adaptive (HLS) playback when renditions are available
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!useHlsPlayer || !videoElement || !hasPlayback) return;
+
+    // Every playlist and segment request carries the current playback token,
+    // so playback outlives the token the stream was loaded with
+    const hls = new Hls({
+      xhrSetup: (xhr, url) => {
+        const requestUrl = new URL(url);
+        requestUrl.searchParams.set('playback', playbackRef.current.token);
+        xhr.open('GET', requestUrl.toString(), true);
+      }
+    });
+
+    // Alternate audio renditions, one per language track of the source
+    hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, (event, data) => {
+      setAudioTracks(data.audioTracks);
+      setAudioTrack(hls.audioTrack);
+    });
+
+    hls.on(Hls.Events.AUDIO_TRACK_SWITCHED, (event, data) => {
+      setAudioTrack(data.id);
+    });
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (data.fatal) {
+        console.error('HLS playback error, falling back to progressive stream:', data);
+        hls.destroy();
+        hlsRef.current = null;
+        setAudioTracks([]);
+        videoService.getPlaybackToken(id)
+          .then(({ token }) => {
+            videoElement.src = videoService.getStreamUrl(id, token);
+          })
+          .catch((error) => console.error('Error fetching playback token:', error));
+      }
+    });
+
+    hls.loadSource(videoService.getHlsUrl(id, playbackRef.current.token));
+    hls.attachMedia(videoElement);
+    hlsRef.current = hls;
+
+    return () => {
+      hls.destroy();
+      hlsRef.current = null;
+      setAudioTracks([]);
+    };
+  }, [id, useHlsPlayer, hasPlayback]);
+
+  // With HLS the <video> src doesn't hold a token, so renew it ahead of expiry
+  // for the segment requests and the poster and seek preview URLs
+  useEffect(() => {
+    if (!useHlsPlayer || !playback) return;
+
+    const remaining = new Date(playback.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(fetchPlaybackToken, Math.max(remaining - TOKEN_RENEW_MARGIN_MS, remaining / 2, 0));
+
+    return () => clearTimeout(timer);
+  }, [id, useHlsPlayer, playback]);
+
+  // Media URLs carry a short-lived playback token rather than the access token
+  useEffect(() => {
+    if (video?.status === 'completed') {
+      fetchPlaybackToken();
+    }
+  }, [id, video?.status]);
+
+  // <track> elements get blob URLs: cross-origin tracks would need CORS on the video element,
+  // and the playback token in a track URL can expire before the user turns captions on
+  const captionKey = (video?.captions || []).map(track => `${track._id}:${track.language}:${track.label}:${track.kind}:${track.isDefault}`).join(',');
+
+  useEffect(() => {
+    if (!playback || !video?.captions?.length) {
+      setCaptionTracks([]);
+      return;
+    }
+
+    let cancelled = false;
+    const urls = [];
+
+    Promise.all(video.captions.map(async (track) => {
+      const response = await fetch(videoService.getCaptionUrl(id, track._id, playback.token));
+      if (!response.ok) return null;
+
+      const url = URL.createObjectURL(await response.blob());
+      urls.push(url);
+      return { ...track, url };
+    }))
+      .then((tracks) => {
+        if (!cancelled) {
+          setCaptionTracks(tracks.filter(Boolean));
+        }
+      })
+      .catch((error) => console.error('Error loading captions:', error));
+
+    return () => {
+      cancelled = true;
+      urls.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [id, !!playback, captionKey]);
+
+  const handleToggleTechnical = async () => {
+    setShowTechnical(prev => !prev);
+    if (technical) return;
+
+    try {
+      const data = await videoService.getTechnicalMetadata(id);
+      setTechnical(data.technical);
+    } catch (error) {
+      console.error('Error fetching technical metadata:', error);
+      toast.error(error.response?.data?.error || 'Failed to load technical details');
+      setShowTechnical(false);
+    }
+  };
+
+  const handleAudioTrackChange = (e) => {
+    if (hlsRef.current) {
+      hlsRef.current.audioTrack = Number(e.target.value);
+    }
+  };
+
+  const fetchPlaybackToken = async () => {
+    try {
+      const data = await videoService.getPlaybackToken(id);
+      setPlayback(data);
+    } catch (error) {
+      console.error('Error fetching playback token:', error);
+    }
+  };
+
+  // Playback tokens only last a few minutes; when one runs out mid-playback,
+  // get a new one and carry on from the same position
+  const handlePlaybackError = () => {
+    const videoElement = videoRef.current;
+    if (!videoElement || useHlsPlayer || !playback) return;
+    if (new Date(playback.expiresAt).getTime() > Date.now()) return;
+
+    resumeRef.current = videoElement.currentTime;
+    fetchPlaybackToken();
+  };
+
+  const handleLoadedMetadata = () => {
+    const videoElement = videoRef.current;
+    if (!videoElement || resumeRef.current === null) return;
+
+    videoElement.currentTime = resumeRef.current;
+    resumeRef.current = null;
+    videoElement.play().catch(() => {});
+  };
+
   const fetchVideo = async () => {
     try {
       setLoading(true);
@@ -140,12 +332,192 @@ export default function VideoDetail() {
     }
   };
 
+  const handleCancelProcessing = async () => {
+    if (!window.confirm('Stop processing this video? Work done so far is discarded.')) return;
+
+    try {
+      setCancelling(true);
+      const data = await videoService.cancelProcessing(id);
+      setVideo(prev => ({ ...prev, status: data.status, processingProgress: 0 }));
+      toast.success('Processing cancelled');
+    } catch (error) {
+      console.error('Error cancelling processing:', error);
+      toast.error(error.response?.data?.error || 'Failed to cancel processing');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const handleSelectPoster = async (selection) => {
+    try {
+      setSavingPoster(true);
+      const data = await videoService.selectPoster(id, selection);
+      setVideo(data.video);
+      toast.success('Poster updated');
+    } catch (error) {
+      console.error('Error updating poster:', error);
+      toast.error(error.response?.data?.error || 'Failed to update poster');
+    } finally {
+      setSavingPoster(false);
+    }
+  };
+
+  const handleUploadPoster = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setSavingPoster(true);
+      const data = await videoService.uploadPoster(id, file);
+      setVideo(data.video);
+      toast.success('Poster uploaded');
+    } catch (error) {
+      console.error('Error uploading poster:', error);
+      toast.error(error.response?.data?.error || 'Failed to upload poster');
+    } finally {
+      setSavingPoster(false);
+    }
+  };
+
+  const handleUploadCaption = async (e) => {
+    e.preventDefault();
+    if (!captionFile) return;
+
+    try {
+      setSavingCaption(true);
+      const data = await videoService.uploadCaption(id, captionFile, captionForm);
+      setVideo(prev => ({ ...prev, captions: data.captions }));
+      setCaptionForm({ language: '', label: '', kind: 'subtitles', isDefault: false });
+      setCaptionFile(null);
+      e.target.reset();
+      toast.success('Caption track added');
+    } catch (error) {
+      console.error('Error uploading caption:', error);
+      const details = error.response?.data?.details;
+      toast.error(details?.[0]?.message || error.response?.data?.error || 'Failed to add caption track');
+    } finally {
+      setSavingCaption(false);
+    }
+  };
+
+  const handleSetDefaultCaption = async (track) => {
+    try {
+      const data = await videoService.updateCaption(id, track._id, { isDefault: !track.isDefault });
+      setVideo(prev => ({ ...prev, captions: data.captions }));
+    } catch (error) {
+      console.error('Error updating caption:', error);
+      toast.error(error.response?.data?.error || 'Failed to update caption track');
+    }
+  };
+
+  const handleDeleteCaption = async (track) => {
+    if (!window.confirm(`Delete the ${track.label || track.language} caption track?`)) return;
+
+    try {
+      const data = await videoService.deleteCaption(id, track._id);
+      setVideo(prev => ({ ...prev, captions: data.captions }));
+      toast.success('Caption track deleted');
+    } catch (error) {
+      console.error('Error deleting caption:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete caption track');
+    }
+  };
+
   const canEdit = user && video && (
     user.role === 'admin' || 
     video.uploadedBy === user.id ||
     video.uploadedBy?._id === user.id
   );
 
+  useEffect(() => {
+    if (canEdit) {
+      fetchShareLinks();
+    }
+  }, [id, canEdit]);
+
+  // Refetched on status changes so a finished or failed run shows up without a reload
+  useEffect(() => {
+    if (canEdit) {
+      fetchProcessingJobs();
+    }
+  }, [id, canEdit, video?.status]);
+
+  const fetchProcessingJobs = async () => {
+    try {
+      const data = await videoService.getProcessingJobs(id);
+      setProcessingJobs(data.jobs);
+    } catch (error) {
+      console.error('Error fetching processing history:', error);
+    }
+  };
+
+  const fetchShareLinks = async () => {
+    try {
+      const data = await videoService.getShareLinks(id);
+      setShareLinks(data.links);
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+    }
+  };
+
+  const handleCreateLink = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreatingLink(true);
+      const data = await videoService.createShareLink(id, {
+        expiresInHours: Number(linkForm.expiresInHours),
+        password: linkForm.password || undefined,
+        maxViews: linkForm.maxViews ? Number(linkForm.maxViews) : undefined
+      });
+      setLinkForm({ expiresInHours: '168', password: '', maxViews: '' });
+      await fetchShareLinks();
+      handleCopyLink(data.shareUrl);
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      const details = error.response?.data?.details;
+      toast.error(details?.[0]?.message || error.response?.data?.error || 'Failed to create share link');
+    } finally {
+      setCreatingLink(false);
+    }
+  };
+
+  const handleCopyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Share link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleCopyEmbed = async (url) => {
+    try {
+      const data = await videoService.getEmbed(url);
+      await navigator.clipboard.writeText(data.html);
+      toast.success('Embed code copied');
+    } catch (error) {
+      console.error('Error fetching embed code:', error);
+      toast.error(error.response?.data?.error || 'Could not copy the embed code');
+    }
+  };
+
+  const handleRevokeLink = async (link) => {
+    if (!window.confirm('Revoke this share link? Anyone using it will lose access.')) return;
+
+    try {
+      await videoService.revokeShareLink(id, link._id);
+      setShareLinks(prev => prev.map(l => (
+        l._id === link._id ? { ...l, status: 'revoked' } : l
+      )));
+      toast.success('Share link revoked');
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      toast.error(error.response?.data?.error || 'Failed to revoke share link');
+    }
+  };
+
   const formatDuration = (seconds) => {
     const hrs = Math.floor(seconds / 3600);
     const mins = Math.floor((seconds % 3600) / 60);
@@ -157,6 +529,21 @@ export default function VideoDetail() {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  const formatElapsed = (ms) => {
+    if (ms === undefined || ms === null) return '';
+    if (ms < 1000) return `${ms} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    return formatDuration(ms / 1000);
+  };
+
+  const formatChannels = (channels) => {
+    if (channels === 1) return 'mono';
+    if (channels === 2) return 'stereo';
+    if (channels === 6) return '5.1';
+    if (channels === 8) return '7.1';
+    return `${channels || '?'} ch`;
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -196,17 +583,55 @@ export default function VideoDetail() {
       {/* Video Player */}
       <div className="card mb-6">
         {video.status === 'completed' ? (
-          <div className="video-container bg-black rounded-lg overflow-hidden">
-            <video
-              ref={videoRef}
-              controls
-              className="w-full h-full"
-              src={videoService.getStreamUrl(id)}
-              poster={video.thumbnail ? videoService.getThumbnailUrl(id) : undefined}
-            >
-              Your browser does not support the video tag.
-            </video>
-          </div>
+          <>
+            <div className="video-container bg-black rounded-lg overflow-hidden">
+              <video
+                ref={videoRef}
+                controls
+                className="w-full h-full"
+                src={useHlsPlayer || !playback ? undefined : videoService.getStreamUrl(id, playback.token)}
+                poster={video.thumbnail && playback ? videoService.getThumbnailUrl(id, playback.token, video.thumbnailUrl) : undefined}
+                onError={handlePlaybackError}
+                onLoadedMetadata={handleLoadedMetadata}
+              >
+                {captionTracks.map(track => (
+                  <track
+                    key={track.url}
+                    kind={track.kind}
+                    label={track.label || track.language}
+                    srcLang={track.language}
+                    src={track.url}
+                    default={track.isDefault}
+                  />
+                ))}
+                Your browser does not support the video tag.
+              </video>
+            </div>
+            {audioTracks.length > 1 && (
+              <div className="flex items-center justify-end gap-2 mt-3 text-sm text-gray-700">
+                <Languages className="w-4 h-4" />
+                <label htmlFor="audio-track">Audio</label>
+                <select
+                  id="audio-track"
+                  value={audioTrack}
+                  onChange={handleAudioTrackChange}
+                  className="input w-auto py-1"
+                >
+                  {audioTracks.map(track => (
+                    <option key={track.id} value={track.id}>
+                      {track.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {video.seekPreview?.vtt && playback && (
+              <SeekPreviewBar
+                videoRef={videoRef}
+                trackUrl={videoService.getSeekPreviewUrl(id, playback.token)}
+              />
+            )}
+          </>
         ) : (
           <div className="aspect-video bg-gray-200 rounded-lg flex flex-col items-center justify-center">
             <StatusIcon className={`w-16 h-16 mb-4 text-${statusConfig.color}-600`} />
@@ -222,11 +647,24 @@ export default function VideoDetail() {
                 <p className="text-sm text-gray-600 mt-2 text-center">
                   {video.processingProgress || 0}% complete
                 </p>
+                {canEdit && video.status === 'processing' && (
+                  <button
+                    onClick={handleCancelProcessing}
+                    disabled={cancelling}
+                    className="btn btn-secondary w-full mt-4 inline-flex items-center justify-center"
+                  >
+                    <X className="w-4 h-4 mr-2" />
+                    {cancelling ? 'Cancelling...' : 'Cancel Processing'}
+                  </button>
+                )}
               </div>
             )}
             {video.status === 'failed' && (
               <p className="text-red-600 mt-2">Video processing failed. Please try uploading again.</p>
             )}
+            {video.status === 'cancelled' && (
+              <p className="text-gray-600 mt-2">Processing was cancelled. Delete the video or upload it again.</p>
+            )}
           </div>
         )}
       </div>
@@ -348,6 +786,187 @@ export default function VideoDetail() {
             )}
           </div>
 
+          {/* Poster */}
+          {canEdit && video.status === 'completed' && (
+            <div className="card">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold flex items-center gap-2">
+                  <Image className="w-5 h-5" />
+                  Poster
+                </h3>
+                <label className={`btn btn-secondary inline-flex items-center cursor-pointer ${savingPoster ? 'opacity-50 pointer-events-none' : ''}`}>
+                  <Upload className="w-4 h-4 mr-2" />
+                  Upload Image
+                  <input
+                    type="file"
+                    accept="image/jpeg,image/png,image/webp"
+                    onChange={handleUploadPoster}
+                    className="hidden"
+                  />
+                </label>
+              </div>
+
+              {playback && (video.thumbnails?.candidates?.length > 0 || video.thumbnails?.custom?.key) ? (
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                  {video.thumbnails?.custom?.key && (
+                    <button
+                      onClick={() => handleSelectPoster({ custom: true })}
+                      disabled={savingPoster}
+                      className={`relative rounded-md overflow-hidden ring-2 ${
+                        video.thumbnailUrl === video.thumbnails.custom.key ? 'ring-primary-600' : 'ring-transparent hover:ring-gray-300'
+                      }`}
+                      title="Uploaded poster"
+                    >
+                      <img
+                        src={videoService.getThumbnailCandidateUrl(id, 'custom', playback.token, video.thumbnails.custom.key)}
+                        alt="Uploaded poster"
+                        className="w-full aspect-video object-cover bg-gray-100"
+                      />
+                      <span className="badge badge-gray absolute top-1 left-1">Uploaded</span>
+                    </button>
+                  )}
+                  {video.thumbnails?.candidates?.map((candidate, index) => (
+                    <button
+                      key={candidate.key}
+                      onClick={() => handleSelectPoster({ candidate: index })}
+                      disabled={savingPoster}
+                      className={`relative rounded-md overflow-hidden ring-2 ${
+                        video.thumbnailUrl === candidate.key ? 'ring-primary-600' : 'ring-transparent hover:ring-gray-300'
+                      }`}
+                      title={`Frame at ${formatDuration(candidate.timestamp)}`}
+                    >
+                      <img
+                        src={videoService.getThumbnailCandidateUrl(id, index, playback.token)}
+                        alt={`Frame at ${formatDuration(candidate.timestamp)}`}
+                        className="w-full aspect-video object-cover bg-gray-100"
+                        loading="lazy"
+                      />
+                      <span className="badge badge-gray absolute bottom-1 right-1">
+                        {formatDuration(candidate.timestamp)}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-600">No poster frames were generated for this video.</p>
+              )}
+            </div>
+          )}
+
+          {/* Captions */}
+          {canEdit && (
+            <div className="card">
+              <h3 className="font-semibold mb-4 flex items-center gap-2">
+                <Subtitles className="w-5 h-5" />
+                Captions
+              </h3>
+
+              {video.captions?.length > 0 ? (
+                <ul className="divide-y divide-gray-200 text-sm mb-4">
+                  {video.captions.map(track => (
+                    <li key={track._id} className="py-2 flex items-center justify-between gap-2">
+                      <div className="min-w-0">
+                        <p className="font-medium">
+                          {track.label || track.language}
+                          {track.isDefault && <span className="badge badge-success ml-2">Default</span>}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {track.language} · {track.kind}
+                          {track.source === 'embedded' && ' · from video file'}
+                        </p>
+                      </div>
+                      <div className="flex gap-1 shrink-0">
+                        <button
+                          onClick={() => handleSetDefaultCaption(track)}
+                          className="btn btn-secondary p-2"
+                          title={track.isDefault ? 'Unset default' : 'Show by default'}
+                        >
+                          <Star className={`w-4 h-4 ${track.isDefault ? 'fill-current text-yellow-500' : ''}`} />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteCaption(track)}
+                          className="btn btn-danger p-2"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-600 mb-4">No caption tracks yet.</p>
+              )}
+
+              <form onSubmit={handleUploadCaption} className="space-y-3">
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Language
+                    </label>
+                    <input
+                      type="text"
+                      value={captionForm.language}
+                      onChange={(e) => setCaptionForm({ ...captionForm, language: e.target.value.trim() })}
+                      className="input"
+                      placeholder="en, pt-BR"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Label (optional)
+                    </label>
+                    <input
+                      type="text"
+                      value={captionForm.label}
+                      onChange={(e) => setCaptionForm({ ...captionForm, label: e.target.value })}
+                      className="input"
+                      placeholder="English"
+                      maxLength={100}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Kind
+                    </label>
+                    <select
+                      value={captionForm.kind}
+                      onChange={(e) => setCaptionForm({ ...captionForm, kind: e.target.value })}
+                      className="input"
+                    >
+                      <option value="subtitles">Subtitles</option>
+                      <option value="captions">Captions (with sound descriptions)</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="flex flex-wrap items-center gap-4">
+                  <input
+                    type="file"
+                    accept=".srt,.vtt"
+                    onChange={(e) => setCaptionFile(e.target.files[0] || null)}
+                    className="text-sm"
+                    required
+                  />
+                  <label className="inline-flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={captionForm.isDefault}
+                      onChange={(e) => setCaptionForm({ ...captionForm, isDefault: e.target.checked })}
+                      className="mr-2"
+                    />
+                    Show by default
+                  </label>
+                  <button type="submit" disabled={savingCaption || !captionFile} className="btn btn-primary inline-flex items-center">
+                    <Upload className="w-4 h-4 mr-2" />
+                    {savingCaption ? 'Uploading...' : 'Add Track'}
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500">SRT or WebVTT files.</p>
+              </form>
+            </div>
+          )}
+
           {/* Sensitivity Analysis */}
           {video.sensitivity && video.sensitivity.analysis && (
             <div className="card">
@@ -409,6 +1028,38 @@ export default function VideoDetail() {
                 </div>
               )}
 
+              {video.metadata?.codec && (
+                <div className="flex items-start gap-3">
+                  <Film className="w-4 h-4 text-gray-500 mt-0.5" />
+                  <div>
+                    <p className="text-gray-500">Video</p>
+                    <p className="font-medium">
+                      {video.metadata.codec}
+                      {video.metadata.frameRate > 0 && ` · ${Number(video.metadata.frameRate.toFixed(2))} fps`}
+                      {video.metadata.color?.hdr && ` · ${video.metadata.color.hdr}`}
+                    </p>
+                  </div>
+                </div>
+              )}
+
+              {video.audioTracks?.length > 0 && (
+                <div className="flex items-start gap-3">
+                  <Languages className="w-4 h-4 text-gray-500 mt-0.5" />
+                  <div>
+                    <p className="text-gray-500">Audio</p>
+                    {video.audioTracks.map(track => (
+                      <p key={track.index} className="font-medium">
+                        {track.label}
+                        <span className="text-xs text-gray-500 font-normal">
+                          {' · '}{formatChannels(track.channels)}
+                          {track.sampleRate ? ` · ${track.sampleRate / 1000} kHz` : ''}
+                        </span>
+                      </p>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {video.metadata?.format && (
                 <div className="flex items-start gap-3">
                   <FileText className="w-4 h-4 text-gray-500 mt-0.5" />
@@ -434,7 +1085,267 @@ export default function VideoDetail() {
                 </div>
               )}
             </div>
+
+            {video.status === 'completed' && playback && (
+              <a
+                href={videoService.getDownloadUrl(id, playback.token)}
+                className="btn btn-secondary w-full inline-flex items-center justify-center mt-4"
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Download Original
+              </a>
+            )}
+
+            {video.metadata?.probedAt && (
+              <button
+                onClick={handleToggleTechnical}
+                className="text-sm text-primary-600 hover:text-primary-700 mt-4"
+              >
+                {showTechnical ? 'Hide technical details' : 'Show technical details'}
+              </button>
+            )}
+
+            {showTechnical && technical && (
+              <div className="mt-3 pt-3 border-t border-gray-200 space-y-3 text-xs">
+                <div>
+                  <p className="text-gray-500">Container</p>
+                  <p className="font-medium">{technical.container?.longName || technical.container?.name}</p>
+                  {technical.container?.bitrate && (
+                    <p className="text-gray-600">{Math.round(technical.container.bitrate / 1000)} kb/s</p>
+                  )}
+                </div>
+
+                {technical.streams?.map(stream => (
+                  <div key={stream.index}>
+                    <p className="text-gray-500 capitalize">
+                      Stream {stream.index} · {stream.type}
+                      {stream.language && ` · ${stream.language}`}
+                    </p>
+                    <p className="font-medium">
+                      {stream.codec}{stream.profile && ` (${stream.profile})`}
+                    </p>
+                    {stream.type === 'video' && (
+                      <p className="text-gray-600">
+                        {stream.width}x{stream.height}
+                        {stream.pixelFormat && ` · ${stream.pixelFormat}`}
+                        {stream.frameRate > 0 && ` · ${Number(stream.frameRate.toFixed(3))} fps`}
+                        {stream.rotation ? ` · rotated ${stream.rotation}°` : ''}
+                        {stream.color?.space && ` · ${stream.color.space}/${stream.color.transfer || '?'}/${stream.color.primaries || '?'}`}
+                        {stream.color?.hdr && ` · ${stream.color.hdr}`}
+                      </p>
+                    )}
+                    {stream.type === 'audio' && (
+                      <p className="text-gray-600">
+                        {stream.channelLayout || `${stream.channels} ch`}
+                        {stream.sampleRate && ` · ${stream.sampleRate} Hz`}
+                        {stream.bitrate && ` · ${Math.round(stream.bitrate / 1000)} kb/s`}
+                      </p>
+                    )}
+                  </div>
+                ))}
+
+                {technical.chapters?.length > 0 && (
+                  <div>
+                    <p className="text-gray-500">Chapters</p>
+                    {technical.chapters.map((chapter, index) => (
+                      <p key={chapter.id ?? index} className="font-medium">
+                        {formatDuration(chapter.start || 0)} {chapter.title || `Chapter ${index + 1}`}
+                      </p>
+                    ))}
+                  </div>
+                )}
+
+                {technical.tags && Object.keys(technical.tags).length > 0 && (
+                  <div>
+                    <p className="text-gray-500">Tags</p>
+                    {Object.entries(technical.tags).map(([key, value]) => (
+                      <p key={key} className="break-all">
+                        <span className="text-gray-600">{key}:</span> {value}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
+
+          {/* Share Links */}
+          {canEdit && (
+            <div className="card">
+              <h3 className="font-semibold mb-4 flex items-center gap-2">
+                <Link2 className="w-5 h-5" />
+                Share Links
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Anyone with a link can watch this video without an account until it expires or is revoked.
+              </p>
+
+              {video.visibility === 'public' && (
+                <button
+                  onClick={() => handleCopyEmbed(`${window.location.origin}/videos/${id}`)}
+                  className="btn btn-secondary w-full inline-flex items-center justify-center mb-4"
+                >
+                  <Code className="w-4 h-4 mr-2" />
+                  Copy Embed Code
+                </button>
+              )}
+
+              <form onSubmit={handleCreateLink} className="space-y-3 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Expires in
+                  </label>
+                  <select
+                    value={linkForm.expiresInHours}
+                    onChange={(e) => setLinkForm({ ...linkForm, expiresInHours: e.target.value })}
+                    className="input"
+                  >
+                    <option value="1">1 hour</option>
+                    <option value="24">1 day</option>
+                    <option value="168">7 days</option>
+                    <option value="720">30 days</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Password (optional)
+                  </label>
+                  <input
+                    type="password"
+                    value={linkForm.password}
+                    onChange={(e) => setLinkForm({ ...linkForm, password: e.target.value })}
+                    className="input"
+                    minLength={4}
+                    autoComplete="new-password"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    View limit (optional)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={linkForm.maxViews}
+                    onChange={(e) => setLinkForm({ ...linkForm, maxViews: e.target.value })}
+                    className="input"
+                    placeholder="Unlimited"
+                  />
+                </div>
+                <button type="submit" disabled={creatingLink} className="btn btn-primary w-full">
+                  {creatingLink ? 'Creating...' : 'Create Link'}
+                </button>
+              </form>
+
+              {shareLinks.length > 0 && (
+                <ul className="divide-y divide-gray-200 text-sm">
+                  {shareLinks.map(link => (
+                    <li key={link._id} className="py-2 flex items-center justify-between gap-2">
+                      <div className="min-w-0">
+                        <p className="font-medium capitalize">
+                          {link.status}
+                          {link.hasPassword && <Lock className="w-3 h-3 inline ml-1 text-gray-500" />}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {link.viewCount}{link.maxViews ? ` / ${link.maxViews}` : ''} views
+                          {' · '}
+                          {link.status === 'expired' ? 'expired ' : 'expires '}
+                          {formatDistanceToNow(new Date(link.expiresAt), { addSuffix: true })}
+                        </p>
+                      </div>
+                      {link.status === 'active' && (
+                        <div className="flex gap-1 shrink-0">
+                          <button
+                            onClick={() => handleCopyLink(link.shareUrl)}
+                            className="btn btn-secondary p-2"
+                            title="Copy link"
+                          >
+                            <Copy className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleCopyEmbed(link.shareUrl)}
+                            className="btn btn-secondary p-2"
+                            title="Copy embed code"
+                          >
+                            <Code className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleRevokeLink(link)}
+                            className="btn btn-danger p-2"
+                            title="Revoke"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {/* Processing History */}
+          {canEdit && processingJobs.length > 0 && (
+            <div className="card">
+              <h3 className="font-semibold mb-4 flex items-center gap-2">
+                <History className="w-5 h-5" />
+                Processing History
+              </h3>
+              <ul className="space-y-4 text-sm">
+                {processingJobs.map(job => (
+                  <li key={job._id}>
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="font-medium">
+                        {job.jobType === 'sensitivity_analysis'
+                          ? 'Sensitivity re-analysis'
+                          : `Attempt ${job.attempts}${job.maxAttempts > 1 ? ` of ${job.maxAttempts}` : ''}`}
+                      </p>
+                      <span className={`badge ${
+                        job.status === 'completed' ? 'badge-success' :
+                        job.status === 'failed' ? 'badge-danger' : 'badge-gray'
+                      }`}>
+                        {job.status}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {format(new Date(job.startedAt || job.createdAt), 'PPp')}
+                      {job.durationMs !== undefined && ` · ${formatElapsed(job.durationMs)}`}
+                    </p>
+                    {job.jobType === 'sensitivity_analysis' && job.result?.changed && (
+                      <p className="text-xs text-gray-700 mt-1 capitalize">
+                        {job.result.previousStatus} → {job.result.status}
+                      </p>
+                    )}
+                    {job.error && (
+                      <p className="text-xs text-red-600 mt-1 break-words">{job.error}</p>
+                    )}
+                    {job.stages?.length > 0 && (
+                      <ol className="mt-2 space-y-1 border-l border-gray-200 pl-3">
+                        {job.stages.map(stage => (
+                          <li key={stage.name}>
+                            <div className="flex items-center justify-between gap-2">
+                              <span className="flex items-center gap-1 capitalize">
+                                {stage.status === 'completed' && <CheckCircle className="w-3 h-3 text-green-600" />}
+                                {stage.status === 'failed' && <XCircle className="w-3 h-3 text-red-600" />}
+                                {stage.status === 'cancelled' && <XCircle className="w-3 h-3 text-gray-500" />}
+                                {stage.status === 'processing' && <Clock className="w-3 h-3 text-gray-500" />}
+                                {stage.name}
+                              </span>
+                              <span className="text-xs text-gray-500">{formatElapsed(stage.durationMs)}</span>
+                            </div>
+                            {stage.error && (
+                              <p className="text-xs text-red-600 break-words">{stage.error}</p>
+                            )}
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       </div>
     </div>
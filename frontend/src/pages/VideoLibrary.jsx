@@ -46,6 +46,13 @@ const STATUS_CONFIG = {
     icon: XCircle,
     bgColor: 'bg-red-100',
     textColor: 'text-red-800'
+  },
+  cancelled: {
+    label: 'Cancelled',
+    color: 'gray',
+    icon: XCircle,
+    bgColor: 'bg-gray-100',
+    textColor: 'text-gray-800'
   }
 };
 
@@ -68,6 +75,9 @@ export default function VideoLibrary() {
   const [statusFilter, setStatusFilter] = useState('all');
   const [sensitivityFilter, setSensitivityFilter] = useState('all');
   const [showFilters, setShowFilters] = useState(false);
+  const [playbackTokens, setPlaybackTokens] = useState({});
+  const [tokenExpiry, setTokenExpiry] = useState({});
+  const [hoveredVideoId, setHoveredVideoId] = useState(null);
 
   useEffect(() => {
     fetchVideos();
@@ -101,6 +111,7 @@ export default function VideoLibrary() {
 
       const response = await videoService.getVideos(params);
       setVideos(response.videos || []);
+      fetchPlaybackTokens(response.videos || []);
     } catch (error) {
       console.error('Error fetching videos:', error);
       toast.error('Failed to load videos');
@@ -109,6 +120,31 @@ export default function VideoLibrary() {
     }
   };
 
+  // Thumbnail URLs carry short-lived playback tokens rather than the access token
+  const fetchPlaybackTokens = async (videoList) => {
+    const videoIds = videoList.filter(video => video.thumbnail).map(video => video._id).slice(0, 100);
+    if (videoIds.length === 0) return;
+
+    try {
+      const data = await videoService.getPlaybackTokens(videoIds);
+      setPlaybackTokens(prev => ({ ...prev, ...data.tokens }));
+      setTokenExpiry(prev => ({
+        ...prev,
+        ...Object.fromEntries(Object.keys(data.tokens).map(videoId => [videoId, data.expiresAt]))
+      }));
+    } catch (error) {
+      console.error('Error fetching playback tokens:', error);
+    }
+  };
+
+  // Thumbnails load once, but a preview may be hovered long after its token ran out
+  const handlePreviewError = (video) => {
+    const expiresAt = tokenExpiry[video._id];
+    if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+      fetchPlaybackTokens([video]);
+    }
+  };
+
   const handleVideoStatusUpdate = (data) => {
     setVideos(prevVideos =>
       prevVideos.map(video =>
@@ -163,11 +199,15 @@ export default function VideoLibrary() {
         to={`/videos/${video._id}`}
         className="card hover:shadow-lg transition-shadow duration-200 block"
       >
-        {/* Thumbnail */}
-        <div className="relative aspect-video bg-gray-200 rounded-md overflow-hidden mb-3">
-          {video.thumbnail ? (
+        {/* Thumbnail (plays the preview clip on hover) */}
+        <div
+          className="relative aspect-video bg-gray-200 rounded-md overflow-hidden mb-3"
+          onMouseEnter={() => setHoveredVideoId(video._id)}
+          onMouseLeave={() => setHoveredVideoId(null)}
+        >
+          {video.thumbnail && playbackTokens[video._id] ? (
             <img
-              src={videoService.getThumbnailUrl(video._id)}
+              src={videoService.getThumbnailUrl(video._id, playbackTokens[video._id])}
               alt={video.title}
               className="w-full h-full object-cover"
               onError={(e) => {
@@ -178,10 +218,22 @@ export default function VideoLibrary() {
           ) : null}
           <div 
             className="absolute inset-0 flex items-center justify-center bg-gray-300"
-            style={{ display: video.thumbnail ? 'none' : 'flex' }}
+            style={{ display: video.thumbnail && playbackTokens[video._id] ? 'none' : 'flex' }}
           >
             <Film className="w-16 h-16 text-gray-400" />
           </div>
+
+          {hoveredVideoId === video._id && video.previewClip?.key && playbackTokens[video._id] && (
+            <video
+              src={videoService.getPreviewUrl(video._id, playbackTokens[video._id])}
+              className="absolute inset-0 w-full h-full object-cover"
+              autoPlay
+              muted
+              loop
+              playsInline
+              onError={() => handlePreviewError(video)}
+            />
+          )}
           
           {/* Duration Badge */}
           {video.metadata?.duration && (
@@ -317,6 +369,7 @@ export default function VideoLibrary() {
                 <option value="processing">Processing</option>
                 <option value="completed">Completed</option>
                 <option value="failed">Failed</option>
+                <option value="cancelled">Cancelled</option>
               </select>
             </div>
 
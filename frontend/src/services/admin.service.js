@@ -0,0 +1,72 @@
+import api from './api';
+
+const adminService = {
+  async getQueue() {
+    const response = await api.get('/admin/queue');
+    return response.data;
+  },
+
+  async getQueueJobs(state, page = 1, limit = 20) {
+    const response = await api.get('/admin/queue/jobs', {
+      params: { state, page, limit }
+    });
+    return response.data;
+  },
+
+  async getQueueJob(jobId) {
+    const response = await api.get(`/admin/queue/jobs/${jobId}`);
+    return response.data;
+  },
+
+  async retryQueueJob(jobId) {
+    const response = await api.post(`/admin/queue/jobs/${jobId}/retry`);
+    return response.data;
+  },
+
+  async removeQueueJob(jobId) {
+    const response = await api.delete(`/admin/queue/jobs/${jobId}`);
+    return response.data;
+  },
+
+  async retryFailedQueueJobs() {
+    const response = await api.post('/admin/queue/retry-failed');
+    return response.data;
+  },
+
+  async drainQueue() {
+    const response = await api.post('/admin/queue/drain');
+    return response.data;
+  },
+
+  async cleanQueue(state) {
+    const response = await api.post('/admin/queue/clean', { state });
+    return response.data;
+  },
+
+  async pauseQueue() {
+    const response = await api.post('/admin/queue/pause');
+    return response.data;
+  },
+
+  async resumeQueue() {
+    const response = await api.post('/admin/queue/resume');
+    return response.data;
+  },
+
+  async startReanalysis(filters) {
+    const response = await api.post('/admin/sensitivity/reanalysis', filters);
+    return response.data;
+  },
+
+  async getReanalysisBatches() {
+    const response = await api.get('/admin/sensitivity/reanalysis');
+    return response.data;
+  },
+
+  async getReanalysisBatch(batchId) {
+    const response = await api.get(`/admin/sensitivity/reanalysis/${batchId}`);
+    return response.data;
+  }
+};
+
+export default adminService;
@@ -11,6 +11,22 @@ const api = axios.create({
   withCredentials: true, // For cookies
 });
 
+// Exchange the refresh cookie for a new access token
+export const refreshAccessToken = async () => {
+  const { data } = await axios.post(`${API_URL}/auth/refresh`, {}, {
+    withCredentials: true
+  });
+
+  localStorage.setItem('token', data.token);
+
+  // Update user data if provided
+  if (data.user) {
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }
+
+  return data.token;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -36,17 +52,7 @@ api.interceptors.response.use(
       originalRequest._retry = true;
 
       try {
-        const { data } = await axios.post(`${API_URL}/auth/refresh`, {}, {
-          withCredentials: true
-        });
-
-        const newToken = data.token;
-        localStorage.setItem('token', newToken);
-        
-        // Update user data if provided
-        if (data.user) {
-          localStorage.setItem('user', JSON.stringify(data.user));
-        }
+        const newToken = await refreshAccessToken();
         
         originalRequest.headers.Authorization = `Bearer ${newToken}`;
         return api(originalRequest);
@@ -28,6 +28,11 @@ const authService = {
     }
   },
 
+  async getInvitation(token) {
+    const response = await api.get(`/auth/invitations/${encodeURIComponent(token)}`);
+    return response.data;
+  },
+
   async getMe() {
     const response = await api.get('/auth/me');
     return response.data;
@@ -0,0 +1,50 @@
+import api from './api';
+
+const organizationService = {
+  async getOrganization() {
+    const response = await api.get('/organizations/me');
+    return response.data;
+  },
+
+  async updateOrganization(data) {
+    const response = await api.put('/organizations/me', data);
+    return response.data;
+  },
+
+  async updateStatus(isActive) {
+    const response = await api.put('/organizations/me/status', { isActive });
+    return response.data;
+  },
+
+  async transferOwnership(userId) {
+    const response = await api.put('/organizations/me/owner', { userId });
+    return response.data;
+  },
+
+  async getMembers() {
+    const response = await api.get('/organizations/me/members');
+    return response.data;
+  },
+
+  async createInvitation(data) {
+    const response = await api.post('/organizations/me/invitations', data);
+    return response.data;
+  },
+
+  async getInvitations() {
+    const response = await api.get('/organizations/me/invitations');
+    return response.data;
+  },
+
+  async revokeInvitation(invitationId) {
+    const response = await api.delete(`/organizations/me/invitations/${invitationId}`);
+    return response.data;
+  },
+
+  async getUsage() {
+    const response = await api.get('/organizations/me/usage');
+    return response.data;
+  }
+};
+
+export default organizationService;
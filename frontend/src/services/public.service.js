@@ -0,0 +1,38 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Share links are opened without an account, so these requests go through a
+// bare client: no Authorization header, no refresh-and-redirect on 401
+const publicApi = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+const publicService = {
+  async getSharedVideo(shareToken) {
+    const response = await publicApi.get(`/public/${encodeURIComponent(shareToken)}`);
+    return response.data;
+  },
+
+  // Counts one view and returns { sessionToken, expiresAt }
+  async openSharedVideo(shareToken, password) {
+    const response = await publicApi.post(`/public/${encodeURIComponent(shareToken)}/session`, {
+      password: password || undefined
+    });
+    return response.data;
+  },
+
+  getStreamUrl(shareToken, sessionToken) {
+    return `${API_URL}/public/${encodeURIComponent(shareToken)}/stream?session=${encodeURIComponent(sessionToken)}`;
+  },
+
+  getThumbnailUrl(shareToken, sessionToken) {
+    const query = sessionToken ? `?session=${encodeURIComponent(sessionToken)}` : '';
+    return `${API_URL}/public/${encodeURIComponent(shareToken)}/thumbnail${query}`;
+  }
+};
+
+export default publicService;
@@ -1,27 +1,77 @@
-import api from './api';
+import * as tus from 'tus-js-client';
+import api, { refreshAccessToken } from './api';
 
 const videoService = {
-  async uploadVideo(file, metadata, onProgress) {
-    const formData = new FormData();
-    formData.append('video', file);
-    
-    if (metadata.title) formData.append('title', metadata.title);
-    if (metadata.description) formData.append('description', metadata.description);
-    if (metadata.visibility) formData.append('visibility', metadata.visibility);
-
-    const response = await api.post('/videos', formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
-      onUploadProgress: (progressEvent) => {
-        const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-        if (onProgress) {
-          onProgress(percentCompleted);
+  // Resumable (tus) upload: dropped connections are retried from the last
+  // acknowledged offset, and a reload resumes an unfinished upload of the same file
+  uploadVideo(file, metadata, onProgress) {
+    const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+    let refreshBeforeNextRequest = false;
+
+    return new Promise((resolve, reject) => {
+      const upload = new tus.Upload(file, {
+        endpoint: `${baseUrl}/videos/tus`,
+        chunkSize: 50 * 1024 * 1024,
+        retryDelays: [0, 1000, 3000, 5000, 10000, 20000],
+        storeFingerprintForResuming: true,
+        removeFingerprintOnSuccess: true,
+        metadata: {
+          filename: file.name,
+          filetype: file.type,
+          title: metadata.title || '',
+          description: metadata.description || '',
+          visibility: metadata.visibility || 'organization'
+        },
+        onBeforeRequest: async (req) => {
+          if (refreshBeforeNextRequest) {
+            refreshBeforeNextRequest = false;
+            await refreshAccessToken();
+          }
+          const token = localStorage.getItem('token');
+          if (token) {
+            req.setHeader('Authorization', `Bearer ${token}`);
+          }
+        },
+        onShouldRetry: (err, retryAttempt, options) => {
+          // Access tokens are short-lived; refresh and retry instead of failing a long upload
+          if (err.originalResponse?.getStatus() === 401 && retryAttempt < 2) {
+            refreshBeforeNextRequest = true;
+            return true;
+          }
+          return tus.defaultOptions.onShouldRetry(err, retryAttempt, options);
+        },
+        onProgress: (bytesUploaded, bytesTotal) => {
+          if (onProgress) {
+            onProgress(Math.round((bytesUploaded * 100) / bytesTotal));
+          }
+        },
+        onSuccess: () => {
+          resolve({
+            message: 'Video uploaded successfully and processing started',
+            video: { id: upload.url.split('/').pop() }
+          });
+        },
+        onError: (error) => {
+          let message = error.message;
+          try {
+            message = JSON.parse(error.originalResponse?.getBody()).error || message;
+          } catch {
+            // Response body was not JSON
+          }
+          const uploadError = new Error(message);
+          uploadError.response = { data: { error: message } };
+          reject(uploadError);
         }
-      },
-    });
+      });
 
-    return response.data;
+      // Pick up where a previous attempt for this file left off
+      upload.findPreviousUploads().then((previousUploads) => {
+        if (previousUploads.length > 0) {
+          upload.resumeFromPreviousUpload(previousUploads[0]);
+        }
+        upload.start();
+      });
+    });
   },
 
   async getVideos(params = {}) {
@@ -34,6 +84,22 @@ const videoService = {
     return response.data;
   },
 
+  // Container, streams, color/HDR, rotation, chapters and tags from ffprobe
+  async getTechnicalMetadata(id) {
+    const response = await api.get(`/videos/${id}/technical`);
+    return response.data;
+  },
+
+  async cancelProcessing(id) {
+    const response = await api.post(`/videos/${id}/processing/cancel`);
+    return response.data;
+  },
+
+  async getProcessingJobs(id) {
+    const response = await api.get(`/videos/${id}/jobs`);
+    return response.data;
+  },
+
   async updateVideo(id, data) {
     const response = await api.put(`/videos/${id}`, data);
     return response.data;
@@ -49,16 +115,130 @@ const videoService = {
     return response.data;
   },
 
-  getStreamUrl(videoId) {
-    const token = localStorage.getItem('token');
+  async getShareLinks(id) {
+    const response = await api.get(`/videos/${id}/links`);
+    return response.data;
+  },
+
+  async createShareLink(id, data) {
+    const response = await api.post(`/videos/${id}/links`, data);
+    return response.data;
+  },
+
+  async revokeShareLink(id, linkId) {
+    const response = await api.delete(`/videos/${id}/links/${linkId}`);
+    return response.data;
+  },
+
+  // Use a generated candidate ({ candidate: index }) or the uploaded poster ({ custom: true })
+  async selectPoster(id, data) {
+    const response = await api.put(`/videos/${id}/poster`, data);
+    return response.data;
+  },
+
+  async uploadPoster(id, file) {
+    const formData = new FormData();
+    formData.append('poster', file);
+
+    const response = await api.post(`/videos/${id}/poster`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  async getCaptions(id) {
+    const response = await api.get(`/videos/${id}/captions`);
+    return response.data;
+  },
+
+  // `fields`: language, label, kind ('subtitles' or 'captions'), isDefault
+  async uploadCaption(id, file, fields) {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') formData.append(key, value);
+    });
+    formData.append('caption', file);
+
+    const response = await api.post(`/videos/${id}/captions`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  async updateCaption(id, trackId, data) {
+    const response = await api.put(`/videos/${id}/captions/${trackId}`, data);
+    return response.data;
+  },
+
+  async deleteCaption(id, trackId) {
+    const response = await api.delete(`/videos/${id}/captions/${trackId}`);
+    return response.data;
+  },
+
+  // oEmbed for a watch or share-link URL; `html` is the iframe embed code
+  async getEmbed(url) {
+    const response = await api.get('/oembed', { params: { url } });
+    return response.data;
+  },
+
+  // Short-lived, video-scoped token for media URLs; the access token never goes in a URL
+  async getPlaybackToken(videoId) {
+    const response = await api.post(`/stream/${videoId}/playback-token`);
+    return response.data;
+  },
+
+  // { tokens: { [videoId]: token }, expiresAt } for the videos the user can view
+  async getPlaybackTokens(videoIds) {
+    const response = await api.post('/stream/playback-tokens', { videoIds });
+    return response.data;
+  },
+
+  getStreamUrl(videoId, playbackToken) {
+    const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+    return `${baseUrl}/stream/${videoId}?playback=${encodeURIComponent(playbackToken)}`;
+  },
+
+  // The original upload as an attachment (playback may use a browser-safe copy)
+  getDownloadUrl(videoId, playbackToken) {
+    const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+    return `${baseUrl}/stream/${videoId}?playback=${encodeURIComponent(playbackToken)}&download=true`;
+  },
+
+  getHlsUrl(videoId, playbackToken) {
+    const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+    return `${baseUrl}/stream/${videoId}/hls/master.m3u8?playback=${encodeURIComponent(playbackToken)}`;
+  },
+
+  // `version` (the poster in use) changes the URL when an editor picks another poster
+  getThumbnailUrl(videoId, playbackToken, version) {
+    const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+    const query = version ? `&v=${encodeURIComponent(version)}` : '';
+    return `${baseUrl}/stream/${videoId}/thumbnail?playback=${encodeURIComponent(playbackToken)}${query}`;
+  },
+
+  // A poster candidate by index, or 'custom' for the uploaded poster
+  getThumbnailCandidateUrl(videoId, index, playbackToken, version) {
+    const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+    const query = version ? `&v=${encodeURIComponent(version)}` : '';
+    return `${baseUrl}/stream/${videoId}/thumbnails/${index}?playback=${encodeURIComponent(playbackToken)}${query}`;
+  },
+
+  // Short muted clip played when hovering a video in the library
+  getPreviewUrl(videoId, playbackToken) {
+    const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+    return `${baseUrl}/stream/${videoId}/preview?playback=${encodeURIComponent(playbackToken)}`;
+  },
+
+  // WebVTT caption track
+  getCaptionUrl(videoId, trackId, playbackToken) {
     const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
-    return `${baseUrl}/stream/${videoId}?token=${token}`;
+    return `${baseUrl}/stream/${videoId}/captions/${trackId}?playback=${encodeURIComponent(playbackToken)}`;
   },
 
-  getThumbnailUrl(videoId) {
-    const token = localStorage.getItem('token');
+  // WebVTT thumbnails track for seek-bar previews
+  getSeekPreviewUrl(videoId, playbackToken) {
     const baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
-    return `${baseUrl}/stream/${videoId}/thumbnail?token=${token}`;
+    return `${baseUrl}/stream/${videoId}/sprite.vtt?playback=${encodeURIComponent(playbackToken)}`;
   }
 };
 